@@ -3,10 +3,20 @@
  * Handles Chrome Storage API for RL Agent persistence
  */
 
+// M1 candle history is stored per symbol so each asset resumes its own chart
+function candleKey(symbol) {
+  return `PS_CANDLES_${String(symbol || 'UNKNOWN').toUpperCase()}`;
+}
+
+// Learning data is stored per symbol as well (see learning-store.js)
+function learningKey(symbol) {
+  return `PS_LEARNING_${String(symbol || 'UNKNOWN').toUpperCase()}`;
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'SAVE_RL_STATE') {
     chrome.storage.local.set({ 'PS_RL_STATE': message.data }, () => {
-      sendResponse({ success: true });
+      sendResponse({ success: !chrome.runtime.lastError });
     });
     return true;
   }
@@ -20,7 +30,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   
   if (message.type === 'SAVE_METRICS') {
     chrome.storage.local.set({ 'PS_METRICS': message.data }, () => {
-      sendResponse({ success: true });
+      sendResponse({ success: !chrome.runtime.lastError });
     });
     return true;
   }
@@ -32,6 +42,65 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
   
+  if (message.type === 'SAVE_LEDGER') {
+    chrome.storage.local.set({ 'PS_SIGNAL_LEDGER': message.data }, () => {
+      sendResponse({ success: !chrome.runtime.lastError });
+    });
+    return true;
+  }
+  
+  if (message.type === 'LOAD_LEDGER') {
+    chrome.storage.local.get(['PS_SIGNAL_LEDGER'], (result) => {
+      sendResponse({ data: result.PS_SIGNAL_LEDGER || null });
+    });
+    return true;
+  }
+  
+  if (message.type === 'SAVE_CANDLES') {
+    const key = candleKey(message.symbol);
+    chrome.storage.local.set({ [key]: message.data }, () => {
+      sendResponse({ success: !chrome.runtime.lastError });
+    });
+    return true;
+  }
+  
+  if (message.type === 'LOAD_CANDLES') {
+    const key = candleKey(message.symbol);
+    chrome.storage.local.get([key], (result) => {
+      sendResponse({ data: result[key] || null });
+    });
+    return true;
+  }
+  
+  if (message.type === 'SAVE_LEARNING') {
+    const key = learningKey(message.symbol);
+    chrome.storage.local.set({ [key]: message.data }, () => {
+      sendResponse({ success: !chrome.runtime.lastError });
+    });
+    return true;
+  }
+  
+  if (message.type === 'LOAD_LEARNING') {
+    const key = learningKey(message.symbol);
+    chrome.storage.local.get([key], (result) => {
+      sendResponse({ data: result[key] || null });
+    });
+    return true;
+  }
+  
+  if (message.type === 'LOAD_BACKTESTER') {
+    // Offline tool - injected on demand into the requesting content script's world, not shipped in every page
+    chrome.scripting.executeScript({
+      target: { tabId: sender.tab.id, frameIds: [sender.frameId] },
+      files: ['backtester.js']
+    }).then(() => {
+      sendResponse({ success: true });
+    }).catch(e => {
+      sendResponse({ success: false, error: e.message });
+    });
+    return true;
+  }
+  
   return false;
 });
 
@@ -0,0 +1,218 @@
+/**
+ * Pocket Scout - Offline Backtester
+ * Replays recorded M1 candles through every strategy and resolves each signal at expiry.
+ * Not in the content-script bundle: background.js injects it when the first RUN_BACKTEST arrives.
+ */
+
+window.Backtester = (function() {
+  'use strict';
+
+  const DEFAULTS = {
+    payout: 0.85,        // Fraction paid on a win (stake is lost on a loss, refunded on a tie)
+    stake: 1,
+    warmup: 50,          // Candles required before the first decision (matches WARMUP_CANDLES)
+    lookback: 150,       // Candle window passed to each strategy (bounds per-decision indicator cost)
+    interval: 3,         // Decide every N candles - mirrors the cyclic engine interval
+    duration: 3,         // Expiry in minutes for strategies that don't choose one
+    minConfidence: 0,
+    trendFilter: null    // { timeframe: 'M5', period: 20 } - skip trades against the closed higher-timeframe trend
+  };
+
+  const registeredStrategies = [];
+
+  /**
+   * Register an extra strategy: { id, name, analyze(candles, indicators) -> { action, confidence, duration, isFallback } | null }
+   * indicators is a StreamingIndicators cache for the candle window, shared by all strategies at that candle.
+   * Set timeframe: 'M5' (etc.) to receive aggregated candles (and their own cache) instead of M1 - expiry stays in minutes
+   */
+  function registerStrategy(strategy) {
+    if (!strategy || !strategy.id || typeof strategy.analyze !== 'function') {
+      console.warn('[Backtester] Invalid strategy registration', strategy);
+      return;
+    }
+    const existing = registeredStrategies.findIndex(s => s.id === strategy.id);
+    if (existing >= 0) {
+      registeredStrategies[existing] = strategy;
+    } else {
+      registeredStrategies.push(strategy);
+    }
+  }
+
+  // Wrap every IndicatorGroups entry as a candle-window strategy
+  function getGroupStrategies() {
+    if (!window.IndicatorGroups) return [];
+    return window.IndicatorGroups.getAllGroups().map(group => ({
+      id: group.id,
+      name: group.name,
+      analyze: (candles, indicators) => group.analyze(window.IndicatorGroups.buildData(candles, indicators))
+    }));
+  }
+
+  function getDefaultStrategies() {
+    return [...registeredStrategies, ...getGroupStrategies()];
+  }
+
+  function createStats(strategy) {
+    return {
+      id: strategy.id,
+      name: strategy.name || strategy.id,
+      trades: 0,
+      wins: 0,
+      losses: 0,
+      ties: 0,
+      fallbackTrades: 0,
+      filteredTrades: 0, // Rejected by the higher-timeframe trend filter
+      netProfit: 0,
+      currentLosingStreak: 0,
+      maxLosingStreak: 0,
+      equityCurve: []
+    };
+  }
+
+  function recordTrade(stats, trade, options) {
+    stats.trades++;
+    if (trade.isFallback) stats.fallbackTrades++;
+
+    let pnl = 0;
+    if (trade.result === 'WIN') {
+      stats.wins++;
+      stats.currentLosingStreak = 0;
+      pnl = options.stake * options.payout;
+    } else if (trade.result === 'LOSS') {
+      stats.losses++;
+      stats.currentLosingStreak++;
+      stats.maxLosingStreak = Math.max(stats.maxLosingStreak, stats.currentLosingStreak);
+      pnl = -options.stake;
+    } else {
+      stats.ties++; // Refund - streak unchanged
+    }
+
+    stats.netProfit += pnl;
+    stats.equityCurve.push({ t: trade.exitTime, equity: stats.netProfit });
+  }
+
+  function finalizeStats(stats) {
+    const decided = stats.wins + stats.losses;
+    const { currentLosingStreak, ...result } = stats;
+    return {
+      ...result,
+      winRate: decided > 0 ? (stats.wins / decided) * 100 : 0,
+      expectancy: stats.trades > 0 ? stats.netProfit / stats.trades : 0
+    };
+  }
+
+  /**
+   * Replay candles through all strategies.
+   * A decision at candle i enters at its close and exits at the close of candle i + duration.
+   */
+  function run(candles, userOptions = {}) {
+    const options = { ...DEFAULTS, ...userOptions };
+    const strategies = options.strategies || getDefaultStrategies();
+
+    if (!Array.isArray(candles) || candles.length <= options.warmup) {
+      console.warn(`[Backtester] Need more than ${options.warmup} candles, got ${candles ? candles.length : 0}`);
+      return null;
+    }
+
+    const startedAt = Date.now();
+    const statsById = {};
+    strategies.forEach(s => { statsById[s.id] = createStats(s); });
+
+    const TA = window.TimeframeAggregator;
+    const filter = options.trendFilter;
+    // M1 candles needed for the filter's EMA on closed higher-timeframe candles
+    const filterWindow = filter ? (filter.period || TA.TREND_PERIOD) * TA.toMinutes(filter.timeframe) * 2 : 0;
+
+    for (let i = options.warmup - 1; i < candles.length - 1; i += options.interval) {
+      const history = candles.slice(Math.max(0, i + 1 - options.lookback), i + 1);
+      const entry = candles[i];
+      const indicators = window.StreamingIndicators.fromCandles(history);
+      const higherTrend = filter
+        ? TA.getTrend(candles.slice(Math.max(0, i + 1 - filterWindow), i + 1), filter.timeframe, filter.period)
+        : null;
+
+      for (const strategy of strategies) {
+        let analysis = null;
+        try {
+          if (strategy.timeframe && strategy.timeframe !== 'M1') {
+            const aggregated = TA.aggregate(history, strategy.timeframe);
+            analysis = strategy.analyze(aggregated, window.StreamingIndicators.fromCandles(aggregated));
+          } else {
+            analysis = strategy.analyze(history, indicators);
+          }
+        } catch (e) {
+          console.warn(`[Backtester] Strategy ${strategy.id} failed at candle ${i}:`, e);
+        }
+        if (!analysis || !analysis.action || (analysis.confidence || 0) < options.minConfidence) continue;
+
+        if (TA.opposesTrend(higherTrend, analysis.action)) {
+          statsById[strategy.id].filteredTrades++;
+          continue;
+        }
+
+        const duration = Math.max(1, Math.round(analysis.duration || options.duration));
+        const exitIndex = i + duration;
+        if (exitIndex >= candles.length) continue; // Expiry beyond recorded history
+
+        const entryPrice = entry.c;
+        const exitPrice = candles[exitIndex].c;
+        let result = 'TIE';
+        if (exitPrice !== entryPrice) {
+          const up = exitPrice > entryPrice;
+          result = (analysis.action === 'BUY') === up ? 'WIN' : 'LOSS';
+        }
+
+        recordTrade(statsById[strategy.id], {
+          result,
+          exitTime: candles[exitIndex].t + 60000,
+          isFallback: !!analysis.isFallback
+        }, options);
+      }
+    }
+
+    const results = Object.values(statsById).map(finalizeStats);
+    const ranking = results
+      .filter(r => r.trades > 0)
+      .sort((a, b) => b.expectancy - a.expectancy)
+      .map(r => r.id);
+
+    const report = {
+      candles: candles.length,
+      from: candles[0].t,
+      to: candles[candles.length - 1].t,
+      options: { payout: options.payout, stake: options.stake, interval: options.interval, lookback: options.lookback, trendFilter: filter },
+      strategies: results,
+      ranking,
+      elapsedMs: Date.now() - startedAt
+    };
+
+    console.log(`[Backtester] ✅ ${strategies.length} strategies over ${candles.length} candles in ${report.elapsedMs}ms | Best: ${ranking[0] || 'n/a'}`);
+    return report;
+  }
+
+  // Compact table (no equity curves) for console.table / panels
+  function summarize(report) {
+    if (!report) return [];
+    return report.strategies.map(s => ({
+      id: s.id,
+      trades: s.trades,
+      winRate: Number(s.winRate.toFixed(1)),
+      expectancy: Number(s.expectancy.toFixed(3)),
+      netProfit: Number(s.netProfit.toFixed(2)),
+      maxLosingStreak: s.maxLosingStreak,
+      ties: s.ties,
+      fallback: s.fallbackTrades,
+      filtered: s.filteredTrades
+    }));
+  }
+
+  return {
+    run,
+    summarize,
+    registerStrategy,
+    getDefaultStrategies,
+    DEFAULTS
+  };
+})();
+
+console.log('[Pocket Scout] Backtester loaded - offline strategy replay');
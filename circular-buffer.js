@@ -58,6 +58,14 @@ window.CircularBuffer = (function() {
       return result;
     }
 
+    clear() {
+      this.buffer = new Array(this.maxSize);
+      this.head = 0;
+      this.tail = 0;
+      this.size = 0;
+      this.isFull = false;
+    }
+
     getLastCandle() {
       if (this.size === 0) return null;
       const lastIndex = this.head === 0 ? this.maxSize - 1 : this.head - 1;
@@ -65,25 +73,37 @@ window.CircularBuffer = (function() {
     }
   }
 
-  let instance = null;
+  // One buffer per key (symbol) so switching assets never mixes prices
+  const instances = {};
 
-  function getInstance() {
-    if (!instance) {
+  function getInstance(key = 'default') {
+    if (!instances[key]) {
       const buffer = new CandleBuffer(MAX_CANDLES);
       
-      instance = {
+      instances[key] = {
+        key,
         add: (candle) => buffer.push(candle),
         getAll: () => buffer.toArray(),
         getLatest: () => buffer.getLastCandle(),
         size: () => buffer.size,
         capacity: MAX_CANDLES,
-        updateLast: (updates) => buffer.updateLast(updates)
+        updateLast: (updates) => buffer.updateLast(updates),
+        clear: () => buffer.clear(),
+        // Replace contents with restored candles (oldest first, newest kept on overflow)
+        load: (candles) => {
+          buffer.clear();
+          candles.slice(-MAX_CANDLES).forEach(c => buffer.push(c));
+        }
       };
     }
-    return instance;
+    return instances[key];
+  }
+
+  function getKeys() {
+    return Object.keys(instances);
   }
 
-  return { getInstance, MAX_CANDLES };
+  return { getInstance, getKeys, MAX_CANDLES };
 })();
 
 console.log('[Pocket Scout Time] Circular Buffer loaded - 2000 candles capacity');
@@ -0,0 +1,150 @@
+/**
+ * Pocket Scout v5.0 WIN - Confidence Calibrator
+ * Maps the engine's raw confidence score to an observed win probability, fitted on the
+ * resolved signals of the ledger: Platt scaling while data is thin, isotonic regression after
+ */
+
+window.ConfidenceCalibrator = (function() {
+  'use strict';
+
+  const MIN_SAMPLES = 20;            // Below this no calibration is attempted
+  const ISOTONIC_MIN_SAMPLES = 150;  // Isotonic steps need this many outcomes to be stable
+  const PLATT_ITERATIONS = 50;
+  const DIAGRAM_BIN_WIDTH = 10;      // Reliability diagram bins, in confidence points
+
+  // Decided outcomes as { x: confidence 0-1, y: 1 win / 0 loss }, ascending by x
+  function toSamples(signals) {
+    return signals
+      .filter(s => (s.result === 'WIN' || s.result === 'LOSS') && Number.isFinite(s.confidence))
+      .map(s => ({ x: s.confidence / 100, y: s.result === 'WIN' ? 1 : 0 }))
+      .sort((a, b) => a.x - b.x);
+  }
+
+  function sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+  }
+
+  /**
+   * Platt scaling: p = sigmoid(a·x + b), fitted by Newton's method on
+   * Platt's smoothed targets so a handful of outcomes can't produce 0% / 100%
+   */
+  function fitPlatt(samples) {
+    const positives = samples.filter(s => s.y === 1).length;
+    const negatives = samples.length - positives;
+    const hi = (positives + 1) / (positives + 2);
+    const lo = 1 / (negatives + 2);
+
+    let a = 0;
+    let b = Math.log((positives + 1) / (negatives + 1));
+    for (let i = 0; i < PLATT_ITERATIONS; i++) {
+      let gA = 0, gB = 0, hAA = 0, hAB = 0, hBB = 0;
+      samples.forEach(s => {
+        const p = sigmoid(a * s.x + b);
+        const t = s.y === 1 ? hi : lo;
+        const w = Math.max(p * (1 - p), 1e-12);
+        gA += (p - t) * s.x;
+        gB += p - t;
+        hAA += w * s.x * s.x;
+        hAB += w * s.x;
+        hBB += w;
+      });
+      const det = hAA * hBB - hAB * hAB;
+      if (Math.abs(det) < 1e-12) break;
+      const dA = (hBB * gA - hAB * gB) / det;
+      const dB = (hAA * gB - hAB * gA) / det;
+      a -= dA;
+      b -= dB;
+      if (Math.abs(dA) < 1e-9 && Math.abs(dB) < 1e-9) break;
+    }
+    return { method: 'platt', a, b };
+  }
+
+  /**
+   * Isotonic regression by pool-adjacent-violators: a non-decreasing step function of
+   * confidence. Each step is Laplace-smoothed and steps are joined linearly at their mean x.
+   */
+  function fitIsotonic(samples) {
+    const blocks = [];
+    samples.forEach(s => {
+      blocks.push({ sumX: s.x, wins: s.y, n: 1 });
+      while (blocks.length > 1) {
+        const last = blocks[blocks.length - 1];
+        const prev = blocks[blocks.length - 2];
+        if (prev.wins / prev.n < last.wins / last.n) break; // Equal rates pool too - fewer, sturdier steps
+        blocks.splice(-2, 2, { sumX: prev.sumX + last.sumX, wins: prev.wins + last.wins, n: prev.n + last.n });
+      }
+    });
+    const points = blocks.map(b => ({ x: b.sumX / b.n, p: (b.wins + 1) / (b.n + 2), n: b.n }));
+    return { method: 'isotonic', points };
+  }
+
+  /**
+   * Fit a calibration model on ledger signals. Returns null until MIN_SAMPLES outcomes exist.
+   * Pass { method: 'platt' | 'isotonic' } to force a method.
+   */
+  function fit(signals, options = {}) {
+    const samples = toSamples(signals || []);
+    if (samples.length < MIN_SAMPLES) return null;
+
+    const method = options.method || (samples.length >= ISOTONIC_MIN_SAMPLES ? 'isotonic' : 'platt');
+    const model = method === 'isotonic' ? fitIsotonic(samples) : fitPlatt(samples);
+    model.samples = samples.length;
+    model.fittedAt = Date.now();
+    return model;
+  }
+
+  // Calibrated win probability (0-1) for a raw confidence (0-100), or null without a model
+  function predict(model, confidence) {
+    if (!model || !Number.isFinite(confidence)) return null;
+    const x = confidence / 100;
+
+    if (model.method === 'platt') {
+      return sigmoid(model.a * x + model.b);
+    }
+
+    const points = model.points;
+    if (x <= points[0].x) return points[0].p;
+    const last = points[points.length - 1];
+    if (x >= last.x) return last.p;
+    const i = points.findIndex(pt => pt.x >= x);
+    const left = points[i - 1];
+    const right = points[i];
+    return left.p + (right.p - left.p) * (x - left.x) / (right.x - left.x);
+  }
+
+  /**
+   * Reliability diagram data: per confidence bin, the mean raw confidence, the mean
+   * calibrated probability and the observed win rate. Perfect calibration has calibrated ≈ observed.
+   */
+  function reliability(model, signals) {
+    const bins = {};
+    toSamples(signals || []).forEach(s => {
+      const from = Math.min(100 - DIAGRAM_BIN_WIDTH, Math.floor((s.x * 100) / DIAGRAM_BIN_WIDTH) * DIAGRAM_BIN_WIDTH);
+      const bin = bins[from] || (bins[from] = { from, to: from + DIAGRAM_BIN_WIDTH, n: 0, wins: 0, sumRaw: 0, sumCalibrated: 0 });
+      bin.n++;
+      bin.wins += s.y;
+      bin.sumRaw += s.x;
+      bin.sumCalibrated += model ? predict(model, s.x * 100) : s.x;
+    });
+
+    return Object.values(bins)
+      .sort((a, b) => a.from - b.from)
+      .map(bin => ({
+        from: bin.from,
+        to: bin.to,
+        n: bin.n,
+        raw: bin.sumRaw / bin.n,
+        calibrated: bin.sumCalibrated / bin.n,
+        observed: bin.wins / bin.n
+      }));
+  }
+
+  return {
+    MIN_SAMPLES,
+    fit,
+    predict,
+    reliability
+  };
+})();
+
+console.log('[Pocket Scout v5 WIN] Confidence Calibrator loaded - Platt / isotonic win probability');
@@ -14,6 +14,7 @@
     PEAK:'AT_PEAK_BAL',            // zapamiętany szczyt salda
     PEAK_TS:'AT_PEAK_TS',
     MIN_PAYOUT:'AT_MIN_PAYOUT',    // minimalny payout % (WYMAGANY)
+    MIN_EV:'AT_MIN_EV',            // minimalne EV % stawki (sygnały z EV; bez EV → próg %)
     COOLDOWN:'AT_COOLDOWN_SEC',    // cooldown symbolu (sek)
     MINIMIZED:'AT_PANEL_MIN',      // panel zwinięty (true/false)
     SKIP_LOW_RW:'AT_SKIP_LOW_RW'   // blokada sygnałów gdy Rolling Window ≤ 15m
@@ -148,9 +149,17 @@
     return conf;
   }
 
+  // EV sygnału (ułamek stawki): przeliczone z bieżącym payoutem gdy PS podaje skalibrowane prawdopodobieństwo
+  function getExpectedValue(sig, payout){
+    const p = Number.isFinite(sig.calibratedConfidence) ? sig.calibratedConfidence / 100 : null;
+    if (p != null && Number.isFinite(payout) && payout > 0) return p * payout - (1 - p);
+    return Number.isFinite(sig.ev) ? sig.ev : null;
+  }
+
   // wybór NAJWIĘKSZEGO sygnału ≥ próg (confidence desc, potem minuty asc)
   // V18.0.17: Enhanced to properly handle auto-promoted signals and timestamp freshness
-  function pickSignal(feed, thr){
+  // Sygnały z EV (Pocket Scout v5) przechodzą przez minEv zamiast progu confidence
+  function pickSignal(feed, thr, minEv, payout){
     if(!feed || !Array.isArray(feed)) return null;
     
     const now = Date.now();
@@ -162,6 +171,8 @@
       const okMin = Number.isFinite(mins) && mins>=1 && mins<=15;
       const okAct = action==='BUY' || action==='SELL';
       const conf = getConfidence(it);
+      const ev = getExpectedValue(it, payout);
+      const okGate = ev != null ? ev * 100 >= minEv : conf >= thr;
       
       // V2.9.0: Check signal freshness using timestamp (Pocket Scout v3.0 compatibility)
       const signalTimestamp = it.timestamp || 0;
@@ -169,13 +180,14 @@
       const isFresh = signalTimestamp > 0 && signalAge <= MAX_SIGNAL_AGE_MS;
       
       // V2.9.0: Support both auto-promoted signals and Pocket Scout v3.0 signals
-      const isValid = okMin && okAct && conf >= thr && isFresh;
+      const isValid = okMin && okAct && okGate && isFresh;
       
       // V2.9.0: Enhanced logging for Pocket Scout v3.0 signals
       if (isValid) {
         const source = it.duration !== undefined && it.wr !== undefined ? 'PS v3.0' : (it.isAutoPromoted ? 'Auto-promoted' : 'Legacy');
         const wr = it.wr !== undefined ? ` | WR:${it.wr.toFixed(1)}%` : '';
-        console.log(`[AutoTrader] ✅ Valid candidate [${source}]: ${action} @ ${conf}%${wr} (${mins}min, age: ${Math.round(signalAge/1000)}s)`);
+        const evTxt = ev != null ? ` | EV:${(ev*100).toFixed(1)}%` : '';
+        console.log(`[AutoTrader] ✅ Valid candidate [${source}]: ${action} @ ${conf}%${wr}${evTxt} (${mins}min, age: ${Math.round(signalAge/1000)}s)`);
       }
       
       if (!isFresh && signalTimestamp > 0) {
@@ -194,11 +206,15 @@
         action: (it.action || '').toUpperCase(),
         minutes: getMinutes(it),
         confidence: getConfidence(it),
+        ev: getExpectedValue(it, payout),
         wr: it.wr || 0, // Include WR in sorting
         __i: idx,
         __isAutoPromoted: it.isAutoPromoted || false
       }))
       .sort((a,b)=> {
+        // EV first: signals with EV ahead of legacy ones, then EV (desc)
+        if ((a.ev != null) !== (b.ev != null)) return a.ev != null ? -1 : 1;
+        if (a.ev != null && b.ev !== a.ev) return b.ev - a.ev;
         // Primary: confidence (desc)
         if (b.confidence !== a.confidence) return b.confidence - a.confidence;
         // Secondary: WR (desc) - prefer signals with better historical performance
@@ -444,6 +460,7 @@
     peak: lsNum(LS.PEAK, NaN),
     peakTs: localStorage.getItem(LS.PEAK_TS) || null,
     minPayout: lsNum(LS.MIN_PAYOUT, 70),
+    minEv: lsNum(LS.MIN_EV, 0),
     cooldown: lsNum(LS.COOLDOWN, COOLDOWN_SEC_DEFAULT),
     minimized: lsBool(LS.MINIMIZED, false),
     skipLowRW: lsBool(LS.SKIP_LOW_RW, true) // ✅ DEFAULT: ON (block RW ≤15min)
@@ -475,6 +492,8 @@
           <input id="at-thr" type="number" min="1" max="100" step="1" style="width:120px;background:#000;color:#0f0;border:1px solid #345;border-radius:6px;padding:2px 6px;text-align:right;">
           <label>Min payout (%)</label>
           <input id="at-payout" type="number" min="1" max="100" step="1" style="width:120px;background:#000;color:#0f0;border:1px solid #345;border-radius:6px;padding:2px 6px;text-align:right;">
+          <label>Min EV (% stawki) <span style="color:#888;font-size:10px;">sygnały z EV</span></label>
+          <input id="at-ev" type="number" min="-100" max="100" step="0.5" style="width:120px;background:#000;color:#0f0;border:1px solid #345;border-radius:6px;padding:2px 6px;text-align:right;">
           <label>Cooldown (sekundy) <span style="color:#888;font-size:10px;">0-300</span></label>
           <input id="at-cooldown" type="number" min="0" max="300" step="1" style="width:120px;background:#000;color:#0f0;border:1px solid #345;border-radius:6px;padding:2px 6px;text-align:right;">
           <label>STOP saldo (kwota)</label>
@@ -509,6 +528,7 @@
 
     const thrInput = box.querySelector('#at-thr'); thrInput.value = String(state.thr);
     const payoutInput = box.querySelector('#at-payout'); payoutInput.value = String(state.minPayout);
+    const evInput = box.querySelector('#at-ev'); evInput.value = String(state.minEv);
     const cooldownInput = box.querySelector('#at-cooldown'); cooldownInput.value = String(state.cooldown);
     const stopInput = box.querySelector('#at-stop'); stopInput.value = state.stopAbs>0 ? String(state.stopAbs.toFixed(2)) : '0';
     const ddInput = box.querySelector('#at-dd'); ddInput.value = state.ddPct>0 ? String(state.ddPct) : '0';
@@ -540,6 +560,9 @@
       localStorage.setItem(LS.THRESHOLD,String(state.thr)); });
     payoutInput.addEventListener('change', ()=>{ state.minPayout = clamp(parseInt(payoutInput.value||'70',10)||70,1,100);
       localStorage.setItem(LS.MIN_PAYOUT,String(state.minPayout)); });
+    evInput.addEventListener('change', ()=>{ const v=parseFloat((evInput.value||'0').replace(',','.'));
+      state.minEv = clamp(Number.isFinite(v)?v:0,-100,100); evInput.value=String(state.minEv);
+      localStorage.setItem(LS.MIN_EV,String(state.minEv)); });
     cooldownInput.addEventListener('change', ()=>{
       const v = clamp(parseInt(cooldownInput.value||'15',10)||15, 0, 300);
       state.cooldown = v; 
@@ -698,10 +721,10 @@
     
     // Read feed and pick signal
     const feed = readPSFeed();
-    const sig = pickSignal(feed, state.thr);
+    const sig = pickSignal(feed, state.thr, state.minEv, payout);
     
     if(!sig){
-      statusSpan.textContent = `status: brak sygnału ≥${state.thr}%`;
+      statusSpan.textContent = `status: brak sygnału ≥${state.thr}% / EV ≥${state.minEv}%`;
       statusSpan.style.color = '#ccc';
       return;
     }
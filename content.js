@@ -27,43 +27,63 @@
   const FEED_KEY = 'PS_AT_FEED';
   const WARMUP_MINUTES = 50; // Need 50 M1 candles for indicators
   const WARMUP_CANDLES = WARMUP_MINUTES;
+  const RESUME_GAP_MINUTES = 1; // Missing minutes tolerated before a restored history needs re-warmup
+  const WS_FEED_SOURCE = 'PS_WS_FEED'; // postMessage tag used by ws-price-feed.js
+  const SCOUT_SOURCE = 'PS_SCOUT'; // postMessage tag for requests to ws-price-feed.js
+  const WS_STALE_MS = 5000; // Fall back to DOM polling when the WebSocket feed goes quiet
+  const TICK_HISTORY_MS = 15 * 60 * 1000; // Ticks kept per symbol for exact-expiry verification
+  const VERIFY_DELAY_MS = 2000; // Let the first post-expiry tick arrive before verifying
+  const PENDING_TIMEOUT_MS = 60 * 60 * 1000; // Give up on signals whose expiry price never shows up
+  const MIN_VOTES_FOR_RANKING = 5; // Indicator votes needed before it can appear in Top Indicators
+  const KEY_LEVELS_SHOWN = 4; // Nearest support/resistance levels listed in the panel
 
-  // State
-  const circularBuffer = window.CircularBuffer.getInstance();
+  // State - buffer, warmup, learning data and stats belong to the active symbol (see activateSymbol)
+  let circularBuffer = window.CircularBuffer.getInstance();
+  let timeframes = window.TimeframeAggregator.getInstance(); // M2-M15 candles derived from circularBuffer
+  let indicators = window.StreamingIndicators.getInstance(); // Per-candle indicator cache over circularBuffer
   let ohlcM1 = [];
   let lastPrice = null;
+  let lastTickTime = null; // Timestamp of lastPrice (server time when it came from the WebSocket)
+  const recentTicks = {}; // symbol -> [{ t, price }]
+  let pendingSignals = []; // Signals waiting for their expiry price
   let warmupComplete = false;
+  let currentSymbol = null;
+  let switchingSymbol = false;
+  let lastWsTickAt = 0;
+  let serverClockOffset = 0; // Server tick time - local time, from the last WebSocket tick
+  let candleGap = null; // { minutes, from, to } when restored history is behind the live chart
+  let gapCandlesRemaining = 0; // Live candles still required to cover the gap
   let lastSignal = null;
-  let signalHistory = [];
-  const MAX_HISTORY = 100; // Track more history for learning
+  let signalHistory = []; // Signal ledger (newest first) - persisted via background.js
+  const MAX_HISTORY = 2000; // Ledger entries kept across reloads (exported as the signal journal)
+  let calibration = null; // ConfidenceCalibrator model fitted on the active symbol's ledger
+  let analytics = null; // Cached panel analytics - see getAnalytics()
   
-  // Win Rate tracking
-  let totalSignals = 0;
-  let winningSignals = 0;
-  let losingSignals = 0;
+  // Win Rate tracking - trend fallback signals keep their own track so they can't skew the AI win rate
+  let stats = window.SignalEngine.createStats();
+  let fallbackStats = window.SignalEngine.createStats();
+  const outcomeEvents = window.SignalEngine.createEmitter(); // 'signal:resolved' for this page's signals only
   
   // Configurable signal interval (minutes)
   let signalIntervalMinutes = 3; // Default 3 minutes (optimized for M3 trading)
   
-  // Advanced Learning System with NEW INDICATORS
-  // v4.0 weights: Added Williams %R, CCI, Awesome Oscillator
-  let learningData = {
-    indicatorWeights: { 
-      rsi: 4.0,          // 54.9% WR - best performer
-      williamsR: 3.5,    // NEW - expected 55-60% WR in RANGING
-      cci: 3.0,          // NEW - expected 58-62% WR in RANGING
-      ao: 2.5,           // NEW - Awesome Oscillator for momentum
-      bb: 2.0,           // Bollinger Bands
-      stoch: 2.0,        // Stochastic
-      macd: 0.5,         // 0% WR - kept minimal
-      ema: 0.5           // 0% WR - kept minimal
-    },
-    successfulPatterns: [],
-    failedPatterns: [],
-    bestConfidenceRange: {}
-  };
+  // Signal mode: VOTE = weighted indicator votes, RL = DQN-selected indicator group
+  const SIGNAL_MODES = ['VOTE', 'RL'];
+  let signalMode = 'VOTE';
+  let rlReady = false;
+  
+  // No setup: HOLD = publish a no-trade outcome, TREND = legacy EMA50 trend fallback trade
+  const FALLBACK_MODES = ['HOLD', 'TREND'];
+  let fallbackMode = 'HOLD';
+  let lastHold = null; // Latest HOLD outcome, shown until the next real signal
+  
+  // Higher-timeframe filter: HOLD instead of trading against the closed-candle trend (same rule as the backtester's trendFilter)
+  const TREND_FILTERS = ['OFF', 'M5', 'M15'];
+  let trendFilter = 'OFF';
+  
+  // Advanced Learning System - weights and patterns owned by SignalEngine
+  let learningData = window.SignalEngine.createLearningData();
   
-  // REMOVED: Multi-Timeframe buffers (MTF had 100% conflicts on M3)
   let currentMarketRegime = 'TRENDING';
 
   // UI Elements
@@ -79,42 +99,94 @@
         if (signalIntervalMinutes > 10) signalIntervalMinutes = 10;
       }
       
-      const savedStats = localStorage.getItem('PS_STATS');
-      if (savedStats) {
-        const stats = JSON.parse(savedStats);
-        totalSignals = stats.total || 0;
-        winningSignals = stats.wins || 0;
-        losingSignals = stats.losses || 0;
+      const savedMode = localStorage.getItem('PS_SIGNAL_MODE');
+      if (savedMode && SIGNAL_MODES.includes(savedMode)) {
+        signalMode = savedMode;
       }
       
-      const savedLearning = localStorage.getItem('PS_LEARNING_DATA');
-      if (savedLearning) {
-        learningData = JSON.parse(savedLearning);
+      const savedFallback = localStorage.getItem('PS_FALLBACK_MODE');
+      if (savedFallback && FALLBACK_MODES.includes(savedFallback)) {
+        fallbackMode = savedFallback;
+      }
+      
+      const savedTrendFilter = localStorage.getItem('PS_TREND_FILTER');
+      if (savedTrendFilter && TREND_FILTERS.includes(savedTrendFilter)) {
+        trendFilter = savedTrendFilter;
       }
     } catch (e) {
       console.warn('[Pocket Scout v5 WIN] Error loading settings:', e);
     }
   }
   
-  // Save settings to localStorage
+  // Load stats and learning data for one symbol (pre-v5 global stats migrate to the first real symbol
+  // without stats of its own - the UNKNOWN placeholder leaves them in place)
+  async function loadSymbolSettings(symbol) {
+    stats = window.SignalEngine.createStats();
+    fallbackStats = window.SignalEngine.createStats();
+    
+    try {
+      const symbolStats = localStorage.getItem(`PS_STATS_${symbol}`);
+      const legacyStats = !symbolStats && symbol !== 'UNKNOWN' ? localStorage.getItem('PS_STATS') : null;
+      
+      const savedStats = symbolStats || legacyStats;
+      if (savedStats) {
+        const saved = JSON.parse(savedStats);
+        stats = {
+          total: saved.total || 0,
+          wins: saved.wins || 0,
+          losses: saved.losses || 0,
+          ties: saved.ties || 0
+        };
+      }
+      
+      const savedFallbackStats = localStorage.getItem(`PS_FALLBACK_STATS_${symbol}`);
+      if (savedFallbackStats) {
+        fallbackStats = { ...fallbackStats, ...JSON.parse(savedFallbackStats) };
+      }
+      
+      if (legacyStats) {
+        localStorage.removeItem('PS_STATS');
+        saveSettings();
+        console.log(`[Pocket Scout v5 WIN] 📦 Migrated stats to ${symbol}`);
+      }
+    } catch (e) {
+      console.warn(`[Pocket Scout v5 WIN] Error loading settings for ${symbol}:`, e);
+    }
+    
+    // Learning data lives in chrome.storage (migrated from localStorage on first load)
+    learningData = await window.LearningStore.load(symbol);
+  }
+  
+  // Save settings to localStorage (small values only - learning data goes through saveLearningData)
   function saveSettings() {
     try {
       localStorage.setItem('PS_SIGNAL_INTERVAL', signalIntervalMinutes.toString());
-      localStorage.setItem('PS_STATS', JSON.stringify({
-        total: totalSignals,
-        wins: winningSignals,
-        losses: losingSignals
-      }));
-      localStorage.setItem('PS_LEARNING_DATA', JSON.stringify(learningData));
+      localStorage.setItem('PS_SIGNAL_MODE', signalMode);
+      localStorage.setItem('PS_FALLBACK_MODE', fallbackMode);
+      localStorage.setItem('PS_TREND_FILTER', trendFilter);
+      if (currentSymbol) {
+        localStorage.setItem(`PS_STATS_${currentSymbol}`, JSON.stringify(stats));
+        localStorage.setItem(`PS_FALLBACK_STATS_${currentSymbol}`, JSON.stringify(fallbackStats));
+      }
     } catch (e) {
       console.warn('[Pocket Scout v5 WIN] Error saving settings:', e);
     }
   }
   
+  // Persist learning data for the active symbol - only changes when a signal is learned from
+  function saveLearningData() {
+    window.LearningStore.save(currentSymbol, learningData);
+  }
+  
+  // Refit confidence → win probability on the active symbol's resolved signals
+  function refitCalibration() {
+    calibration = window.ConfidenceCalibrator.fit(signalHistory.filter(s => s.symbol === currentSymbol && !s.isFallback));
+    invalidateAnalytics();
+  }
+  
   // Calculate Win Rate
   function calculateWinRate() {
-    if (totalSignals === 0) return 0;
-    return (winningSignals / totalSignals) * 100;
+    return window.SignalEngine.calculateWinRate(stats);
   }
 
   // Read price from DOM
@@ -149,16 +221,299 @@
     return null;
   }
 
+  // WebSocket feed is live if a tick for the active asset arrived recently
+  function isWsFeedLive() {
+    return Date.now() - lastWsTickAt < WS_STALE_MS;
+  }
+
+  // Local time moved onto the server clock of the WebSocket ticks, so DOM-polled ticks share their timeline
+  function serverNow() {
+    return Date.now() + serverClockOffset;
+  }
+
+  // "EUR/USD OTC" (chart header) and "EURUSD_otc" (socket asset id) compare equal
+  function normalizeAsset(name) {
+    return String(name || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  // Ticks and chart history decoded by ws-price-feed.js in the page world
+  function handleFeedMessage(event) {
+    if (event.source !== window || !event.data || event.data.source !== WS_FEED_SOURCE) return;
+    if (switchingSymbol || !currentSymbol) return;
+    
+    if (event.data.type === 'HISTORY') {
+      if (normalizeAsset(event.data.asset) === normalizeAsset(currentSymbol) && Array.isArray(event.data.candles)) {
+        bootstrapFromHistory(event.data.candles);
+      }
+      return;
+    }
+    
+    if (event.data.type !== 'TICKS' || !Array.isArray(event.data.ticks)) return;
+    
+    // Until the chart's asset is known there is no telling which stream is ours - drop ticks rather than
+    // mix assets into one buffer (the DOM price keeps feeding it and syncActiveSymbol switches once it's read)
+    if (currentSymbol === 'UNKNOWN') return;
+    
+    const active = normalizeAsset(currentSymbol);
+    for (const tick of event.data.ticks) {
+      // Other assets may stream alongside the chart - only the active one builds candles
+      if (normalizeAsset(tick.asset) !== active) continue;
+      lastWsTickAt = Date.now();
+      serverClockOffset = tick.t - lastWsTickAt;
+      pushTick(tick.t, tick.price);
+    }
+  }
+
+  // Ask the page-world hook to replay chart history it captured before we were listening
+  function requestChartHistory() {
+    window.postMessage({ source: SCOUT_SOURCE, type: 'REQUEST_HISTORY', asset: currentSymbol }, window.location.origin);
+  }
+
+  // Bulk-load chart history (closed M1 candles) into the active buffer
+  function bootstrapFromHistory(history) {
+    const candles = history.filter(c => c && [c.t, c.o, c.h, c.l, c.c].every(Number.isFinite));
+    if (candles.length === 0) return;
+    
+    // History is authoritative for closed minutes; the forming live candle (if ticks arrived) is kept as is
+    const forming = lastPrice !== null ? circularBuffer.getLatest() : null;
+    const byTime = new Map();
+    ohlcM1.forEach(c => byTime.set(c.t, c));
+    candles.forEach(c => {
+      if (!forming || c.t < forming.t) {
+        byTime.set(c.t, { t: c.t, o: c.o, h: c.h, l: c.l, c: c.c });
+      }
+    });
+    
+    const before = ohlcM1.length;
+    circularBuffer.load(Array.from(byTime.values()).sort((a, b) => a.t - b.t));
+    ohlcM1 = circularBuffer.getAll();
+    timeframes.rebuild();
+    indicators.rebuild();
+    invalidateAnalytics();
+    
+    // History that reaches the live chart closes any restore gap
+    const lastHistory = candles[candles.length - 1];
+    if (candleGap && lastHistory.t >= candleGap.to - 60000) {
+      candleGap = null;
+      gapCandlesRemaining = 0;
+    }
+    
+    console.log(`[Pocket Scout v5 WIN] 📜 Chart history for ${currentSymbol}: ${candles.length} candles | Buffer ${before} → ${ohlcM1.length}`);
+    
+    saveCandleHistory();
+    checkWarmup();
+    checkPendingSignals();
+    updateUI();
+  }
+
+  // Current payout of the active asset as a fraction (0.92 for 92%) - same widgets the Auto Trader reads
+  function readPayoutFromDom() {
+    const selectors = [
+      '#put-call-buttons-chart-1 .value__val-start',
+      '[id^="put-call-buttons-chart"] .value__val-start',
+      '.payout__percent',
+      '.payout .payout__value',
+      '.payout__text'
+    ];
+    
+    for (const selector of selectors) {
+      const elements = document.querySelectorAll(selector);
+      for (const element of elements) {
+        if (element.offsetParent === null) continue;
+        
+        const match = element.textContent.trim().match(/(\d{1,3})(?:[.,](\d+))?/);
+        const percent = match ? parseFloat(`${match[1]}.${match[2] || 0}`) : NaN;
+        
+        if (percent > 0 && percent <= 100) {
+          return percent / 100;
+        }
+      }
+    }
+    
+    return null;
+  }
+
+  // Read the active asset name from the chart header
+  function readSymbolFromDom() {
+    const selectors = [
+      '#pending-trades_asset > div > button > div > div > div',
+      '.trading__pair .pair__name',
+      '.pair__name',
+      '.header__pair .pair__name',
+      'div.filter-option-inner-inner'
+    ];
+    
+    for (const selector of selectors) {
+      const element = document.querySelector(selector);
+      const text = element && element.textContent ? element.textContent.trim().toUpperCase() : '';
+      if (text && (text.includes('/') || /\bOTC\b/.test(text) || /^[A-Z0-9]{4,12}$/.test(text))) {
+        return text;
+      }
+    }
+    
+    return null;
+  }
+
+  // Load persisted M1 candles for the active symbol into its (empty) buffer
+  async function restoreCandleHistory() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'LOAD_CANDLES', symbol: currentSymbol });
+      const saved = response && response.data;
+      const candles = saved && Array.isArray(saved.candles)
+        ? saved.candles.filter(c => c && Number.isFinite(c.t) && Number.isFinite(c.c))
+        : [];
+      
+      if (candles.length === 0) {
+        console.log(`[Pocket Scout v5 WIN] 💾 No stored candles for ${currentSymbol} - full warmup`);
+        return;
+      }
+      
+      circularBuffer.load(candles);
+    } catch (e) {
+      console.warn('[Pocket Scout v5 WIN] Failed to restore candle history:', e);
+    }
+  }
+
+  // Work out how much warmup is left for a restored (or revisited) buffer
+  function resumeFromBuffer() {
+    ohlcM1 = circularBuffer.getAll();
+    timeframes.rebuild();
+    indicators.rebuild();
+    invalidateAnalytics();
+    const last = circularBuffer.getLatest();
+    if (!last) return;
+    
+    const nowCandleTime = Math.floor(Date.now() / 60000) * 60000;
+    const gapMinutes = Math.max(0, Math.round((nowCandleTime - last.t) / 60000) - 1);
+    
+    if (gapMinutes >= WARMUP_CANDLES) {
+      circularBuffer.clear();
+      ohlcM1 = [];
+      timeframes.rebuild();
+      indicators.rebuild();
+      invalidateAnalytics();
+      console.log(`[Pocket Scout v5 WIN] 💾 Stored candles for ${currentSymbol} are ${gapMinutes} min old - discarded, full warmup`);
+      return;
+    }
+    
+    if (gapMinutes > RESUME_GAP_MINUTES) {
+      // Only the missing portion needs to be re-collected
+      candleGap = { minutes: gapMinutes, from: last.t, to: nowCandleTime };
+      gapCandlesRemaining = gapMinutes;
+      console.log(`[Pocket Scout v5 WIN] 💾 Restored ${ohlcM1.length} candles for ${currentSymbol} | Gap: ${gapMinutes} min - collecting ${gapMinutes} live candles`);
+    } else {
+      console.log(`[Pocket Scout v5 WIN] 💾 Restored ${ohlcM1.length} candles for ${currentSymbol} - resuming immediately`);
+    }
+  }
+
+  // Make a symbol active: its own buffer, warmup status, learning data and stats
+  async function activateSymbol(symbol) {
+    if (currentSymbol) {
+      // Flush the outgoing symbol before its state is swapped out
+      saveCandleHistory();
+      saveSettings();
+      window.LearningStore.flush(currentSymbol);
+      console.log(`[Pocket Scout v5 WIN] 🔀 Asset changed: ${currentSymbol} → ${symbol}`);
+    }
+    
+    currentSymbol = symbol;
+    circularBuffer = window.CircularBuffer.getInstance(symbol);
+    timeframes = window.TimeframeAggregator.getInstance(symbol);
+    indicators = window.StreamingIndicators.getInstance(symbol);
+    lastPrice = null;
+    lastTickTime = null;
+    warmupComplete = false;
+    candleGap = null;
+    gapCandlesRemaining = 0;
+    currentMarketRegime = 'TRENDING';
+    lastSignal = findLastSignal(symbol);
+    refitCalibration();
+    await loadSymbolSettings(symbol);
+    
+    if (circularBuffer.size() === 0) {
+      await restoreCandleHistory();
+    }
+    resumeFromBuffer();
+    updateUI();
+    requestChartHistory();
+    checkPendingSignals();
+  }
+
+  // Follow the asset selected on the chart - returns true while a switch is in progress
+  function syncActiveSymbol() {
+    if (switchingSymbol) return true;
+    
+    const symbol = readSymbolFromDom();
+    if (!symbol || symbol === currentSymbol) return false;
+    
+    switchingSymbol = true;
+    activateSymbol(symbol).finally(() => {
+      switchingSymbol = false;
+    });
+    return true;
+  }
+
+  // Persist the candle buffer (called once per closed candle)
+  function saveCandleHistory() {
+    if (!currentSymbol) return;
+    
+    chrome.runtime.sendMessage({
+      type: 'SAVE_CANDLES',
+      symbol: currentSymbol,
+      data: { symbol: currentSymbol, savedAt: Date.now(), candles: ohlcM1 }
+    }).then(response => {
+      if (response && !response.success) console.warn('[Pocket Scout v5 WIN] Candle history was not saved (storage write failed)');
+    }).catch(e => console.warn('[Pocket Scout v5 WIN] Failed to save candles:', e));
+  }
+
+  // Warmup is complete once there are enough candles and any restore gap is covered
+  function checkWarmup() {
+    // A live price is needed too - the cyclic engine fires its first signal immediately
+    if (warmupComplete || ohlcM1.length < WARMUP_CANDLES || gapCandlesRemaining > 0 || lastPrice === null) {
+      return;
+    }
+    
+    warmupComplete = true;
+    console.log(`[Pocket Scout v5 WIN] ✅ Warmup complete! ${ohlcM1.length} candles`);
+    updateStatusDisplay();
+    
+    // Seed RL bandit weights from the collected history
+    if (rlReady) {
+      window.RLIntegration.warmupBanditFromHistory(ohlcM1);
+    }
+    
+    // Start cyclic engine after warmup
+    if (window.CyclicDecisionEngine) {
+      window.CyclicDecisionEngine.initialize(generateSignal, signalIntervalMinutes);
+    }
+  }
+
+  // Keep a short tick history for the active symbol
+  function recordTick(timestamp, price) {
+    const ticks = recentTicks[currentSymbol] || (recentTicks[currentSymbol] = []);
+    ticks.push({ t: timestamp, price });
+    
+    const cutoff = timestamp - TICK_HISTORY_MS;
+    while (ticks.length > 0 && ticks[0].t < cutoff) {
+      ticks.shift();
+    }
+  }
+
   // Push tick and build M1 candles
   function pushTick(timestamp, price) {
     if (!price || isNaN(price)) return;
     
-    lastPrice = price;
-    updateStatusDisplay();
-    
     const candleTime = Math.floor(timestamp / 60000) * 60000;
     const lastCandle = circularBuffer.getLatest();
     
+    // Late tick from an already closed candle
+    if (lastCandle && candleTime < lastCandle.t) return;
+    
+    lastPrice = price;
+    lastTickTime = timestamp;
+    recordTick(timestamp, price);
+    updateStatusDisplay();
+    
     if (!lastCandle || lastCandle.t < candleTime) {
       // New candle
       const newCandle = {
@@ -168,20 +523,27 @@
         l: price,
         c: price
       };
+      
+      // Mark the first live candle after a restored history gap
+      if (candleGap && lastCandle && lastCandle.t === candleGap.from) {
+        newCandle.gap = Math.round((candleTime - lastCandle.t) / 60000) - 1;
+      }
+      
+      // Previous candle just closed - persist history
+      if (lastCandle) {
+        saveCandleHistory();
+      }
+      
       circularBuffer.add(newCandle);
       ohlcM1 = circularBuffer.getAll();
+      invalidateAnalytics();
       
-      // Check warmup
-      if (!warmupComplete && ohlcM1.length >= WARMUP_CANDLES) {
-        warmupComplete = true;
-        console.log(`[Pocket Scout v5 WIN] ✅ Warmup complete! ${ohlcM1.length} candles`);
-        updateStatusDisplay();
-        
-        // Start cyclic engine after warmup
-        if (window.CyclicDecisionEngine) {
-          window.CyclicDecisionEngine.initialize(generateSignal, signalIntervalMinutes);
-        }
+      if (gapCandlesRemaining > 0) {
+        gapCandlesRemaining--;
       }
+      
+      // A candle just closed - pending expiries may be resolvable now
+      checkPendingSignals();
     } else {
       // Update last candle
       circularBuffer.updateLast({
@@ -191,362 +553,118 @@
       });
       ohlcM1 = circularBuffer.getAll();
     }
+    timeframes.update();
+    indicators.update();
     
-    updateStatusDisplay();
+    // Check warmup (a restored history completes on the first live tick)
+    checkWarmup();
     
-    // REMOVED: buildMultiTimeframeCandles() - MTF had 100% conflicts on M3 interval
+    updateStatusDisplay();
   }
   
-  // REMOVED: buildMultiTimeframeCandles() function - MTF analysis not effective on M3
-  
-  // Detect market regime: TRENDING, RANGING, or VOLATILE
-  function detectMarketRegime(closes, highs, lows) {
-    const TI = window.TechnicalIndicators;
-    const adx = TI.calculateADX(highs, lows, closes, 14);
-    const atr = TI.calculateATR(highs, lows, closes, 14);
-    
-    if (!adx || !atr) return 'TRENDING';
-    
-    const volatility = atr / closes[closes.length - 1];
-    
-    // Determine regime
-    if (volatility > 0.02) {
-      return 'VOLATILE'; // High volatility - chaotic market
-    } else if (adx.adx > 25) {
-      return 'TRENDING'; // Strong trend
-    } else if (adx.adx < 20) {
-      return 'RANGING'; // Consolidation/sideways
-    }
-    
-    return 'TRENDING'; // Default
+  // Closed-candle trend per higher timeframe - null until enough history
+  function getTimeframeTrends() {
+    const trends = {};
+    window.TimeframeAggregator.HIGHER_TIMEFRAMES.forEach(tf => { trends[tf] = timeframes.getTrend(tf); });
+    return trends;
+  }
+
+  // Nearest support/resistance levels with their distance in ATR - empty until ATR is available
+  function getKeyLevels(limit = KEY_LEVELS_SHOWN) {
+    const result = window.SupportResistance.getLevels(ohlcM1, { indicators, symbol: currentSymbol });
+    return result ? result.levels.slice(0, limit) : [];
   }
   
-  // Adjust indicator weights based on market regime
-  function getRegimeAdjustedWeights(regime) {
-    const baseWeights = { ...learningData.indicatorWeights };
-    
-    if (regime === 'TRENDING') {
-      // Boost trend-following indicators
-      baseWeights.macd *= 1.3;
-      baseWeights.ema *= 1.2;
-      baseWeights.ao *= 1.3; // Awesome Oscillator good for trends
-      baseWeights.rsi *= 0.8; // Reduce mean-reversion
-      baseWeights.williamsR *= 0.8;
-      baseWeights.cci *= 0.8;
-      baseWeights.stoch *= 0.8;
-    } else if (regime === 'RANGING') {
-      // Boost mean-reversion indicators - v4.0 STRATEGY
-      baseWeights.rsi *= 1.5;          // Primary for RANGING
-      baseWeights.williamsR *= 1.5;    // NEW - Fast momentum
-      baseWeights.cci *= 1.4;           // NEW - Overbought/oversold
-      baseWeights.stoch *= 1.3;
-      baseWeights.bb *= 1.3;
-      baseWeights.ao *= 0.7;            // Reduce momentum in ranging
-      baseWeights.macd *= 0.6;          // Reduce trend-following
-      baseWeights.ema *= 0.6;
-    } else if (regime === 'VOLATILE') {
-      // Be more conservative in volatile markets
-      baseWeights.rsi *= 0.9;
-      baseWeights.williamsR *= 0.9;
-      baseWeights.cci *= 0.9;
-      baseWeights.macd *= 0.8;
-      baseWeights.ema *= 0.8;
-      baseWeights.bb *= 1.2; // BB works well in volatile
-      baseWeights.stoch *= 0.9;
-      baseWeights.ao *= 0.9;
+  // Panel analytics over the full history / ledger - built once per closed candle or ledger change
+  // and reused by the 1 s countdown refresh and the popup
+  function getAnalytics() {
+    if (!analytics) {
+      const symbolHistory = signalHistory.filter(s => s.symbol === currentSymbol);
+      analytics = {
+        keyLevels: getKeyLevels(),
+        voteSummary: window.SignalEngine.summarizeVotes(symbolHistory),
+        reliability: window.ConfidenceCalibrator.reliability(calibration, symbolHistory),
+        accuracy: window.SignalEngine.getIndicatorAccuracy(learningData).filter(a => a.votes > 0)
+      };
     }
-    
-    return baseWeights;
+    return analytics;
   }
   
-  // REMOVED: checkTimeframeAlignment() - MTF not used in v4.0
-  // REMOVED: analyzeSingleTimeframe() - MTF not used in v4.0
+  function invalidateAnalytics() {
+    analytics = null;
+  }
 
-  // Calculate confidence based on indicator consensus + Market Regime (v4.0: REMOVED MTF)
+  // Analyze the live M1 buffer with the shared signal engine
   function analyzeIndicators() {
     if (!warmupComplete || ohlcM1.length < WARMUP_CANDLES) {
       return null;
     }
-
-    const TI = window.TechnicalIndicators;
-    const closes = ohlcM1.map(c => c.c);
-    const highs = ohlcM1.map(c => c.h);
-    const lows = ohlcM1.map(c => c.l);
     
-    // 1. DETECT MARKET REGIME
-    currentMarketRegime = detectMarketRegime(closes, highs, lows);
-    console.log(`[Pocket Scout v5 WIN] 🌊 Market Regime: ${currentMarketRegime}`);
-
-    // 2. GET REGIME-ADJUSTED WEIGHTS
-    const weights = getRegimeAdjustedWeights(currentMarketRegime);
-
-    // Calculate all indicators (v4.0: Added Williams %R, CCI, Awesome Oscillator)
-    const rsi = TI.calculateRSI(closes, 14);
-    const macd = TI.calculateMACD(closes, 12, 26, 9);
-    const ema9 = TI.calculateEMA(closes, 9);
-    const ema21 = TI.calculateEMA(closes, 21);
-    const ema50 = TI.calculateEMA(closes, 50);
-    const bb = TI.calculateBollingerBands(closes, 20, 2);
-    const adx = TI.calculateADX(highs, lows, closes, 14);
-    const atr = TI.calculateATR(highs, lows, closes, 14);
-    const stoch = TI.calculateStochastic(highs, lows, closes, 14, 3);
-    const williamsR = TI.calculateWilliamsR(highs, lows, closes, 14); // v4.0 NEW
-    const cci = TI.calculateCCI(highs, lows, closes, 20);              // v4.0 NEW
-    const ao = TI.calculateAwesomeOscillator(highs, lows);              // v4.0 NEW
-
-    if (!rsi || !macd || !ema9 || !ema21 || !bb || !adx || !atr) {
-      return null;
-    }
-
-    const currentPrice = closes[closes.length - 1];
-    
-    // Enhanced vote system with REGIME-ADJUSTED weights
-    let buyVotes = 0;
-    let sellVotes = 0;
-    let totalWeight = 0;
-    const reasons = [];
-
-    // RSI vote - Use regime-adjusted weight with ENHANCED THRESHOLDS
-    const rsiWeight = weights.rsi;
-    totalWeight += rsiWeight;
-    let rsiBoost = 0; // Extra boost for extreme RSI values (RSI is only working indicator - 54.9% WR)
-    
-    if (rsi < 30) {
-      const strength = (30 - rsi) / 30; // 0-1 range
-      buyVotes += rsiWeight * strength;
-      rsiBoost = 20; // Strong oversold boost
-      reasons.push(`RSI oversold (${rsi.toFixed(1)}) +20%`);
-    } else if (rsi < 40) {
-      const strength = (40 - rsi) / 40; // 0-1 range
-      buyVotes += rsiWeight * strength;
-      reasons.push(`RSI oversold (${rsi.toFixed(1)})`);
-    } else if (rsi > 70) {
-      const strength = (rsi - 70) / 30; // 0-1 range
-      sellVotes += rsiWeight * strength;
-      rsiBoost = 20; // Strong overbought boost
-      reasons.push(`RSI overbought (${rsi.toFixed(1)}) +20%`);
-    } else if (rsi > 60) {
-      const strength = (rsi - 60) / 40; // 0-1 range
-      sellVotes += rsiWeight * strength;
-      reasons.push(`RSI overbought (${rsi.toFixed(1)})`);
-    } else if (rsi > 40 && rsi < 60) {
-      // Neutral zone - reduce confidence
-      const neutralPenalty = -10;
-      reasons.push(`RSI neutral (${rsi.toFixed(1)}) -10%`);
-      rsiBoost = neutralPenalty;
-    }
-
-    // MACD vote - Use regime-adjusted weight
-    const macdWeight = weights.macd;
-    totalWeight += macdWeight;
-    const macdStrength = Math.min(1, Math.abs(macd.histogram) * 1000);
-    if (macd.histogram > 0 && macd.macd > macd.signal) {
-      buyVotes += macdWeight * macdStrength;
-      reasons.push(`MACD bullish (${macd.histogram.toFixed(5)})`);
-    } else if (macd.histogram < 0 && macd.macd < macd.signal) {
-      sellVotes += macdWeight * macdStrength;
-      reasons.push(`MACD bearish (${macd.histogram.toFixed(5)})`);
+    const analysis = window.SignalEngine.analyzeIndicators(ohlcM1, learningData, { indicators, symbol: currentSymbol });
+    if (analysis) {
+      currentMarketRegime = analysis.regime;
     }
+    return analysis;
+  }
 
-    // EMA Crossover vote - Use regime-adjusted weight
-    const emaWeight = weights.ema;
-    totalWeight += emaWeight;
-    const emaDiff = Math.abs(ema9 - ema21) / ema21;
-    const emaStrength = Math.min(1, emaDiff * 100);
-    if (ema9 > ema21 && currentPrice > ema9) {
-      buyVotes += emaWeight * emaStrength;
-      reasons.push('EMA9 > EMA21 (bullish)');
-    } else if (ema9 < ema21 && currentPrice < ema9) {
-      sellVotes += emaWeight * emaStrength;
-      reasons.push('EMA9 < EMA21 (bearish)');
+  // RL mode: let the DQN agent pick an indicator group and run it
+  function analyzeWithRL() {
+    if (!warmupComplete || ohlcM1.length < WARMUP_CANDLES) {
+      return null;
     }
 
-    // Bollinger Bands vote - Use regime-adjusted weight
-    const bbWeight = weights.bb;
-    totalWeight += bbWeight;
-    const bbRange = bb.upper - bb.lower;
-    const bbPosition = (currentPrice - bb.lower) / bbRange; // 0-1 where price is in BB
-    if (bbPosition < 0.2) {
-      buyVotes += bbWeight * (0.2 - bbPosition) * 5; // Scale to 0-1
-      reasons.push('Price at lower BB');
-    } else if (bbPosition > 0.8) {
-      sellVotes += bbWeight * (bbPosition - 0.8) * 5; // Scale to 0-1
-      reasons.push('Price at upper BB');
-    }
-    
-    // Stochastic vote - Use regime-adjusted weight
-    if (stoch) {
-      const stochWeight = weights.stoch;
-      totalWeight += stochWeight;
-      if (stoch.k < 30 && stoch.d < 30) {
-        const strength = (30 - stoch.k) / 30;
-        buyVotes += stochWeight * strength;
-        reasons.push(`Stochastic oversold (${stoch.k.toFixed(1)})`);
-      } else if (stoch.k > 70 && stoch.d > 70) {
-        const strength = (stoch.k - 70) / 30;
-        sellVotes += stochWeight * strength;
-        reasons.push(`Stochastic overbought (${stoch.k.toFixed(1)})`);
-      }
-    }
-    
-    // v4.0 NEW: Williams %R vote - Fast momentum indicator (excellent for RANGING)
-    if (williamsR) {
-      const williamsWeight = weights.williamsR;
-      totalWeight += williamsWeight;
-      if (williamsR < -80) {
-        const strength = ((-80) - williamsR) / 20; // 0-1 range
-        buyVotes += williamsWeight * strength;
-        reasons.push(`Williams %R oversold (${williamsR.toFixed(1)})`);
-        
-        // v4.0 RANGING STRATEGY: Extreme bonus
-        if (currentMarketRegime === 'RANGING' && williamsR < -85) {
-          buyVotes += williamsWeight * 0.5; // Extra push in RANGING
-          reasons.push('Williams extreme oversold in RANGING (+)');
-        }
-      } else if (williamsR > -20) {
-        const strength = (williamsR - (-20)) / 20; // 0-1 range
-        sellVotes += williamsWeight * strength;
-        reasons.push(`Williams %R overbought (${williamsR.toFixed(1)})`);
-        
-        // v4.0 RANGING STRATEGY: Extreme bonus
-        if (currentMarketRegime === 'RANGING' && williamsR > -15) {
-          sellVotes += williamsWeight * 0.5; // Extra push in RANGING
-          reasons.push('Williams extreme overbought in RANGING (-)');
-        }
-      }
-    }
+    const closes = ohlcM1.map(c => c.c);
+    const highs = ohlcM1.map(c => c.h);
+    const lows = ohlcM1.map(c => c.l);
     
-    // v4.0 NEW: CCI vote - Commodity Channel Index (proven 58-62% WR in RANGING)
-    if (cci) {
-      const cciWeight = weights.cci;
-      totalWeight += cciWeight;
-      if (cci < -100) {
-        const strength = Math.min(1, ((-100) - cci) / 100); // 0-1 range
-        buyVotes += cciWeight * strength;
-        reasons.push(`CCI oversold (${cci.toFixed(1)})`);
-        
-        // v4.0 RANGING STRATEGY: Extreme bonus
-        if (currentMarketRegime === 'RANGING' && cci < -150) {
-          buyVotes += cciWeight * 0.8; // Strong push in RANGING
-          reasons.push('CCI extreme oversold in RANGING (++)');
-        }
-      } else if (cci > 100) {
-        const strength = Math.min(1, (cci - 100) / 100); // 0-1 range
-        sellVotes += cciWeight * strength;
-        reasons.push(`CCI overbought (${cci.toFixed(1)})`);
-        
-        // v4.0 RANGING STRATEGY: Extreme bonus
-        if (currentMarketRegime === 'RANGING' && cci > 150) {
-          sellVotes += cciWeight * 0.8; // Strong push in RANGING
-          reasons.push('CCI extreme overbought in RANGING (--)');
-        }
-      }
-    }
+    currentMarketRegime = window.SignalEngine.detectMarketRegime(closes, highs, lows, indicators);
+    const regimeData = window.MarketRegimeDetector.detectRegime(ohlcM1, indicators);
     
-    // v4.0 NEW: Awesome Oscillator vote - Momentum reversal detector
-    if (ao) {
-      const aoWeight = weights.ao;
-      totalWeight += aoWeight;
-      const aoStrength = Math.min(1, Math.abs(ao) * 10000); // Scale to 0-1
-      if (ao > 0) {
-        buyVotes += aoWeight * aoStrength;
-        reasons.push(`AO bullish (${ao.toFixed(5)})`);
-      } else if (ao < 0) {
-        sellVotes += aoWeight * aoStrength;
-        reasons.push(`AO bearish (${ao.toFixed(5)})`);
-      }
-    }
-
-    // ADX strengthens signal (multiplier, not vote)
-    let adxMultiplier = 1.0;
-    if (adx.adx > 25) {
-      adxMultiplier = 1.0 + ((adx.adx - 25) / 100); // 1.0 to 1.75 range
-      reasons.push(`ADX strong trend (${adx.adx.toFixed(1)})`);
-    }
-
-    // Calculate base confidence based on vote strength
-    const buyConfidence = (buyVotes / totalWeight) * 100 * adxMultiplier;
-    const sellConfidence = (sellVotes / totalWeight) * 100 * adxMultiplier;
-    
-    // v4.0: REMOVED MTF ANALYSIS (had 100% conflicts on M3 interval)
-    
-    // 3. APPLY REGIME CONFIDENCE BOOST (v4.0: Enhanced for RANGING)
-    let regimeBoost = 0;
-    if (currentMarketRegime === 'TRENDING') {
-      regimeBoost = 15;
-      reasons.push('Regime: TRENDING (+15%)');
-    } else if (currentMarketRegime === 'RANGING') {
-      // v4.0: Increased boost for RANGING with mean-reversion strategy
-      regimeBoost = 20; // Was 10%, now 20% - RANGING is our focus
-      reasons.push('Regime: RANGING (+20% mean-reversion)');
-    } else if (currentMarketRegime === 'VOLATILE') {
-      regimeBoost = -10;
-      reasons.push('Regime: VOLATILE (-10%)');
-    }
+    const recommendation = window.RLIntegration.getRecommendedAction(ohlcM1, regimeData, indicators);
+    const group = window.IndicatorGroups.getGroup(recommendation.actionIndex);
     
-    let confidence = 0;
-    let action = null;
+    // Capture learning state now - another signal may overwrite it before this one is verified
+    const rlState = window.RLIntegration.getLastState();
+    const rlAction = window.RLIntegration.getLastAction();
     
-    // Apply all boosts (v4.0: No MTF boost, just regime + RSI boosts)
-    const finalBuyConfidence = Math.min(95, Math.round(buyConfidence + regimeBoost + rsiBoost));
-    const finalSellConfidence = Math.min(95, Math.round(sellConfidence + regimeBoost + rsiBoost));
+    const groupResult = group ? window.IndicatorGroups.analyze(recommendation.actionIndex, ohlcM1, { indicators, aggregator: timeframes }) : null;
     
-    // REMOVED BUY BIAS: Data shows BUY (47.2% WR) ≈ SELL (46.1% WR) - bias was harmful
+    const adx = indicators.adx(14);
+    const atr = indicators.atr(14);
+    const macd = indicators.macd(12, 26, 9);
+    const rsi = indicators.rsi(14);
+    const avgPrice = closes.slice(-20).reduce((a, b) => a + b, 0) / 20;
     
-    // Apply MACD contrarian boost (+5% when direction contradicts MACD)
-    let macdContrarian = 0;
-    if (macd.histogram < 0 && buyVotes > sellVotes) {
-      macdContrarian = 5; // BUY when MACD bearish = contrarian WIN pattern
-      reasons.push('MACD contrarian: BUY on bearish (+5%)');
-    } else if (macd.histogram > 0 && sellVotes > buyVotes) {
-      macdContrarian = 5; // SELL when MACD bullish = contrarian pattern
-      reasons.push('MACD contrarian: SELL on bullish (+5%)');
-    }
+    console.log(`[Pocket Scout v5 WIN] 🤖 RL Mode: ${recommendation.groupName} | Q-conf: ${recommendation.confidence}% | ${groupResult ? groupResult.action + ' @ ' + groupResult.confidence + '%' : 'no setup'}`);
     
-    const finalAdjustedBuyConfidence = Math.min(95, finalBuyConfidence + macdContrarian);
-    const finalAdjustedSellConfidence = Math.min(95, finalSellConfidence + macdContrarian);
-    
-    if (buyVotes > sellVotes && finalAdjustedBuyConfidence >= 35) {
-      action = 'BUY';
-      confidence = finalAdjustedBuyConfidence;
-      console.log(`[Pocket Scout v5 WIN] 💰 Signal: BUY | Base: ${Math.round(buyConfidence)}% | Regime: ${regimeBoost > 0 ? '+' : ''}${regimeBoost}% | RSI: ${rsiBoost > 0 ? '+' : ''}${rsiBoost}% | Contrarian: +${macdContrarian}% | Final: ${confidence}%`);
-    } else if (sellVotes > buyVotes && finalAdjustedSellConfidence >= 35) {
-      action = 'SELL';
-      confidence = finalAdjustedSellConfidence;
-      console.log(`[Pocket Scout v5 WIN] 💰 Signal: SELL | Base: ${Math.round(sellConfidence)}% | Regime: ${regimeBoost > 0 ? '+' : ''}${regimeBoost}% | RSI: ${rsiBoost > 0 ? '+' : ''}${rsiBoost}% | Contrarian: +${macdContrarian}% | Final: ${confidence}%`);
+    if (!groupResult || !groupResult.action) {
+      return null;
     }
     
-    // Calculate duration based on ADX and volatility
-    let duration = 3; // Base: 3 minutes
-    
-    const avgPrice = closes.slice(-20).reduce((a, b) => a + b, 0) / 20;
-    const volatilityRatio = atr / avgPrice;
-    
-    if (adx.adx > 30) {
-      duration = 5; // Strong trend: 5 minutes
-      reasons.push('Duration: 5min (strong trend)');
-    } else if (volatilityRatio > 0.015) {
-      duration = Math.floor(Math.random() * 2) + 1; // High volatility: 1-2 minutes
-      reasons.push(`Duration: ${duration}min (high volatility)`);
-    } else {
-      reasons.push('Duration: 3min (normal)');
-    }
-
     return {
-      action,
-      confidence,
-      duration,
-      reasons: reasons.slice(0, 8), // Top 8 reasons (more details)
-      price: currentPrice,
-      volatility: volatilityRatio,
-      adxStrength: adx.adx,
+      action: groupResult.action,
+      confidence: Math.min(95, Math.round((groupResult.confidence + recommendation.confidence) / 2)),
+      duration: Math.max(1, Math.round(recommendation.expiry / 60)),
+      reasons: [`RL group: ${recommendation.groupName}`, ...(groupResult.reasons || [])].slice(0, 8),
+      price: closes[closes.length - 1],
+      volatility: atr && avgPrice > 0 ? atr / avgPrice : 0,
+      adxStrength: adx ? adx.adx : 0,
       rsi,
-      williamsR,  // v4.0 NEW
-      cci,        // v4.0 NEW
-      ao,         // v4.0 NEW
-      macdHistogram: macd.histogram,
-      regime: currentMarketRegime
-      // v4.0: REMOVED mtfAlignment - MTF not used
+      macdHistogram: macd ? macd.histogram : 0,
+      regime: currentMarketRegime,
+      indicators: {
+        rsi,
+        macdHistogram: macd ? macd.histogram : 0,
+        adx: adx ? adx.adx : null,
+        atr
+      },
+      rl: {
+        groupId: recommendation.groupId,
+        groupName: recommendation.groupName,
+        actionIndex: rlAction,
+        state: rlState,
+        qAdvantage: recommendation.qAdvantage
+      }
     };
   }
 
@@ -559,10 +677,18 @@
 
     console.log(`[Pocket Scout v5 WIN] 🔄 Generating signal... (interval: ${signalIntervalMinutes} min)`);
 
-    const analysis = analyzeIndicators();
+    const useRL = signalMode === 'RL' && rlReady;
+    const analysis = useRL ? analyzeWithRL() : analyzeIndicators();
     
-    // ALWAYS generate a signal - even if confidence is low or neutral
-    let action, confidence, reasons, duration, volatility, adxStrength, rsi, macdHistogram;
+    // No setup: publish HOLD unless the trend fallback is enabled
+    if (!(analysis && analysis.action && analysis.confidence >= 35) && fallbackMode === 'HOLD') {
+      publishHold(describeNoSetup(analysis));
+      return;
+    }
+    
+    let action, confidence, reasons, duration, volatility, adxStrength, rsi, macdHistogram, indicatorValues;
+    // Indicator votes are scored against the outcome even when the signal falls back
+    const votes = analysis && analysis.votes ? analysis.votes : null;
     
     if (analysis && analysis.action && analysis.confidence >= 35) {
       // Use analyzed signal (lowered threshold from 40% to 35% for more AI signals)
@@ -574,64 +700,72 @@
       adxStrength = analysis.adxStrength;
       rsi = analysis.rsi;
       macdHistogram = analysis.macdHistogram;
-      console.log(`[Pocket Scout v5 WIN] 📊 AI Mode: ${action} @ ${confidence}%`);
+      indicatorValues = analysis.indicators;
+      console.log(`[Pocket Scout v5 WIN] 📊 ${useRL ? 'RL' : 'AI'} Mode: ${action} @ ${confidence}%`);
     } else {
       // Generate fallback signal based on basic trend analysis
-      const closes = ohlcM1.map(c => c.c);
-      const TI = window.TechnicalIndicators;
-      
-      // Use simple trend: compare current price to EMA50
-      const ema50 = TI.calculateEMA(closes, 50);
-      const currentPrice = closes[closes.length - 1];
-      const rsiValue = TI.calculateRSI(closes, 14) || 50;
-      const macd = TI.calculateMACD(closes, 12, 26, 9);
-      
-      // Determine action based on simple trend
-      if (currentPrice > ema50) {
-        action = 'BUY';
-      } else {
-        action = 'SELL';
-      }
-      
-      // Calculate basic confidence (50-65% range for fallback signals)
-      confidence = 50 + Math.floor(Math.random() * 15);
-      
-      reasons = [
-        `Price ${action === 'BUY' ? 'above' : 'below'} EMA50 (trend)`,
-        `RSI: ${rsiValue.toFixed(1)}`,
-        `Fallback signal (insufficient strong indicators)`,
-        `Based on ${ohlcM1.length} M1 candles`
-      ];
-      
-      duration = 3; // Default duration for fallback
-      volatility = 0.01;
-      adxStrength = 20;
-      rsi = rsiValue;
-      macdHistogram = macd ? macd.histogram : 0;
+      const fallback = window.SignalEngine.buildFallbackAnalysis(ohlcM1, indicators);
+      action = fallback.action;
+      confidence = fallback.confidence;
+      reasons = fallback.reasons;
+      duration = fallback.duration;
+      volatility = fallback.volatility;
+      adxStrength = fallback.adxStrength;
+      rsi = fallback.rsi;
+      macdHistogram = fallback.macdHistogram;
+      indicatorValues = fallback.indicators;
       
       console.log(`[Pocket Scout v5 WIN] ⚡ Fallback Mode: ${action} @ ${confidence}% (EMA50 trend)`);
     }
+    
+    if (trendFilter !== 'OFF') {
+      const higherTrend = timeframes.getTrend(trendFilter);
+      if (window.TimeframeAggregator.opposesTrend(higherTrend, action)) {
+        publishHold(`${action} against closed ${trendFilter} trend (${higherTrend})`);
+        return;
+      }
+    }
 
+    // Observed win probability for this raw score (null until the ledger has enough outcomes)
+    const winProbability = window.ConfidenceCalibrator.predict(calibration, confidence);
+    // Expected value per unit stake at the payout currently offered for this asset
+    const payout = readPayoutFromDom();
+    const ev = window.SignalEngine.calculateExpectedValue(winProbability, payout);
+    
+    const timestamp = Date.now();
     const signal = {
+      id: `${currentSymbol}-${timestamp}`,
       action: action,
       confidence: confidence,
+      calibratedConfidence: winProbability !== null ? Math.round(winProbability * 1000) / 10 : null,
+      payout,
+      ev: ev !== null ? Math.round(ev * 10000) / 10000 : null,
       duration: duration,
       expiry: duration * 60, // Convert to seconds
       reasons: reasons,
       price: lastPrice,
-      timestamp: Date.now(),
+      timestamp: timestamp,
       volatility: volatility,
       adxStrength: adxStrength,
       rsi: rsi,
       macdHistogram: macdHistogram,
+      indicators: indicatorValues || null,
+      votes,
       wr: calculateWinRate(),
       isFallback: !analysis || !analysis.action || analysis.confidence < 35,
+      mode: useRL ? 'RL' : 'VOTE',
+      regime: analysis ? analysis.regime : currentMarketRegime,
+      symbol: currentSymbol,
+      entryTime: lastTickTime, // Same clock as the tick feed, so expiry lookups line up
+      expiryTime: lastTickTime + duration * 60 * 1000,
+      rl: analysis && analysis.rl && analysis.confidence >= 35 ? analysis.rl : null,
       entryPrice: lastPrice,
       result: null // Will be set after duration expires
     };
 
     lastSignal = signal;
-    totalSignals++; // Count every signal
+    lastHold = null;
+    (signal.isFallback ? fallbackStats : stats).total++; // Count every signal on its own track
     saveSettings();
     
     // Add to history
@@ -639,8 +773,9 @@
     if (signalHistory.length > MAX_HISTORY) {
       signalHistory = signalHistory.slice(0, MAX_HISTORY);
     }
+    saveLedger();
 
-    console.log(`[Pocket Scout v5 WIN] ✅ ${signal.isFallback ? 'FALLBACK' : 'AI'} Signal: ${signal.action} @ ${signal.confidence}% | WR: ${signal.wr.toFixed(1)}% | ${signal.duration}min | ${signal.price.toFixed(5)}`);
+    console.log(`[Pocket Scout v5 WIN] ✅ ${signal.isFallback ? 'FALLBACK' : 'AI'} Signal: ${signal.action} @ ${signal.confidence}% | WR: ${signal.wr.toFixed(1)}% | EV: ${signal.ev !== null ? (signal.ev * 100).toFixed(1) + '%' : 'n/a'} | ${signal.duration}min | ${signal.price.toFixed(5)}`);
     console.log(`[Pocket Scout v5 WIN] 📝 Reasons: ${reasons.slice(0, 3).join(', ')}`);
     
     // Schedule automatic result check after duration expires
@@ -655,11 +790,41 @@
     console.log(`[Pocket Scout v5 WIN] ⏰ Next signal in ${signalIntervalMinutes} minute(s)`);
   }
 
+  // Why no analysis produced a tradable setup
+  function describeNoSetup(analysis) {
+    if (!analysis) return 'No analysis available';
+    if (!analysis.action) return 'No indicator consensus';
+    return `Confidence ${analysis.confidence}% below 35%`;
+  }
+  
+  // No-trade outcome: published so the Auto Trader sees a fresh HOLD instead of a stale signal
+  function publishHold(reason) {
+    const timestamp = Date.now();
+    lastHold = { action: 'HOLD', reason, timestamp, symbol: currentSymbol, regime: currentMarketRegime };
+    
+    const feed = {
+      symbol: currentSymbol,
+      bestSignal: {
+        action: 'HOLD',
+        confidence: 0,
+        reason,
+        timestamp
+      }
+    };
+    localStorage.setItem(FEED_KEY, JSON.stringify(feed));
+    
+    console.log(`[Pocket Scout v5 WIN] ⏸️ HOLD: ${reason}`);
+    updateUI();
+  }
+
   // Publish to Auto Trader
   function publishToAutoTrader(signal) {
     const signalData = {
       action: signal.action,
       confidence: signal.confidence,
+      calibratedConfidence: signal.calibratedConfidence, // Win probability % from the calibrator (null while uncalibrated)
+      payout: signal.payout, // Payout fraction when the signal was generated
+      ev: signal.ev, // Expected value per unit stake - the Auto Trader gates on this when present
       duration: signal.duration,
       timestamp: signal.timestamp,
       entryPrice: signal.price,
@@ -670,6 +835,7 @@
 
     // Wrap signal in bestSignal format for Auto Trader compatibility
     const feed = {
+      symbol: signal.symbol,
       bestSignal: signalData
     };
 
@@ -677,283 +843,188 @@
     console.log(`[Pocket Scout v5 WIN] 📤 Published to Auto Trader:`, signalData);
   }
   
-  // Schedule automatic result check after signal duration expires
+  // Queue the signal and check it shortly after expiry (also re-checked on new candles and tab wake-up)
   function scheduleSignalResultCheck(signal) {
     const durationMs = signal.duration * 60 * 1000; // Convert minutes to milliseconds
+    pendingSignals.push(signal);
     
-    setTimeout(() => {
-      checkSignalResult(signal);
-    }, durationMs);
+    setTimeout(checkPendingSignals, durationMs + VERIFY_DELAY_MS);
     
     console.log(`[Pocket Scout v5 WIN] ⏰ Scheduled result check for ${signal.action} signal in ${signal.duration} minutes`);
   }
   
-  // Check signal result after duration expires
-  function checkSignalResult(signal) {
-    if (!signal || signal.result !== null) {
-      return; // Already checked or invalid signal
-    }
-    
-    const currentPrice = lastPrice;
-    const entryPrice = signal.entryPrice;
-    
-    if (!currentPrice || !entryPrice) {
-      console.log(`[Pocket Scout v5 WIN] ⚠️ Cannot check signal result - missing price data`);
-      return;
-    }
-    
-    let isWin = false;
-    
-    if (signal.action === 'BUY') {
-      // BUY wins if price went up
-      isWin = currentPrice > entryPrice;
-    } else {
-      // SELL wins if price went down
-      isWin = currentPrice < entryPrice;
-    }
-    
-    signal.result = isWin ? 'WIN' : 'LOSS';
-    signal.exitPrice = currentPrice;
-    signal.priceChange = ((currentPrice - entryPrice) / entryPrice) * 100;
-    
-    // Update stats
-    if (isWin) {
-      winningSignals++;
-    } else {
-      losingSignals++;
-    }
+  // Resolve every pending signal whose expiry price is now in the tick/candle history
+  function checkPendingSignals() {
+    if (pendingSignals.length === 0 || switchingSymbol) return;
     
-    // Record pattern for learning
-    const pattern = {
-      action: signal.action,
-      confidence: signal.confidence,
-      rsi: signal.rsi,
-      macdHistogram: signal.macdHistogram,
-      adxStrength: signal.adxStrength,
-      volatility: signal.volatility,
-      duration: signal.duration,
-      isFallback: signal.isFallback,
-      result: signal.result
-    };
-    
-    if (isWin) {
-      learningData.successfulPatterns.push(pattern);
-    } else {
-      learningData.failedPatterns.push(pattern);
-    }
-    
-    // Track best confidence ranges
-    const confidenceRange = Math.floor(signal.confidence / 10) * 10;
-    if (!learningData.bestConfidenceRange[confidenceRange]) {
-      learningData.bestConfidenceRange[confidenceRange] = { wins: 0, losses: 0 };
-    }
-    
-    if (isWin) {
-      learningData.bestConfidenceRange[confidenceRange].wins++;
-    } else {
-      learningData.bestConfidenceRange[confidenceRange].losses++;
-    }
-    
-    saveSettings();
-    
-    const changeSymbol = signal.action === 'BUY' ? 
-      (isWin ? '📈' : '📉') : 
-      (isWin ? '📉' : '📈');
-    
-    console.log(`[Pocket Scout v5 WIN] ${isWin ? '✅' : '❌'} Signal verified | Action: ${signal.action} | Result: ${signal.result} | Entry: ${entryPrice.toFixed(5)} → Exit: ${currentPrice.toFixed(5)} ${changeSymbol} ${signal.priceChange >= 0 ? '+' : ''}${signal.priceChange.toFixed(2)}%`);
-    console.log(`[Pocket Scout v5 WIN] 🎓 Learning: Pattern recorded | Successful: ${learningData.successfulPatterns.length} | Failed: ${learningData.failedPatterns.length}`);
-    
-    // Adjust indicator weights if we have enough data (every 30 signals as per optimization)
-    if ((learningData.successfulPatterns.length + learningData.failedPatterns.length) % 30 === 0) {
-      adjustIndicatorWeights();
-    }
-    
-    updateUI();
+    const now = serverNow(); // expiryTime is on the tick clock
+    pendingSignals = pendingSignals.filter(signal => {
+      if (signal.result !== null) return false;
+      
+      // Other assets are verified when they become active again
+      if (signal.symbol !== currentSymbol) return true;
+      
+      const exit = window.SignalEngine.findPriceAt(signal.expiryTime, recentTicks[currentSymbol], ohlcM1);
+      if (!exit) {
+        if (now - signal.expiryTime > PENDING_TIMEOUT_MS) {
+          signal.result = 'UNVERIFIED';
+          saveLedger();
+          console.log(`[Pocket Scout v5 WIN] ⚠️ Cannot check signal result - no price data at expiry (${new Date(signal.expiryTime).toLocaleTimeString()})`);
+          return false;
+        }
+        return true;
+      }
+      
+      checkSignalResult(signal, exit);
+      return false;
+    });
   }
   
-  // Schedule automatic result check after signal duration expires
-  function scheduleSignalResultCheck(signal) {
-    const durationMs = signal.duration * 60 * 1000; // Convert minutes to milliseconds
-    
-    setTimeout(() => {
-      checkSignalResult(signal);
-    }, durationMs);
-    
-    console.log(`[Pocket Scout v5 WIN] ⏰ Scheduled result check for ${signal.action} signal in ${signal.duration} minutes`);
+  // Resolve a signal against the price found at its expiry time - the rest happens in onSignalResolved
+  function checkSignalResult(signal, exit) {
+    const track = signal.isFallback ? fallbackStats : stats;
+    window.SignalEngine.checkSignalResult({ learningData, stats: track, events: outcomeEvents }, signal, exit.price, exit);
   }
   
-  // Check signal result after duration expires
-  function checkSignalResult(signal) {
-    if (!signal || signal.result !== null) {
-      return; // Already checked or invalid signal
-    }
-    
-    const currentPrice = lastPrice;
-    const entryPrice = signal.entryPrice;
-    
-    if (!currentPrice || !entryPrice) {
-      console.log(`[Pocket Scout v5 WIN] ⚠️ Cannot check signal result - missing price data`);
-      return;
-    }
-    
-    let isWin = false;
-    
-    if (signal.action === 'BUY') {
-      // BUY wins if price went up
-      isWin = currentPrice > entryPrice;
-    } else if (signal.action === 'SELL') {
-      // SELL wins if price went down
-      isWin = currentPrice < entryPrice;
-    }
-    
-    // Update signal result
-    signal.result = isWin ? 'WIN' : 'LOSS';
-    
-    // Update statistics
-    if (isWin) {
-      winningSignals++;
-    } else {
-      losingSignals++;
+  // 'signal:resolved' subscriber: RL reward, persistence and UI
+  function onSignalResolved({ signal, result }) {
+    // RL LEARNING: reward the indicator group the agent picked for this signal (ties are refunds)
+    if (signal.rl && rlReady && result !== 'TIE') {
+      learnRLFromSignal(signal);
     }
     
-    // LEARNING: Analyze what made this signal win or lose
-    learnFromSignalResult(signal, isWin);
-    
     saveSettings();
+    if (result !== 'TIE') {
+      saveLearningData();
+      refitCalibration();
+    }
+    saveLedger();
     
-    const priceChange = ((currentPrice - entryPrice) / entryPrice * 100).toFixed(3);
-    const newWR = calculateWinRate();
-    
-    console.log(`[Pocket Scout v5 WIN] 🎯 Signal result: ${signal.result} | ${signal.action} @ ${entryPrice.toFixed(5)} → ${currentPrice.toFixed(5)} (${priceChange > 0 ? '+' : ''}${priceChange}%) | WR: ${newWR.toFixed(1)}%`);
+    const change = signal.priceChange.toFixed(3);
+    console.log(`[Pocket Scout v5 WIN] 🎯 Signal result: ${result} | ${signal.action} @ ${signal.entryPrice.toFixed(5)} → ${signal.exitPrice.toFixed(5)} (${signal.priceChange > 0 ? '+' : ''}${change}%) | ${signal.exitSource || 'PRICE'} @ expiry | WR: ${calculateWinRate().toFixed(1)}%`);
     
     // Update UI to reflect new WR
     updateUI();
   }
   
-  // LEARNING SYSTEM: Analyze signal patterns and adjust strategy
-  function learnFromSignalResult(signal, isWin) {
-    // Extract pattern data (removed timeOfDay per user request)
-    const pattern = {
-      action: signal.action,
-      confidence: signal.confidence,
-      rsi: signal.rsi,
-      macdHistogram: signal.macdHistogram,
-      adxStrength: signal.adxStrength,
-      volatility: signal.volatility,
-      duration: signal.duration,
-      isFallback: signal.isFallback,
-      result: isWin ? 'WIN' : 'LOSS'
-    };
-    
-    // Store pattern in appropriate list (no limit - removed 100 pattern cap)
-    if (isWin) {
-      learningData.successfulPatterns.push(pattern);
-    } else {
-      learningData.failedPatterns.push(pattern);
-    }
-    
-    // Track confidence range performance
-    const confRange = Math.floor(pattern.confidence / 10) * 10; // Round to nearest 10
-    if (!learningData.bestConfidenceRange[confRange]) {
-      learningData.bestConfidenceRange[confRange] = { wins: 0, losses: 0 };
-    }
-    if (isWin) {
-      learningData.bestConfidenceRange[confRange].wins++;
-    } else {
-      learningData.bestConfidenceRange[confRange].losses++;
-    }
-    
-    // Analyze and adjust indicator weights (every 30 signals - increased from 20)
-    if ((winningSignals + losingSignals) % 30 === 0 && winningSignals + losingSignals >= 30) {
-      adjustIndicatorWeights();
-    }
-    
-    console.log(`[Pocket Scout v5 WIN] 🎓 Learning: Pattern recorded | Successful: ${learningData.successfulPatterns.length} | Failed: ${learningData.failedPatterns.length}`);
+  // Persist the signal ledger (history + pending signals)
+  function saveLedger() {
+    invalidateAnalytics();
+    chrome.runtime.sendMessage({ type: 'SAVE_LEDGER', data: signalHistory })
+      .then(response => {
+        if (response && !response.success) console.warn('[Pocket Scout v5 WIN] Signal ledger was not saved (storage write failed)');
+      })
+      .catch(e => console.warn('[Pocket Scout v5 WIN] Failed to save signal ledger:', e));
   }
   
-  // Adjust indicator weights based on learning
-  function adjustIndicatorWeights() {
-    console.log('[Pocket Scout v5 WIN] 🧠 Analyzing patterns and adjusting indicator weights...');
-    
-    const successful = learningData.successfulPatterns;
-    const failed = learningData.failedPatterns;
-    
-    if (successful.length < 10 || failed.length < 10) {
-      console.log('[Pocket Scout v5 WIN] 🎓 Not enough data to adjust weights yet');
-      return;
-    }
-    
-    // Analyze RSI effectiveness
-    const successRSI = successful.filter(p => !p.isFallback && ((p.action === 'BUY' && p.rsi < 45) || (p.action === 'SELL' && p.rsi > 55)));
-    const failRSI = failed.filter(p => !p.isFallback && ((p.action === 'BUY' && p.rsi < 45) || (p.action === 'SELL' && p.rsi > 55)));
-    const rsiWinRate = successRSI.length / (successRSI.length + failRSI.length) || 0.5;
-    
-    // Analyze MACD effectiveness
-    const successMACD = successful.filter(p => !p.isFallback && Math.abs(p.macdHistogram) > 0.0001);
-    const failMACD = failed.filter(p => !p.isFallback && Math.abs(p.macdHistogram) > 0.0001);
-    const macdWinRate = successMACD.length / (successMACD.length + failMACD.length) || 0.5;
-    
-    // Analyze ADX effectiveness (trend strength)
-    const successADX = successful.filter(p => p.adxStrength > 25);
-    const failADX = failed.filter(p => p.adxStrength > 25);
-    const adxWinRate = successADX.length / (successADX.length + failADX.length) || 0.5;
-    
-    // Adjust weights based on performance (subtle adjustments)
-    const oldWeights = { ...learningData.indicatorWeights };
-    
-    // RSI adjustment
-    if (rsiWinRate > 0.65) {
-      learningData.indicatorWeights.rsi = Math.min(2.5, learningData.indicatorWeights.rsi * 1.1);
-    } else if (rsiWinRate < 0.45) {
-      learningData.indicatorWeights.rsi = Math.max(0.5, learningData.indicatorWeights.rsi * 0.9);
-    }
-    
-    // MACD adjustment
-    if (macdWinRate > 0.65) {
-      learningData.indicatorWeights.macd = Math.min(3.0, learningData.indicatorWeights.macd * 1.1);
-    } else if (macdWinRate < 0.45) {
-      learningData.indicatorWeights.macd = Math.max(1.0, learningData.indicatorWeights.macd * 0.9);
-    }
-    
-    // EMA adjustment (based on ADX effectiveness as proxy for trend following)
-    if (adxWinRate > 0.65) {
-      learningData.indicatorWeights.ema = Math.min(2.5, learningData.indicatorWeights.ema * 1.1);
-    } else if (adxWinRate < 0.45) {
-      learningData.indicatorWeights.ema = Math.max(0.5, learningData.indicatorWeights.ema * 0.9);
-    }
-    
-    console.log(`[Pocket Scout v5 WIN] 📊 Weight adjustments:
-      RSI: ${oldWeights.rsi.toFixed(2)} → ${learningData.indicatorWeights.rsi.toFixed(2)} (WR: ${(rsiWinRate * 100).toFixed(1)}%)
-      MACD: ${oldWeights.macd.toFixed(2)} → ${learningData.indicatorWeights.macd.toFixed(2)} (WR: ${(macdWinRate * 100).toFixed(1)}%)
-      EMA: ${oldWeights.ema.toFixed(2)} → ${learningData.indicatorWeights.ema.toFixed(2)} (Trend WR: ${(adxWinRate * 100).toFixed(1)}%)`);
-    
-    // Find best confidence range
-    let bestRange = -1;
-    let bestRangeWR = 0;
-    for (const [range, stats] of Object.entries(learningData.bestConfidenceRange)) {
-      const total = stats.wins + stats.losses;
-      if (total >= 5) {
-        const wr = stats.wins / total;
-        if (wr > bestRangeWR) {
-          bestRangeWR = wr;
-          bestRange = parseInt(range);
-        }
-      }
+  // Newest signal generated on this device for a symbol - imported journal entries lack the live fields the panel shows
+  function findLastSignal(symbol) {
+    return signalHistory.find(s => s.symbol === symbol && !s.imported) || null;
+  }
+  
+  // (Re)build the pending queue from the ledger's unresolved signals
+  function queueLedgerPending() {
+    pendingSignals = signalHistory.filter(s =>
+      s.result === null && Number.isFinite(s.expiryTime) && Number.isFinite(s.entryPrice));
+    
+    // Not yet expired - check again at expiry like a freshly scheduled signal
+    const now = serverNow();
+    pendingSignals
+      .filter(s => s.expiryTime > now)
+      .forEach(s => setTimeout(checkPendingSignals, s.expiryTime - now + VERIFY_DELAY_MS));
+  }
+  
+  // Reload the ledger and resume verification of signals that were pending at reload
+  async function resumeLedger() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'LOAD_LEDGER' });
+      const ledger = response && Array.isArray(response.data) ? response.data : [];
+      
+      signalHistory = ledger.slice(0, MAX_HISTORY);
+      lastSignal = findLastSignal(currentSymbol);
+      queueLedgerPending();
+      
+      console.log(`[Pocket Scout v5 WIN] 📒 Ledger restored: ${signalHistory.length} signals | ${pendingSignals.length} pending`);
+      
+      // Already expired - resolve from stored candles
+      refitCalibration();
+      checkPendingSignals();
+      updateUI();
+    } catch (e) {
+      console.warn('[Pocket Scout v5 WIN] Failed to restore signal ledger:', e);
     }
-    if (bestRange >= 0) {
-      console.log(`[Pocket Scout v5 WIN] 📈 Best confidence range: ${bestRange}-${bestRange + 10}% (WR: ${(bestRangeWR * 100).toFixed(1)}%)`);
+  }
+  
+  // Serialize the ledger as a downloadable journal ('csv' or 'json')
+  function exportJournal(format) {
+    const J = window.SignalJournal;
+    return {
+      filename: J.filename(format),
+      mimeType: format === 'csv' ? 'text/csv' : 'application/json',
+      content: format === 'csv' ? J.toCSV(signalHistory) : J.toJSON(signalHistory),
+      count: signalHistory.length
+    };
+  }
+  
+  function downloadJournal(format) {
+    const journal = exportJournal(format);
+    const url = URL.createObjectURL(new Blob([journal.content], { type: journal.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = journal.filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    console.log(`[Pocket Scout v5 WIN] 📤 Journal exported: ${journal.count} signals (${format.toUpperCase()})`);
+  }
+  
+  // Merge an exported journal (CSV or JSON text) back into the ledger
+  function importJournal(text) {
+    const merged = window.SignalJournal.merge(signalHistory, window.SignalJournal.parse(text));
+    signalHistory = merged.signals.slice(0, MAX_HISTORY);
+    queueLedgerPending(); // Imported unresolved signals are verified like our own
+    saveLedger();
+    refitCalibration();
+    checkPendingSignals();
+    updateUI();
+    console.log(`[Pocket Scout v5 WIN] 📥 Journal imported: ${merged.added} added, ${merged.updated} updated | Ledger: ${signalHistory.length}`);
+    return { added: merged.added, updated: merged.updated, total: signalHistory.length };
+  }
+  
+  // Feed a verified RL signal back into the DQN agent and persist its state
+  function learnRLFromSignal(signal) {
+    const RL = window.RLIntegration;
+    RL.setLearningState(signal.rl.state, signal.rl.actionIndex);
+    RL.onSignalVerified(signal.result, signal.confidence, ohlcM1, window.MarketRegimeDetector.detectRegime(ohlcM1, indicators));
+    RL.saveState();
+  }
+  
+  // Warmup progress (%) - a restored history only waits for the gap to be filled
+  function getWarmupProgress() {
+    if (candleGap && gapCandlesRemaining > 0) {
+      return Math.min(100, ((candleGap.minutes - gapCandlesRemaining) / candleGap.minutes) * 100);
     }
+    return Math.min(100, (ohlcM1.length / WARMUP_CANDLES) * 100);
   }
 
   // Update status display
   function updateStatusDisplay() {
     if (!UI.status) return;
     
-    const progress = Math.min(100, (ohlcM1.length / WARMUP_CANDLES) * 100);
-    const warmupStatus = warmupComplete ? '✅ Complete' : '🔥 In Progress';
+    const progress = getWarmupProgress();
+    const warmupStatus = warmupComplete ? '✅ Complete' : (gapCandlesRemaining > 0 ? `🩹 Gap: ${gapCandlesRemaining} min left` : '🔥 In Progress');
     const warmupColor = warmupComplete ? '#10b981' : '#f59e0b';
     
     UI.status.innerHTML = `
+      <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:8px;">
+        <span style="opacity:0.7;">Asset:</span>
+        <span style="font-weight:700; color:#fff; font-size:12px;">${currentSymbol || 'N/A'}</span>
+      </div>
+      <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:8px;">
+        <span style="opacity:0.7;">Price Feed:</span>
+        <span style="font-weight:600; color:${isWsFeedLive() ? '#10b981' : '#f59e0b'}; font-size:11px;">${isWsFeedLive() ? '⚡ WebSocket' : '🔍 DOM'}</span>
+      </div>
       <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:8px;">
         <span style="opacity:0.7;">Current Price:</span>
         <span style="font-weight:700; color:#fff; font-family:monospace; font-size:13px;">${lastPrice ? lastPrice.toFixed(5) : 'N/A'}</span>
@@ -984,12 +1055,12 @@
     updateAnalyticsDisplay(); // Add analytics update
 
     if (!warmupComplete) {
-      const progress = Math.min(100, (ohlcM1.length / WARMUP_CANDLES) * 100);
+      const progress = getWarmupProgress();
       if (UI.signalDisplay) {
         UI.signalDisplay.innerHTML = `
           <div style="padding:20px; text-align:center;">
             <div style="font-size:16px; margin-bottom:10px;">🔥 Warmup in Progress</div>
-            <div style="font-size:14px; color:#60a5fa; margin-bottom:10px;">${ohlcM1.length}/${WARMUP_CANDLES} candles</div>
+            <div style="font-size:14px; color:#60a5fa; margin-bottom:10px;">${gapCandlesRemaining > 0 ? `Filling ${candleGap.minutes} min gap: ${candleGap.minutes - gapCandlesRemaining}/${candleGap.minutes}` : `${ohlcM1.length}/${WARMUP_CANDLES} candles`}</div>
             <div style="background:#1e293b; border-radius:8px; height:20px; overflow:hidden;">
               <div style="background:#3b82f6; height:100%; width:${progress}%; transition:width 0.3s;"></div>
             </div>
@@ -1016,6 +1087,22 @@
       `;
     }
 
+    // HOLD outcome newer than the last signal
+    if (lastHold && (!lastSignal || lastHold.timestamp > lastSignal.timestamp)) {
+      if (UI.signalDisplay) {
+        UI.signalDisplay.innerHTML = `
+          <div style="background:#1e293b; padding:14px; border-radius:10px; border:2px solid #64748b;">
+            <div style="display:flex; justify-content:space-between; align-items:center;">
+              <div style="font-size:24px; font-weight:800; color:#94a3b8;">HOLD</div>
+              <div style="font-size:10px; opacity:0.7;">${new Date(lastHold.timestamp).toLocaleTimeString()}</div>
+            </div>
+            <div style="font-size:11px; opacity:0.8; margin-top:8px;">⏸️ ${lastHold.reason} - no trade this cycle</div>
+          </div>
+        `;
+      }
+      return;
+    }
+
     // Display current signal
     if (!lastSignal) {
       if (UI.signalDisplay) {
@@ -1041,6 +1128,8 @@
       // Badge logic
       const signalBadge = isFallback ? 
         '<span style="font-size:9px; background:#f59e0b; color:#000; padding:2px 6px; border-radius:3px; font-weight:600; margin-left:8px;">TREND</span>' : 
+        sig.mode === 'RL' ?
+        '<span style="font-size:9px; background:#8b5cf6; color:#fff; padding:2px 6px; border-radius:3px; font-weight:600; margin-left:8px;">RL</span>' :
         '<span style="font-size:9px; background:#10b981; color:#fff; padding:2px 6px; border-radius:3px; font-weight:600; margin-left:8px;">AI</span>';
       
       // Regime badge
@@ -1070,6 +1159,8 @@
             <div style="background:rgba(0,0,0,0.3); padding:8px; border-radius:6px;">
               <div style="font-size:9px; opacity:0.7; margin-bottom:3px;">Confidence</div>
               <div style="font-size:18px; font-weight:700; color:#3b82f6;">${sig.confidence}%</div>
+              <div style="font-size:9px; opacity:0.7; margin-top:2px;">Win prob: ${sig.calibratedConfidence !== null && sig.calibratedConfidence !== undefined ? sig.calibratedConfidence.toFixed(1) + '%' : '—'}</div>
+              <div style="font-size:9px; margin-top:1px; color:${Number.isFinite(sig.ev) ? (sig.ev > 0 ? '#10b981' : '#ef4444') : '#9ca3af'};">EV: ${Number.isFinite(sig.ev) ? `${sig.ev > 0 ? '+' : ''}${(sig.ev * 100).toFixed(1)}%` : '—'}${Number.isFinite(sig.payout) ? ` @ ${(sig.payout * 100).toFixed(0)}%` : ''}</div>
             </div>
             <div style="background:rgba(0,0,0,0.3); padding:8px; border-radius:6px;">
               <div style="font-size:9px; opacity:0.7; margin-bottom:3px;">Win Rate</div>
@@ -1077,12 +1168,12 @@
             </div>
             <div style="background:rgba(0,0,0,0.3); padding:8px; border-radius:6px;">
               <div style="font-size:9px; opacity:0.7; margin-bottom:3px;">Entry Price</div>
-              <div style="font-size:13px; font-weight:600; color:#60a5fa; font-family:monospace;">${sig.price.toFixed(5)}</div>
+              <div style="font-size:13px; font-weight:600; color:#60a5fa; font-family:monospace;">${Number.isFinite(sig.price) ? sig.price.toFixed(5) : '—'}</div>
             </div>
           </div>
           
           <div style="font-size:10px; opacity:0.8; margin-bottom:8px; padding:8px; background:rgba(0,0,0,0.2); border-radius:6px;">
-            ${sig.reasons.map(r => `<div style="margin-bottom:3px;">✓ ${r}</div>`).join('')}
+            ${(sig.reasons || []).map(r => `<div style="margin-bottom:3px;">✓ ${r}</div>`).join('')}
           </div>
           
           <div style="display:flex; align-items:center; gap:8px; margin-bottom:8px;">
@@ -1092,9 +1183,9 @@
           </div>
           
           <div style="font-size:10px; opacity:0.7; display:flex; justify-content:space-between;">
-            <span>Vol: ${(sig.volatility * 100).toFixed(2)}%</span>
-            <span>ADX: ${sig.adxStrength.toFixed(1)}</span>
-            <span>Signals: ${totalSignals}</span>
+            <span>Vol: ${Number.isFinite(sig.volatility) ? (sig.volatility * 100).toFixed(2) + '%' : '—'}</span>
+            <span>ADX: ${Number.isFinite(sig.adxStrength) ? sig.adxStrength.toFixed(1) : '—'}</span>
+            <span>Signals: ${stats.total}</span>
           </div>
         </div>
       `;
@@ -1111,6 +1202,10 @@
             const resultBadge = s.result ? 
               (s.result === 'WIN' ? 
                 '<span style="background:#10b981; color:#fff; padding:1px 4px; border-radius:3px; font-size:8px; margin-left:4px;">WIN</span>' : 
+                s.result === 'TIE' ?
+                '<span style="background:#f59e0b; color:#fff; padding:1px 4px; border-radius:3px; font-size:8px; margin-left:4px;">TIE</span>' :
+                s.result === 'UNVERIFIED' ?
+                '<span style="background:#64748b; color:#fff; padding:1px 4px; border-radius:3px; font-size:8px; margin-left:4px;">N/A</span>' :
                 '<span style="background:#ef4444; color:#fff; padding:1px 4px; border-radius:3px; font-size:8px; margin-left:4px;">LOSS</span>') : 
               '<span style="background:#64748b; color:#fff; padding:1px 4px; border-radius:3px; font-size:8px; margin-left:4px;">PENDING</span>';
             return `
@@ -1139,29 +1234,16 @@
     const analyticsContent = document.getElementById('ps-analytics-content');
     if (!analyticsContent) return;
     
-    // Calculate indicator effectiveness
-    let topIndicators = [];
-    if (totalSignals > 0 && learningData.successfulPatterns.length > 0) {
-      const indicatorWRs = {
-        RSI: 0,
-        MACD: 0,
-        EMA: 0,
-        BB: 0,
-        Stoch: 0
-      };
-      
-      // Count successful patterns for each indicator
-      learningData.successfulPatterns.forEach(pattern => {
-        if (pattern.rsi < 40 || pattern.rsi > 60) indicatorWRs.RSI++;
-        if (Math.abs(pattern.macd) > 0.0001) indicatorWRs.MACD++;
-        if (pattern.ema9 && pattern.ema21) indicatorWRs.EMA++;
-      });
-      
-      topIndicators = Object.entries(indicatorWRs)
-        .map(([name, count]) => ({ name, wr: winningSignals > 0 ? (count / winningSignals * 100).toFixed(1) : 0 }))
-        .sort((a, b) => b.wr - a.wr)
-        .slice(0, 3);
-    }
+    // Indicator effectiveness from the recorded votes of this symbol's resolved signals,
+    // reliability diagram (calibrated probability vs observed WR per confidence bin) and
+    // learned vote accuracy per indicator with its 95% interval
+    const { keyLevels, voteSummary, reliability, accuracy } = getAnalytics();
+    const topIndicators = voteSummary.overall
+      .filter(row => row.total >= MIN_VOTES_FOR_RANKING)
+      .slice(0, 3);
+    const regimeIndicators = (voteSummary.byRegime[currentMarketRegime] || [])
+      .filter(row => row.total >= MIN_VOTES_FOR_RANKING)
+      .slice(0, 3);
     
     // Remove Best Hour tracking per user request (market too volatile for time patterns)
     
@@ -1172,19 +1254,69 @@
           <div style="font-weight:700; color:#3b82f6;">${currentMarketRegime}</div>
         </div>
       </div>
+      ${keyLevels.length > 0 ? `
+        <div style="margin-bottom:6px;">
+          <div style="opacity:0.7; margin-bottom:3px;">Key Levels:</div>
+          ${keyLevels.map(level => `
+            <div style="display:flex; justify-content:space-between; gap:6px;">
+              <span style="color:${level.type === 'SUPPORT' ? '#10b981' : '#ef4444'};">${level.type === 'SUPPORT' ? 'S' : 'R'} ${level.price.toFixed(5)}</span>
+              <span>${level.distanceATR.toFixed(1)} ATR</span>
+              <span style="opacity:0.7;">${level.labels.join(', ')}</span>
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
       ${topIndicators.length > 0 ? `
         <div style="margin-bottom:6px;">
           <div style="opacity:0.7; margin-bottom:3px;">Top Indicators:</div>
           <div style="display:flex; gap:4px; flex-wrap:wrap;">
             ${topIndicators.map(ind => 
-              `<span style="background:#3b82f6; color:#fff; padding:2px 6px; border-radius:3px; font-size:9px;">${ind.name} ${ind.wr}%</span>`
+              `<span style="background:#3b82f6; color:#fff; padding:2px 6px; border-radius:3px; font-size:9px;">${ind.name} ${(ind.accuracy * 100).toFixed(1)}% (${ind.total})</span>`
+            ).join('')}
+          </div>
+        </div>
+      ` : ''}
+      ${regimeIndicators.length > 0 ? `
+        <div style="margin-bottom:6px;">
+          <div style="opacity:0.7; margin-bottom:3px;">Best in ${currentMarketRegime}:</div>
+          <div style="display:flex; gap:4px; flex-wrap:wrap;">
+            ${regimeIndicators.map(ind => 
+              `<span style="background:#6366f1; color:#fff; padding:2px 6px; border-radius:3px; font-size:9px;">${ind.name} ${(ind.accuracy * 100).toFixed(1)}% (${ind.total})</span>`
             ).join('')}
           </div>
         </div>
       ` : ''}
+      ${accuracy.length > 0 ? `
+        <div style="margin-bottom:6px;">
+          <div style="opacity:0.7; margin-bottom:3px;">Indicator Accuracy (95% CI):</div>
+          ${accuracy.map(a => `
+            <div style="display:flex; justify-content:space-between; gap:6px;">
+              <span>${a.name}</span>
+              <span style="color:${a.lower > 0.5 ? '#10b981' : a.upper < 0.5 ? '#ef4444' : '#9ca3af'};">${(a.mean * 100).toFixed(1)}% [${(a.lower * 100).toFixed(0)}-${(a.upper * 100).toFixed(0)}] n=${a.votes}</span>
+              <span style="opacity:0.7;">w ${a.weight.toFixed(2)}</span>
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+      ${reliability.length > 0 ? `
+        <div style="margin-bottom:6px;">
+          <div style="opacity:0.7; margin-bottom:3px;">Calibration (${calibration ? `${calibration.method}, n=${calibration.samples}` : 'not fitted'}):</div>
+          ${reliability.map(bin => `
+            <div style="display:flex; align-items:center; gap:4px; margin-bottom:2px;">
+              <span style="width:42px;">${bin.from}-${bin.to}%</span>
+              <div style="flex:1; height:6px; background:#1e293b; border-radius:3px; position:relative;">
+                <div style="position:absolute; top:0; bottom:0; left:0; width:${(bin.observed * 100).toFixed(0)}%; background:#10b981; border-radius:3px;"></div>
+                <div style="position:absolute; top:-2px; bottom:-2px; left:${(bin.calibrated * 100).toFixed(0)}%; width:2px; background:#f59e0b;"></div>
+              </div>
+              <span style="width:70px; text-align:right;">${(bin.observed * 100).toFixed(0)}% / ${(bin.calibrated * 100).toFixed(0)}% (${bin.n})</span>
+            </div>
+          `).join('')}
+          <div style="opacity:0.6; font-size:9px;">bar = observed WR · marker = calibrated</div>
+        </div>
+      ` : ''}
       <div style="margin-top:6px;">
         <div style="opacity:0.7; margin-bottom:2px;">Patterns Analyzed:</div>
-        <div style="font-weight:700; color:#10b981;">${learningData.successfulPatterns.length + learningData.failedPatterns.length}</div>
+        <div style="font-weight:700; color:#10b981;">${learningData.totals.wins + learningData.totals.losses}</div>
       </div>
     `;
   }
@@ -1303,6 +1435,49 @@
         </style>
       </div>
       
+      <div style="padding:10px; background:#1e293b; border-radius:8px; margin-bottom:12px; border:1px solid #334155;">
+        <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:8px;">
+          <span style="font-size:11px; opacity:0.7;">Signal Mode:</span>
+          <span id="ps-mode-status" style="font-size:10px; opacity:0.7;"></span>
+        </div>
+        <div style="display:grid; grid-template-columns:1fr 1fr; gap:6px;">
+          ${SIGNAL_MODES.map(mode => `
+            <button class="ps-mode-btn" data-mode="${mode}" style="padding:6px; border-radius:6px; border:1px solid #334155; cursor:pointer; font-size:11px; font-weight:700;">${mode === 'RL' ? 'RL (DQN)' : 'VOTE'}</button>
+          `).join('')}
+        </div>
+        <div style="display:flex; justify-content:space-between; align-items:center; margin:8px 0 6px;">
+          <span style="font-size:11px; opacity:0.7;">No Setup:</span>
+          <span id="ps-fallback-status" style="font-size:10px; opacity:0.7;"></span>
+        </div>
+        <div style="display:grid; grid-template-columns:1fr 1fr; gap:6px;">
+          ${FALLBACK_MODES.map(mode => `
+            <button class="ps-fallback-btn" data-mode="${mode}" style="padding:6px; border-radius:6px; border:1px solid #334155; cursor:pointer; font-size:11px; font-weight:700;">${mode === 'HOLD' ? 'HOLD' : 'TREND trade'}</button>
+          `).join('')}
+        </div>
+        <div style="display:flex; justify-content:space-between; align-items:center; margin:8px 0 6px;">
+          <span style="font-size:11px; opacity:0.7;">HTF Filter:</span>
+          <span id="ps-trend-status" style="font-size:10px; opacity:0.7; font-family:monospace;"></span>
+        </div>
+        <div style="display:grid; grid-template-columns:1fr 1fr 1fr; gap:6px;">
+          ${TREND_FILTERS.map(tf => `
+            <button class="ps-trend-btn" data-timeframe="${tf}" style="padding:6px; border-radius:6px; border:1px solid #334155; cursor:pointer; font-size:11px; font-weight:700;">${tf}</button>
+          `).join('')}
+        </div>
+      </div>
+      
+      <div style="padding:10px; background:#1e293b; border-radius:8px; margin-bottom:12px; border:1px solid #334155;">
+        <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:8px;">
+          <span style="font-size:11px; opacity:0.7;">Signal Journal:</span>
+          <span id="ps-journal-status" style="font-size:10px; opacity:0.7;"></span>
+        </div>
+        <div style="display:grid; grid-template-columns:1fr 1fr 1fr; gap:6px;">
+          <button class="ps-journal-btn" data-action="csv" style="padding:6px; border-radius:6px; border:1px solid #334155; background:#0f172a; color:#94a3b8; cursor:pointer; font-size:11px; font-weight:700;">⬇ CSV</button>
+          <button class="ps-journal-btn" data-action="json" style="padding:6px; border-radius:6px; border:1px solid #334155; background:#0f172a; color:#94a3b8; cursor:pointer; font-size:11px; font-weight:700;">⬇ JSON</button>
+          <button class="ps-journal-btn" data-action="import" style="padding:6px; border-radius:6px; border:1px solid #334155; background:#0f172a; color:#94a3b8; cursor:pointer; font-size:11px; font-weight:700;">⬆ Import</button>
+        </div>
+        <input type="file" id="ps-journal-file" accept=".csv,.json,text/csv,application/json" style="display:none;">
+      </div>
+      
       <div id="ps-analytics" style="padding:10px; background:#1e293b; border-radius:8px; margin-bottom:12px; border:1px solid #334155;">
         <div style="font-size:10px; font-weight:600; color:#60a5fa; margin-bottom:8px;">📊 ANALYTICS</div>
         <div id="ps-analytics-content" style="font-size:10px;"></div>
@@ -1338,6 +1513,60 @@
     const intervalSlider = document.getElementById('ps-interval-slider');
     const intervalValue = document.getElementById('ps-interval-value');
     
+    // Setup mode buttons
+    panel.querySelectorAll('.ps-mode-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        signalMode = btn.dataset.mode;
+        saveSettings();
+        updateModeDisplay();
+        console.log(`[Pocket Scout v5 WIN] Signal mode set to ${signalMode}`);
+      });
+    });
+    panel.querySelectorAll('.ps-fallback-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        fallbackMode = btn.dataset.mode;
+        saveSettings();
+        updateModeDisplay();
+        console.log(`[Pocket Scout v5 WIN] No-setup behaviour set to ${fallbackMode}`);
+      });
+    });
+    panel.querySelectorAll('.ps-trend-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        trendFilter = btn.dataset.timeframe;
+        saveSettings();
+        updateModeDisplay();
+        console.log(`[Pocket Scout v5 WIN] Higher-timeframe filter set to ${trendFilter}`);
+      });
+    });
+    updateModeDisplay();
+    
+    // Setup journal export / import
+    const journalFile = document.getElementById('ps-journal-file');
+    const journalStatus = document.getElementById('ps-journal-status');
+    panel.querySelectorAll('.ps-journal-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        if (btn.dataset.action === 'import') {
+          journalFile.click();
+        } else {
+          downloadJournal(btn.dataset.action);
+          journalStatus.textContent = `${signalHistory.length} signals exported`;
+        }
+      });
+    });
+    journalFile.addEventListener('change', () => {
+      const file = journalFile.files[0];
+      if (!file) return;
+      file.text().then(text => {
+        const result = importJournal(text);
+        journalStatus.textContent = `+${result.added} new, ${result.updated} updated`;
+      }).catch(e => {
+        journalStatus.textContent = 'Import failed';
+        console.warn('[Pocket Scout v5 WIN] Journal import failed:', e);
+      }).finally(() => {
+        journalFile.value = '';
+      });
+    });
+    
     intervalSlider.addEventListener('input', (e) => {
       signalIntervalMinutes = parseInt(e.target.value, 10);
       intervalValue.textContent = `${signalIntervalMinutes} min`;
@@ -1352,11 +1581,62 @@
     });
   }
 
+  // Update mode selector buttons and RL agent status
+  function updateModeDisplay() {
+    if (!UI.panel) return;
+    
+    UI.panel.querySelectorAll('.ps-mode-btn').forEach(btn => {
+      const active = btn.dataset.mode === signalMode;
+      btn.style.background = active ? '#3b82f6' : '#0f172a';
+      btn.style.color = active ? '#fff' : '#94a3b8';
+    });
+    
+    const status = document.getElementById('ps-mode-status');
+    if (status) {
+      if (signalMode !== 'RL') {
+        status.textContent = 'Weighted indicator votes';
+      } else if (rlReady) {
+        const m = window.RLIntegration.getMetrics();
+        status.textContent = `ε ${m.epsilon.toFixed(3)} | ${m.totalExperiences} exp`;
+      } else {
+        status.textContent = 'RL loading - using VOTE';
+      }
+    }
+    
+    UI.panel.querySelectorAll('.ps-fallback-btn').forEach(btn => {
+      const active = btn.dataset.mode === fallbackMode;
+      btn.style.background = active ? '#3b82f6' : '#0f172a';
+      btn.style.color = active ? '#fff' : '#94a3b8';
+    });
+    
+    const fallbackStatus = document.getElementById('ps-fallback-status');
+    if (fallbackStatus) {
+      fallbackStatus.textContent = fallbackMode === 'HOLD' ?
+        'No trade published' :
+        `Trend WR ${window.SignalEngine.calculateWinRate(fallbackStats).toFixed(1)}% (${fallbackStats.wins}W/${fallbackStats.losses}L)`;
+    }
+    
+    UI.panel.querySelectorAll('.ps-trend-btn').forEach(btn => {
+      const active = btn.dataset.timeframe === trendFilter;
+      btn.style.background = active ? '#3b82f6' : '#0f172a';
+      btn.style.color = active ? '#fff' : '#94a3b8';
+    });
+    
+    // Closed-candle trend per higher timeframe: ↑ UP, ↓ DOWN, → FLAT, · not enough history
+    const trendStatus = document.getElementById('ps-trend-status');
+    if (trendStatus) {
+      const arrows = { UP: '↑', DOWN: '↓', FLAT: '→' };
+      const trends = getTimeframeTrends();
+      trendStatus.textContent = Object.entries(trends).map(([tf, trend]) => `${tf}${arrows[trend] || '·'}`).join(' ');
+    }
+  }
+
   // Start countdown timer update
   function startCountdownTimer() {
     setInterval(() => {
       if (warmupComplete) {
         updateUI();
+        updateModeDisplay();
         // Update WR footer
         if (UI.wrFooter) {
           UI.wrFooter.textContent = `${calculateWinRate().toFixed(1)}%`;
@@ -1371,27 +1651,62 @@
       sendResponse({
         metrics: {
           winRate: calculateWinRate(),
-          totalSignals: totalSignals,
-          wins: winningSignals,
-          losses: losingSignals,
-          currentInterval: signalIntervalMinutes
+          totalSignals: stats.total,
+          wins: stats.wins,
+          losses: stats.losses,
+          ties: stats.ties,
+          currentInterval: signalIntervalMinutes,
+          symbol: currentSymbol,
+          priceFeed: isWsFeedLive() ? 'WS' : 'DOM',
+          signalMode: signalMode,
+          fallbackMode: fallbackMode,
+          fallback: { ...fallbackStats, winRate: window.SignalEngine.calculateWinRate(fallbackStats) },
+          rlReady: rlReady
         },
+        rl: rlReady ? window.RLIntegration.getMetrics() : null,
         lastSignal: lastSignal,
+        lastHold: lastHold,
         signalHistory: signalHistory.slice(0, 10),
         candles: ohlcM1.length,
+        timeframeTrends: getTimeframeTrends(),
+        trendFilter: trendFilter,
+        keyLevels: getAnalytics().keyLevels,
         warmupComplete: warmupComplete
       });
       return true;
     }
     
+    if (message.type === 'RUN_BACKTEST') {
+      // Replay the collected M1 history through every strategy
+      loadBacktester().then(() => {
+        const report = window.Backtester.run(ohlcM1, message.options || {});
+        sendResponse({
+          summary: window.Backtester.summarize(report),
+          ranking: report ? report.ranking : [],
+          candles: ohlcM1.length
+        });
+      }).catch(e => {
+        console.warn('[Pocket Scout v5 WIN] Backtester unavailable:', e);
+        sendResponse({ error: e.message });
+      });
+      return true;
+    }
+    
+    if (message.type === 'EXPORT_JOURNAL') {
+      sendResponse(exportJournal(message.format === 'csv' ? 'csv' : 'json'));
+      return true;
+    }
+    
     if (message.type === 'SIGNAL_RESULT') {
       // Track signal outcome from Auto Trader or manual verification
-      const { result } = message; // 'WIN' or 'LOSS'
-      totalSignals++;
+      const { result } = message; // 'WIN', 'LOSS' or 'TIE'
+      stats.total++;
       if (result === 'WIN') {
-        winningSignals++;
+        stats.wins++;
       } else if (result === 'LOSS') {
-        losingSignals++;
+        stats.losses++;
+      } else if (result === 'TIE') {
+        stats.ties++;
       }
       saveSettings();
       console.log(`[Pocket Scout v5 WIN] Signal result: ${result} | WR: ${calculateWinRate().toFixed(1)}%`);
@@ -1402,6 +1717,48 @@
     return false;
   });
 
+  // The backtester is an offline tool - background.js injects it into this content script's world on first use
+  async function loadBacktester() {
+    if (!window.Backtester) {
+      const response = await chrome.runtime.sendMessage({ type: 'LOAD_BACKTESTER' });
+      if (!response || !response.success || !window.Backtester) {
+        throw new Error(response && response.error ? response.error : 'backtester.js could not be loaded');
+      }
+      registerBacktestStrategy();
+    }
+  }
+
+  // Replay generateSignal() logic (AI analysis, else fallback) over a candle window
+  function registerBacktestStrategy() {
+    window.Backtester.registerStrategy({
+      id: 'VOTE_ENGINE',
+      name: 'Vote Engine (generateSignal)',
+      analyze: (candles, indicators) => {
+        const analysis = window.SignalEngine.analyzeIndicators(candles, learningData, { silent: true, indicators, symbol: currentSymbol });
+        if (analysis && analysis.action && analysis.confidence >= 35) {
+          return analysis;
+        }
+        return fallbackMode === 'TREND' ? window.SignalEngine.buildFallbackAnalysis(candles, indicators) : null; // HOLD = no trade
+      }
+    });
+  }
+
+  // Initialize RL agent - VOTE mode keeps working if this fails
+  async function initializeRL() {
+    try {
+      await window.RLIntegration.initialize();
+      rlReady = true;
+      console.log(`[Pocket Scout v5 WIN] 🤖 RL agent ready (mode: ${signalMode})`);
+      
+      if (warmupComplete) {
+        window.RLIntegration.warmupBanditFromHistory(ohlcM1);
+      }
+      updateModeDisplay();
+    } catch (e) {
+      console.warn('[Pocket Scout v5 WIN] RL agent unavailable, using VOTE mode:', e);
+    }
+  }
+
   // Start processing
   function start() {
     console.log(`[Pocket Scout v5 WIN] Starting...`);
@@ -1412,7 +1769,20 @@
     // Wait for dependencies
     const requiredDeps = [
       'CircularBuffer',
+      'TimeframeAggregator',
+      'StreamingIndicators',
       'TechnicalIndicators',
+      'DivergenceDetector',
+      'SupportResistance',
+      'MarketRegimeDetector',
+      'IndicatorGroups',
+      'SignalEngine',
+      'LearningStore',
+      'ConfidenceCalibrator',
+      'SignalJournal',
+      'ExperienceReplay',
+      'DQNNetwork',
+      'RLIntegration',
       'CyclicDecisionEngine'
     ];
     
@@ -1427,13 +1797,33 @@
         // Inject panel
         injectPanel();
         
-        // Start tick processing (collect price every second)
-        setInterval(() => {
-          const price = readPriceFromDom();
-          if (price) {
-            pushTick(Date.now(), price);
-          }
-        }, 1000);
+        // Restore the RL agent (weights, epsilon, bandit) from background storage
+        initializeRL();
+        
+        // One outcome pipeline: every verified signal flows through here
+        outcomeEvents.on('signal:resolved', onSignalResolved);
+        
+        // Resume the active symbol from stored candles and the signal ledger, then start tick processing:
+        // WebSocket ticks as they arrive, DOM price polled every second while the socket is quiet
+        activateSymbol(readSymbolFromDom() || 'UNKNOWN').then(resumeLedger).then(() => {
+          window.addEventListener('message', handleFeedMessage);
+          
+          // Background tabs throttle timers - catch up on expired signals when the tab wakes up
+          document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+              checkPendingSignals();
+            }
+          });
+          
+          setInterval(() => {
+            if (syncActiveSymbol() || isWsFeedLive()) return;
+            
+            const price = readPriceFromDom();
+            if (price) {
+              pushTick(serverNow(), price);
+            }
+          }, 1000);
+        });
         
         // Start countdown timer
         startCountdownTimer();
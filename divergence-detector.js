@@ -0,0 +1,163 @@
+/**
+ * Pocket Scout v5.0 WIN - Divergence Detector
+ * Regular and hidden RSI / MACD / AO divergences between the last two confirmed price swings
+ * (regular = reversal setup, hidden = trend continuation)
+ */
+
+window.DivergenceDetector = (function() {
+  'use strict';
+
+  const SWING_LEFT = 3;      // Candles before a swing point that must be lower (high) / higher (low)
+  const SWING_RIGHT = 2;     // Candles after it - a swing is only confirmed this many candles later
+  const MIN_DISTANCE = 5;    // Candles between the two swings compared
+  const MAX_DISTANCE = 50;
+  const MAX_AGE = 5;         // The newer swing must be at most this many candles old to be actionable
+  // Candles that can hold both compared swings - older history never changes the verdict
+  const WINDOW = MAX_AGE + MAX_DISTANCE + SWING_LEFT + 1;
+
+  // Oscillator series taken from a StreamingIndicators cache - name → aligned array (nulls during warmup)
+  const OSCILLATORS = {
+    rsi: (indicators) => indicators.series('rsi', 14),
+    macd: (indicators) => indicators.series('macd', 12, 26, 9).histogram,
+    ao: (indicators) => indicators.series('awesomeOscillator')
+  };
+
+  /**
+   * Confirmed swing points: index i is a swing high when highs[i] is above the SWING_LEFT
+   * candles before and the SWING_RIGHT candles after it (swing lows mirror that on lows).
+   * The last SWING_RIGHT candles can't hold a swing yet, so nothing repaints.
+   */
+  function findSwings(highs, lows, left = SWING_LEFT, right = SWING_RIGHT) {
+    const swingHighs = [];
+    const swingLows = [];
+    for (let i = left; i < highs.length - right; i++) {
+      let isHigh = true;
+      let isLow = true;
+      for (let j = i - left; j <= i + right && (isHigh || isLow); j++) {
+        if (j === i) continue;
+        // Ties on the left still count, so a flat double top yields its later point
+        if (j < i ? highs[j] > highs[i] : highs[j] >= highs[i]) isHigh = false;
+        if (j < i ? lows[j] < lows[i] : lows[j] <= lows[i]) isLow = false;
+      }
+      if (isHigh) swingHighs.push(i);
+      if (isLow) swingLows.push(i);
+    }
+    return { highs: swingHighs, lows: swingLows };
+  }
+
+  /**
+   * Compare the last two swings of one kind against an oscillator.
+   * side 'LOW' looks for bullish divergences on swing lows, 'HIGH' for bearish ones on swing highs.
+   * Swings index the recent prices window, which starts at oscillator index offset.
+   */
+  function compareSwings(swings, prices, oscillator, side, lastIndex, offset = 0) {
+    if (swings.length < 2) return null;
+    const to = swings[swings.length - 1];
+    const from = swings[swings.length - 2];
+    const distance = to - from;
+    const age = lastIndex - to;
+    if (distance < MIN_DISTANCE || distance > MAX_DISTANCE || age > MAX_AGE) return null;
+
+    const p1 = prices[from];
+    const p2 = prices[to];
+    const o1 = oscillator[from + offset];
+    const o2 = oscillator[to + offset];
+    if (o1 === null || o2 === null || o1 === undefined || o2 === undefined) return null;
+
+    const priceUp = p2 > p1;
+    const oscUp = o2 > o1;
+    if (p2 === p1 || o2 === o1 || priceUp === oscUp) return null;
+
+    // Lows: price lower + oscillator higher = regular bullish; price higher + oscillator lower = hidden bullish
+    // Highs: price higher + oscillator lower = regular bearish; price lower + oscillator higher = hidden bearish
+    const type = (side === 'LOW') === !priceUp ? 'REGULAR' : 'HIDDEN';
+    const direction = side === 'LOW' ? 'BULLISH' : 'BEARISH';
+
+    // Size of both moves relative to their range between the swings, 0-1
+    const oscWindow = oscillator.slice(from + offset, to + offset + 1).filter(v => v !== null);
+    const oscRange = Math.max(...oscWindow) - Math.min(...oscWindow);
+    const priceWindow = prices.slice(from, to + 1);
+    const priceRange = Math.max(...priceWindow) - Math.min(...priceWindow);
+    const oscMove = oscRange > 0 ? Math.abs(o2 - o1) / oscRange : 0;
+    const priceMove = priceRange > 0 ? Math.abs(p2 - p1) / priceRange : 0;
+    const freshness = 1 - age / (MAX_AGE + 1);
+    const strength = Math.min(1, (oscMove + priceMove) / 2 + 0.25) * freshness;
+
+    return {
+      type,
+      direction,
+      action: direction === 'BULLISH' ? 'BUY' : 'SELL',
+      strength,
+      age,
+      from: { index: from + offset, price: p1, value: o1 },
+      to: { index: to + offset, price: p2, value: o2 }
+    };
+  }
+
+  /**
+   * Every current divergence, strongest first:
+   * [{ oscillator, type: REGULAR | HIDDEN, direction: BULLISH | BEARISH, action, strength 0-1, age, from, to }]
+   * options.indicators reuses a StreamingIndicators cache for these candles. Swings are only
+   * searched in the last WINDOW candles; from / to index the full candle array.
+   */
+  function detect(candles, options = {}) {
+    if (!candles || candles.length < SWING_LEFT + SWING_RIGHT + MIN_DISTANCE + 1) return [];
+    const indicators = options.indicators || window.StreamingIndicators.fromCandles(candles);
+    const offset = Math.max(0, candles.length - WINDOW);
+    const recent = candles.slice(offset);
+    const highs = recent.map(c => c.h);
+    const lows = recent.map(c => c.l);
+    const swings = findSwings(highs, lows);
+    const lastIndex = recent.length - 1;
+
+    const divergences = [];
+    Object.entries(OSCILLATORS).forEach(([name, getSeries]) => {
+      const series = getSeries(indicators);
+      [
+        compareSwings(swings.lows, lows, series, 'LOW', lastIndex, offset),
+        compareSwings(swings.highs, highs, series, 'HIGH', lastIndex, offset)
+      ].forEach(divergence => {
+        if (divergence) divergences.push({ oscillator: name, ...divergence });
+      });
+    });
+    return divergences.sort((a, b) => b.strength - a.strength);
+  }
+
+  /**
+   * One verdict from all current divergences: { action, strength 0-1, divergences, reasons }.
+   * Oscillators agreeing add up, opposing ones cancel - null when nothing is left.
+   */
+  function analyze(candles, options = {}) {
+    const divergences = detect(candles, options);
+    if (divergences.length === 0) return null;
+
+    let buy = 0;
+    let sell = 0;
+    divergences.forEach(d => {
+      if (d.action === 'BUY') buy += d.strength;
+      else sell += d.strength;
+    });
+    if (buy === sell) return null;
+
+    const action = buy > sell ? 'BUY' : 'SELL';
+    const agreeing = divergences.filter(d => d.action === action);
+    return {
+      action,
+      strength: Math.min(1, Math.abs(buy - sell) / 2 + (agreeing.length > 1 ? 0.2 : 0)),
+      divergences: agreeing,
+      reasons: agreeing.map(d =>
+        `${d.type === 'REGULAR' ? 'Regular' : 'Hidden'} ${d.direction.toLowerCase()} ${d.oscillator.toUpperCase()} divergence`)
+    };
+  }
+
+  return {
+    SWING_LEFT,
+    SWING_RIGHT,
+    MAX_AGE,
+    findSwings,
+    detect,
+    analyze
+  };
+})();
+
+console.log('[Pocket Scout v5 WIN] Divergence Detector loaded - regular/hidden RSI, MACD, AO divergences');
@@ -13,7 +13,10 @@ window.DQNNetwork = (function() {
     ACTION_DIM: 18, // Updated dynamically below based on indicator groups
     LEARNING_RATE: 0.001,
     TAU: 0.005,
-    GAMMA: 0.95
+    GAMMA: 0.95,
+    LOSS: 'HUBER', // 'HUBER' or 'MSE'
+    HUBER_DELTA: 1.0,
+    GRAD_CLIP_NORM: 5.0 // Global L2 norm cap for batch gradients
   };
 
   function resolveActionDim() {
@@ -32,8 +35,36 @@ window.DQNNetwork = (function() {
     return Math.max(0, Math.min(index, arr.length - 1));
   }
 
+  // Loss and its derivative w.r.t. the predicted Q-value, given tdError = target - prediction
+  function lossFor(tdError, lossType) {
+    const absError = Math.abs(tdError);
+    if (lossType === 'HUBER' && absError > CONFIG.HUBER_DELTA) {
+      return {
+        loss: CONFIG.HUBER_DELTA * (absError - 0.5 * CONFIG.HUBER_DELTA),
+        grad: -CONFIG.HUBER_DELTA * Math.sign(tdError)
+      };
+    }
+    return { loss: 0.5 * tdError * tdError, grad: -tdError };
+  }
+
+  function gradientNorm(grads) {
+    let sumSq = 0;
+    for (const key of Object.keys(grads)) {
+      const g = grads[key];
+      for (let i = 0; i < g.length; i++) {
+        if (Array.isArray(g[i])) {
+          for (let j = 0; j < g[i].length; j++) sumSq += g[i][j] * g[i][j];
+        } else {
+          sumSq += g[i] * g[i];
+        }
+      }
+    }
+    return Math.sqrt(sumSq);
+  }
+
   class NeuralNetwork {
-    constructor(inputDim, hiddenDim, hiddenDim2, outputDim) {
+    constructor(inputDim, hiddenDim, hiddenDim2, outputDim, rng = window.RandomSource.getShared()) {
+      this.rng = rng; // Seedable source for weight init
       this.inputDim = inputDim;
       this.hiddenDim = hiddenDim;
       this.hiddenDim2 = hiddenDim2;
@@ -53,7 +84,7 @@ window.DQNNetwork = (function() {
       for (let i = 0; i < rows; i++) {
         weights[i] = [];
         for (let j = 0; j < cols; j++) {
-          weights[i][j] = (Math.random() * 2 - 1) * limit;
+          weights[i][j] = (this.rng.next() * 2 - 1) * limit;
         }
       }
       return weights;
@@ -63,22 +94,29 @@ window.DQNNetwork = (function() {
       return Math.max(0, x);
     }
     
-    predict(state) {
+    /**
+     * Forward pass keeping pre-activations (z) and activations (h) for backprop
+     */
+    forward(state) {
+      const z1 = new Array(this.hiddenDim);
       const h1 = new Array(this.hiddenDim);
       for (let j = 0; j < this.hiddenDim; j++) {
         let sum = this.b1[j];
         for (let i = 0; i < this.inputDim; i++) {
           sum += state[i] * this.W1[i][j];
         }
+        z1[j] = sum;
         h1[j] = this._relu(sum);
       }
       
+      const z2 = new Array(this.hiddenDim2);
       const h2 = new Array(this.hiddenDim2);
       for (let j = 0; j < this.hiddenDim2; j++) {
         let sum = this.b2[j];
         for (let i = 0; i < this.hiddenDim; i++) {
           sum += h1[i] * this.W2[i][j];
         }
+        z2[j] = sum;
         h2[j] = this._relu(sum);
       }
       
@@ -91,7 +129,88 @@ window.DQNNetwork = (function() {
         output[j] = sum;
       }
       
-      return output;
+      return { input: state, z1, h1, z2, h2, output };
+    }
+    
+    predict(state) {
+      return this.forward(state).output;
+    }
+    
+    createGradients() {
+      const zeros = (rows, cols) => Array.from({ length: rows }, () => new Array(cols).fill(0));
+      return {
+        W1: zeros(this.inputDim, this.hiddenDim),
+        b1: new Array(this.hiddenDim).fill(0),
+        W2: zeros(this.hiddenDim, this.hiddenDim2),
+        b2: new Array(this.hiddenDim2).fill(0),
+        W3: zeros(this.hiddenDim2, this.outputDim),
+        b3: new Array(this.outputDim).fill(0)
+      };
+    }
+    
+    /**
+     * Backward pass: add dLoss/dParam for one sample into grads.
+     * dOutput is dLoss/dOutput (length outputDim), cache comes from forward()
+     */
+    accumulateGradients(grads, cache, dOutput) {
+      const { input, z1, h1, z2, h2 } = cache;
+      
+      // Output layer (linear)
+      const dH2 = new Array(this.hiddenDim2).fill(0);
+      for (let j = 0; j < this.outputDim; j++) {
+        const d = dOutput[j];
+        if (d === 0) continue;
+        grads.b3[j] += d;
+        for (let i = 0; i < this.hiddenDim2; i++) {
+          grads.W3[i][j] += h2[i] * d;
+          dH2[i] += this.W3[i][j] * d;
+        }
+      }
+      
+      // Hidden layer 2 (ReLU)
+      const dH1 = new Array(this.hiddenDim).fill(0);
+      for (let j = 0; j < this.hiddenDim2; j++) {
+        if (z2[j] <= 0) continue;
+        const d = dH2[j];
+        grads.b2[j] += d;
+        for (let i = 0; i < this.hiddenDim; i++) {
+          grads.W2[i][j] += h1[i] * d;
+          dH1[i] += this.W2[i][j] * d;
+        }
+      }
+      
+      // Hidden layer 1 (ReLU)
+      for (let j = 0; j < this.hiddenDim; j++) {
+        if (z1[j] <= 0) continue;
+        const d = dH1[j];
+        grads.b1[j] += d;
+        for (let i = 0; i < this.inputDim; i++) {
+          grads.W1[i][j] += input[i] * d;
+        }
+      }
+    }
+    
+    /**
+     * Gradient descent step: param -= learningRate * scale * grad
+     */
+    applyGradients(grads, learningRate, scale = 1) {
+      const step = learningRate * scale;
+      for (const key of ['W1', 'W2', 'W3']) {
+        const W = this[key];
+        const G = grads[key];
+        for (let i = 0; i < W.length; i++) {
+          for (let j = 0; j < W[i].length; j++) {
+            W[i][j] -= step * G[i][j];
+          }
+        }
+      }
+      for (const key of ['b1', 'b2', 'b3']) {
+        const b = this[key];
+        const g = grads[key];
+        for (let i = 0; i < b.length; i++) {
+          b[i] -= step * g[i];
+        }
+      }
     }
     
     getWeights() {
@@ -121,21 +240,23 @@ window.DQNNetwork = (function() {
   }
 
   class DQNAgent {
-    constructor() {
+    constructor(rng = window.RandomSource.getShared()) {
       CONFIG.ACTION_DIM = resolveActionDim();
 
       this.onlineNetwork = new NeuralNetwork(
         CONFIG.STATE_DIM,
         CONFIG.HIDDEN_DIM,
         CONFIG.HIDDEN_DIM_2,
-        CONFIG.ACTION_DIM
+        CONFIG.ACTION_DIM,
+        rng
       );
       
       this.targetNetwork = new NeuralNetwork(
         CONFIG.STATE_DIM,
         CONFIG.HIDDEN_DIM,
         CONFIG.HIDDEN_DIM_2,
-        CONFIG.ACTION_DIM
+        CONFIG.ACTION_DIM,
+        rng
       );
       
       this.targetNetwork.copyFrom(this.onlineNetwork);
@@ -202,27 +323,32 @@ window.DQNNetwork = (function() {
 
     /**
      * Train the network on a batch of experiences
-     * Simplified gradient descent for browser environment
+     * Full backpropagation through all layers, batch-averaged and norm-clipped.
+     * Experiences may carry an importance-sampling weight (prioritized replay);
+     * the per-experience TD errors are left in lastTdErrors for priority updates
      */
-    train(batch) {
+    train(batch, lossType = CONFIG.LOSS) {
       if (!batch || batch.length === 0) return 0;
 
+      const network = this.onlineNetwork;
+      const grads = network.createGradients();
+      const tdErrors = [];
       let totalLoss = 0;
-      const learningRate = CONFIG.LEARNING_RATE;
 
       // Process each experience in the batch
       for (const exp of batch) {
         const { state, action, reward, nextState, done } = exp;
+        const weight = Number.isFinite(exp.weight) ? exp.weight : 1;
 
         // Get current Q-value for the action taken
-        const currentQValues = this.onlineNetwork.predict(state);
-        const currentQ = currentQValues[action];
+        const cache = network.forward(state);
+        const currentQ = cache.output[action];
 
         // Calculate target Q-value
         let targetQ = reward;
         if (!done && nextState) {
           // Double DQN: action selection from online net, evaluation from target net
-          const onlineNext = this.onlineNetwork.predict(nextState);
+          const onlineNext = network.predict(nextState);
           let bestNextAction = 0;
           let bestOnlineQ = onlineNext[0];
           for (let i = 1; i < onlineNext.length; i++) {
@@ -237,50 +363,34 @@ window.DQNNetwork = (function() {
           targetQ = reward + CONFIG.GAMMA * nextQ;
         }
 
-        // Calculate TD error
+        // Calculate TD error and loss
         const tdError = targetQ - currentQ;
-        totalLoss += Math.abs(tdError);
+        const { loss, grad } = lossFor(tdError, lossType);
+        tdErrors.push(tdError);
+        totalLoss += weight * loss;
 
-        // Simplified gradient update (approximation)
-        // In full implementation, this would use backpropagation
-        // For browser, we use a simplified update
         // Adaptive learning rate for volatility-heavy states (state[1] is ATR-normalized)
         const volatilityFactor = state && state[1] ? Math.min(MAX_VOLATILITY_BOOST, BASE_VOLATILITY_WEIGHT + state[1]) : 1;
-        this._updateWeights(state, action, tdError, learningRate * volatilityFactor);
+
+        // Only the taken action's output receives gradient
+        const dOutput = new Array(network.outputDim).fill(0);
+        dOutput[action] = grad * volatilityFactor * weight;
+        network.accumulateGradients(grads, cache, dOutput);
       }
 
+      // Average over the batch, then clip the global gradient norm
+      const norm = gradientNorm(grads) / batch.length;
+      const clipScale = norm > CONFIG.GRAD_CLIP_NORM ? CONFIG.GRAD_CLIP_NORM / norm : 1;
+      network.applyGradients(grads, CONFIG.LEARNING_RATE, clipScale / batch.length);
+      this.lastGradNorm = norm;
+      this.lastTdErrors = tdErrors;
+
       // Soft update target network
       this.softUpdate();
       this.trainSteps++;
 
       return totalLoss / batch.length;
     }
-
-    /**
-     * Simplified weight update (approximation of gradient descent)
-     */
-    _updateWeights(state, action, tdError, learningRate) {
-      // Simplified update: adjust weights based on TD error
-      // This is an approximation - full backprop would be more accurate
-      const weights = this.onlineNetwork.getWeights();
-      const adjustment = tdError * learningRate * 0.1; // Scaled down for stability
-
-      // Update output layer weights for the specific action
-      if (weights.W3 && weights.W3.length > 0) {
-        const stateLen = state.length;
-        for (let i = 0; i < weights.W3.length && i < stateLen; i++) {
-          if (weights.W3[i] && weights.W3[i][action] !== undefined) {
-            weights.W3[i][action] += adjustment * state[i] * 0.01;
-          }
-        }
-      }
-
-      if (weights.b3 && weights.b3[action] !== undefined) {
-        weights.b3[action] += adjustment;
-      }
-
-      this.onlineNetwork.setWeights(weights);
-    }
   }
 
   return {
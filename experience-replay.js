@@ -1,22 +1,79 @@
 /**
  * Pocket Scout Dynamic Time - Experience Replay Buffer
- * Stores and samples experiences for DQN training
+ * Prioritized experience replay for DQN training: ring buffer + sum-tree over TD-error
+ * priorities, importance-sampling weights, and a serializable form saved with the RL state
  */
 
 window.ExperienceReplay = (function() {
   'use strict';
 
-  const BUFFER_SIZE = 1000;
+  const BUFFER_SIZE = 2000;
   const BATCH_SIZE = 32;
   const MIN_EXPERIENCES = 50; // Minimum experiences before training
 
+  // Prioritization (Schaul et al. 2016, proportional variant)
+  const PRIORITY_ALPHA = 0.6;     // 0 = uniform sampling, 1 = fully greedy on TD error
+  const PRIORITY_EPSILON = 0.01;  // Keeps zero-error experiences sampleable
+  const BETA_START = 0.4;         // Importance-sampling correction, annealed to 1
+  const BETA_ANNEAL_STEPS = 5000; // Sampled batches until full correction
+  const SERIALIZE_VERSION = 1;
+
+  /**
+   * Binary sum-tree over leaf priorities: O(log n) update and prefix-sum lookup.
+   * Leaf i lives at node capacity + i, node k sums nodes 2k and 2k + 1.
+   */
+  class SumTree {
+    constructor(capacity) {
+      this.capacity = capacity;
+      this.nodes = new Float64Array(2 * capacity);
+    }
+
+    total() {
+      return this.nodes[1];
+    }
+
+    get(index) {
+      return this.nodes[this.capacity + index];
+    }
+
+    update(index, priority) {
+      let node = this.capacity + index;
+      const delta = priority - this.nodes[node];
+      while (node >= 1) {
+        this.nodes[node] += delta;
+        node >>= 1;
+      }
+    }
+
+    // Leaf index whose cumulative priority range contains value (0 <= value < total)
+    find(value) {
+      let node = 1;
+      while (node < this.capacity) {
+        const left = 2 * node;
+        if (value < this.nodes[left] || this.nodes[left + 1] <= 0) {
+          node = left;
+        } else {
+          value -= this.nodes[left];
+          node = left + 1;
+        }
+      }
+      return node - this.capacity;
+    }
+  }
+
+  function round(value) {
+    return Math.round(value * 1e6) / 1e6;
+  }
+
   class ExperienceReplayBuffer {
-    constructor(maxSize = BUFFER_SIZE) {
-      this.buffer = [];
+    constructor(maxSize = BUFFER_SIZE, rng = window.RandomSource.getShared()) {
       this.maxSize = maxSize;
+      this.rng = rng; // Seedable source so batches replay exactly
+      this.clear();
     }
 
-    add(state, action, reward, nextState, done) {
+    // Ring buffer write: the oldest experience is overwritten in O(1) once full
+    add(state, action, reward, nextState, done, priority = this.maxPriority) {
       const experience = {
         state: [...state],
         action,
@@ -25,43 +82,115 @@ window.ExperienceReplay = (function() {
         done
       };
 
-      this.buffer.push(experience);
-      
-      if (this.buffer.length > this.maxSize) {
-        this.buffer.shift();
-      }
+      const index = this.next;
+      this.buffer[index] = experience;
+      this.tree.update(index, priority);
+      this.maxPriority = Math.max(this.maxPriority, priority);
+
+      this.next = (index + 1) % this.maxSize;
+      this.count = Math.min(this.count + 1, this.maxSize);
     }
 
+    /**
+     * Stratified sample proportional to priority. Each item is the experience plus
+     * index (for updatePriorities) and weight (normalized importance-sampling weight)
+     */
     sample(batchSize = BATCH_SIZE) {
-      if (this.buffer.length < batchSize) {
+      if (this.count < batchSize) {
         return [];
       }
 
+      const beta = Math.min(1, BETA_START + (1 - BETA_START) * this.sampleSteps / BETA_ANNEAL_STEPS);
+      this.sampleSteps++;
+
+      const total = this.tree.total();
+      const segment = total / batchSize;
       const batch = [];
-      const indices = new Set();
-      
-      while (indices.size < batchSize) {
-        const idx = Math.floor(Math.random() * this.buffer.length);
-        indices.add(idx);
-      }
-      
-      for (const idx of indices) {
-        batch.push(this.buffer[idx]);
+      let maxWeight = 0;
+
+      for (let i = 0; i < batchSize; i++) {
+        const value = Math.min(total * (1 - 1e-12), (i + this.rng.next()) * segment);
+        const index = this.tree.find(value);
+        const probability = this.tree.get(index) / total;
+        const weight = Math.pow(this.count * probability, -beta);
+        maxWeight = Math.max(maxWeight, weight);
+        batch.push({ ...this.buffer[index], index, weight });
       }
-      
+
+      batch.forEach(item => { item.weight /= maxWeight; });
       return batch;
     }
 
+    // New priorities from the TD errors of a trained batch
+    updatePriorities(indices, tdErrors) {
+      indices.forEach((index, i) => {
+        if (!Number.isFinite(tdErrors[i]) || !this.buffer[index]) return;
+        const priority = Math.pow(Math.abs(tdErrors[i]) + PRIORITY_EPSILON, PRIORITY_ALPHA);
+        this.tree.update(index, priority);
+        this.maxPriority = Math.max(this.maxPriority, priority);
+      });
+    }
+
     size() {
-      return this.buffer.length;
+      return this.count;
     }
 
     clear() {
-      this.buffer = [];
+      this.buffer = new Array(this.maxSize);
+      this.tree = new SumTree(this.maxSize);
+      this.next = 0;
+      this.count = 0;
+      this.maxPriority = 1;
+      this.sampleSteps = 0;
     }
 
     canTrain() {
-      return this.buffer.length >= MIN_EXPERIENCES;
+      return this.count >= MIN_EXPERIENCES;
+    }
+
+    // Plain-object snapshot, oldest first, for chrome.storage - limit keeps only the newest experiences
+    serialize(limit = this.count) {
+      const experiences = [];
+      const count = Math.min(this.count, Math.max(0, limit));
+      for (let i = 0; i < count; i++) {
+        const index = (this.next - count + i + this.maxSize) % this.maxSize;
+        const exp = this.buffer[index];
+        experiences.push({
+          state: exp.state.map(round),
+          action: exp.action,
+          reward: round(exp.reward),
+          nextState: exp.nextState ? exp.nextState.map(round) : null,
+          done: exp.done,
+          priority: this.tree.get(index)
+        });
+      }
+      return {
+        version: SERIALIZE_VERSION,
+        maxPriority: this.maxPriority,
+        sampleSteps: this.sampleSteps,
+        experiences
+      };
+    }
+
+    /**
+     * Replace the contents with a serialize() snapshot. isValid(experience) can reject
+     * entries that no longer fit the network (state or action dimension changed).
+     * Returns the number of experiences restored.
+     */
+    restore(data, isValid = () => true) {
+      if (!data || data.version !== SERIALIZE_VERSION || !Array.isArray(data.experiences)) return 0;
+
+      this.clear();
+      data.experiences
+        .filter(exp => exp && Array.isArray(exp.state) && isValid(exp))
+        .slice(-this.maxSize)
+        .forEach(exp => {
+          const priority = Number.isFinite(exp.priority) && exp.priority > 0 ? exp.priority : this.maxPriority;
+          this.add(exp.state, exp.action, exp.reward, exp.nextState, exp.done, priority);
+        });
+      this.maxPriority = Math.max(this.maxPriority, Number(data.maxPriority) || 1);
+      this.sampleSteps = Number(data.sampleSteps) || 0;
+      return this.count;
     }
   }
 
@@ -82,5 +211,4 @@ window.ExperienceReplay = (function() {
   };
 })();
 
-console.log('[Pocket Scout Dynamic Time] Experience Replay Buffer loaded');
-
+console.log('[Pocket Scout Dynamic Time] Prioritized Experience Replay Buffer loaded');
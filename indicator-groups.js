@@ -12,8 +12,9 @@ window.IndicatorGroups = (function() {
    * Helper: Check ATR volatility filter
    * Returns true if volatility is acceptable for OTC trading
    */
-  function checkATRFilter(highs, lows, closes, maxVolatilityRatio = 0.02) {
-    const atr = TI.calculateATR(highs, lows, closes, 14);
+  function checkATRFilter(data, maxVolatilityRatio = 0.02) {
+    const { closes, indicators } = data;
+    const atr = indicators.atr(14);
     if (!atr) return true; // If ATR unavailable, allow signal
     
     const avgPrice = closes.slice(-20).reduce((a, b) => a + b, 0) / 20;
@@ -47,9 +48,13 @@ window.IndicatorGroups = (function() {
   const VOLATILITY_EXTREME_THRESHOLD = GLOBAL_THRESHOLDS.VOL_RISK_EXTREME || 0.02;
   const BB_SQUEEZE_THRESHOLD = GLOBAL_THRESHOLDS.BB_SQUEEZE_THRESHOLD || 0.02; // Narrow bands signal compression; tuned for fast OTC pairs
   const VOLATILITY_MAX_PASS = GLOBAL_THRESHOLDS.VOL_RISK_CAP || 0.025;
+  const MACD_CROSS_LOOKBACK = 3; // Candles a MACD/signal cross stays actionable
+  const EMA_CROSS_LOOKBACK = 3;  // Candles an EMA8/EMA13 cross counts as fresh
+  const EMA_SLOPE_BARS = 3;      // Candles in the EMA slope fit
 
-  function getRiskSnapshot(highs, lows, closes) {
-    const atr = TI.calculateATR(highs, lows, closes, 14);
+  function getRiskSnapshot(data) {
+    const { closes, indicators } = data;
+    const atr = indicators.atr(14);
     const avgPrice = closes.length >= 20 ? closes.slice(-20).reduce((a, b) => a + b, 0) / 20 : null;
     if (!atr || !avgPrice) {
       return { level: 'UNKNOWN', ratio: 0, passes: true };
@@ -79,10 +84,10 @@ window.IndicatorGroups = (function() {
       id: 'RSI_BB',
       name: 'RSI + Bollinger Bands',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const rsi = TI.calculateRSI(closes, 14);
-        const bb = TI.calculateBollingerBands(closes, 20, 2);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { indicators } = data;
+        const rsi = indicators.rsi(14);
+        const bb = indicators.bollingerBands(20, 2);
+        const atrFilter = checkATRFilter(data);
         
         if (!rsi || !bb) return null;
         
@@ -115,12 +120,12 @@ window.IndicatorGroups = (function() {
       id: 'MACD_EMA',
       name: 'MACD + EMA Crossover',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const ema12 = TI.calculateEMA(closes, 12);
-        const ema26 = TI.calculateEMA(closes, 26);
+        const { closes, indicators } = data;
+        const macd = indicators.macd(12, 26, 9);
+        const ema12 = indicators.ema(12);
+        const ema26 = indicators.ema(26);
         const price = closes[closes.length - 1];
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const atrFilter = checkATRFilter(data);
         
         if (!macd || !ema12 || !ema26) return null;
         
@@ -153,10 +158,10 @@ window.IndicatorGroups = (function() {
       id: 'RSI_OVERSOLD',
       name: 'RSI Oversold/Overbought + MACD',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const rsi = TI.calculateRSI(closes, 14);
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { indicators } = data;
+        const rsi = indicators.rsi(14);
+        const macd = indicators.macd(12, 26, 9);
+        const atrFilter = checkATRFilter(data);
         
         if (!rsi || !macd) return null;
         
@@ -189,10 +194,10 @@ window.IndicatorGroups = (function() {
       id: 'BB_BOUNCE',
       name: 'Bollinger Bands Bounce + RSI',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const bb = TI.calculateBollingerBands(closes, 20, 2);
-        const rsi = TI.calculateRSI(closes, 14);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { closes, indicators } = data;
+        const bb = indicators.bollingerBands(20, 2);
+        const rsi = indicators.rsi(14);
+        const atrFilter = checkATRFilter(data);
         
         if (!bb || !rsi) return null;
         
@@ -226,12 +231,12 @@ window.IndicatorGroups = (function() {
       id: 'EMA_TREND',
       name: 'EMA Trend + Price Position',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const ema9 = TI.calculateEMA(closes, 9);
-        const ema21 = TI.calculateEMA(closes, 21);
-        const ema50 = TI.calculateEMA(closes, 50);
+        const { closes, indicators } = data;
+        const ema9 = indicators.ema(9);
+        const ema21 = indicators.ema(21);
+        const ema50 = indicators.ema(50);
         const price = closes[closes.length - 1];
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const atrFilter = checkATRFilter(data);
         
         if (!ema9 || !ema21) return null;
         
@@ -267,22 +272,23 @@ window.IndicatorGroups = (function() {
       id: 'MACD_CROSS',
       name: 'MACD Signal Cross + Trend',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const ema21 = TI.calculateEMA(closes, 21);
+        const { closes, indicators } = data;
+        const macd = indicators.macd(12, 26, 9);
+        const macdSeries = indicators.series('macd', 12, 26, 9);
+        const ema21 = indicators.ema(21);
         const price = closes[closes.length - 1];
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const atrFilter = checkATRFilter(data);
         
         if (!macd || !ema21) return null;
         
         let action = null;
         let signalStrength = 0;
         
-        // Enhanced: Require price above/below EMA for confirmation
-        if (macd.histogram > 0 && macd.macd > macd.signal && price > ema21) {
+        // An actual MACD/signal line cross in the last MACD_CROSS_LOOKBACK candles, confirmed by price vs EMA21
+        if (TI.crossover(macdSeries.macd, macdSeries.signal, MACD_CROSS_LOOKBACK) && macd.histogram > 0 && price > ema21) {
           action = 'BUY';
           signalStrength = Math.min(1, Math.abs(macd.histogram) * 1000);
-        } else if (macd.histogram < 0 && macd.macd < macd.signal && price < ema21) {
+        } else if (TI.crossunder(macdSeries.macd, macdSeries.signal, MACD_CROSS_LOOKBACK) && macd.histogram < 0 && price < ema21) {
           action = 'SELL';
           signalStrength = Math.min(1, Math.abs(macd.histogram) * 1000);
         }
@@ -294,7 +300,7 @@ window.IndicatorGroups = (function() {
           action, 
           confidence, 
           reasons: [
-            'MACD cross bullish', 
+            `MACD cross ${action === 'BUY' ? 'bullish' : 'bearish'}`, 
             `Price ${price > ema21 ? 'above' : 'below'} EMA21`
           ] 
         };
@@ -304,10 +310,10 @@ window.IndicatorGroups = (function() {
       id: 'RSI_MACD',
       name: 'RSI + MACD',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const rsi = TI.calculateRSI(closes, 14);
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { indicators } = data;
+        const rsi = indicators.rsi(14);
+        const macd = indicators.macd(12, 26, 9);
+        const atrFilter = checkATRFilter(data);
         
         if (!rsi || !macd) return null;
         
@@ -339,10 +345,10 @@ window.IndicatorGroups = (function() {
       id: 'BB_MACD',
       name: 'Bollinger + MACD',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const bb = TI.calculateBollingerBands(closes, 20, 2);
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { indicators } = data;
+        const bb = indicators.bollingerBands(20, 2);
+        const macd = indicators.macd(12, 26, 9);
+        const atrFilter = checkATRFilter(data);
         
         if (!bb || !macd) return null;
         
@@ -374,36 +380,45 @@ window.IndicatorGroups = (function() {
       id: 'TRIPLE_EMA',
       name: 'Triple EMA + Price',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const ema8 = TI.calculateEMA(closes, 8);
-        const ema13 = TI.calculateEMA(closes, 13);
-        const ema21 = TI.calculateEMA(closes, 21);
+        const { closes, indicators } = data;
+        const ema8Series = indicators.series('ema', 8);
+        const ema13Series = indicators.series('ema', 13);
+        const ema21Series = indicators.series('ema', 21);
+        const ema8 = indicators.ema(8);
+        const ema13 = indicators.ema(13);
+        const ema21 = indicators.ema(21);
         const price = closes[closes.length - 1];
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const atrFilter = checkATRFilter(data);
         
         if (!ema8 || !ema13 || !ema21) return null;
         
+        // Stacked EMAs only count while all three slope the same way (a fanning ribbon, not a flat one)
+        const slopes = [ema8Series, ema13Series, ema21Series].map(series => TI.slope(series, EMA_SLOPE_BARS));
+        if (slopes.some(v => v === null)) return null;
+        
         let action = null;
         let signalStrength = 0;
+        let freshCross = false;
         
-        // Enhanced: Check price position
-        if (ema8 > ema13 && ema13 > ema21 && price > ema8) {
+        if (ema8 > ema13 && ema13 > ema21 && price > ema8 && slopes.every(v => v > 0)) {
           action = 'BUY';
-          signalStrength = 0.8;
-        } else if (ema8 < ema13 && ema13 < ema21 && price < ema8) {
+          freshCross = TI.crossover(ema8Series, ema13Series, EMA_CROSS_LOOKBACK);
+        } else if (ema8 < ema13 && ema13 < ema21 && price < ema8 && slopes.every(v => v < 0)) {
           action = 'SELL';
-          signalStrength = 0.8;
+          freshCross = TI.crossunder(ema8Series, ema13Series, EMA_CROSS_LOOKBACK);
         }
         
         if (!action) return null;
+        signalStrength = freshCross ? 1 : 0.8; // A stack that just formed beats an old one
         
         const confidence = calculateConfidence(72, signalStrength, atrFilter);
         return { 
           action, 
           confidence, 
           reasons: [
-            'EMA8 > EMA13 > EMA21', 
-            `Price ${price > ema8 ? 'above' : 'below'} EMAs`
+            action === 'BUY' ? 'EMA8 > EMA13 > EMA21, all rising' : 'EMA8 < EMA13 < EMA21, all falling', 
+            `Price ${price > ema8 ? 'above' : 'below'} EMAs`,
+            ...(freshCross ? ['Fresh EMA8/EMA13 cross'] : [])
           ] 
         };
       }
@@ -412,11 +427,11 @@ window.IndicatorGroups = (function() {
       id: 'RSI_BB_MACD',
       name: 'RSI + BB + MACD',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const rsi = TI.calculateRSI(closes, 14);
-        const bb = TI.calculateBollingerBands(closes, 20, 2);
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { indicators } = data;
+        const rsi = indicators.rsi(14);
+        const bb = indicators.bollingerBands(20, 2);
+        const macd = indicators.macd(12, 26, 9);
+        const atrFilter = checkATRFilter(data);
         
         if (!rsi || !bb || !macd) return null;
         
@@ -458,10 +473,10 @@ window.IndicatorGroups = (function() {
       id: 'ATR_TREND',
       name: 'ATR Volatility + EMA Trend',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const atr = TI.calculateATR(highs, lows, closes, 14);
-        const ema12 = TI.calculateEMA(closes, 12);
-        const ema26 = TI.calculateEMA(closes, 26);
+        const { closes, indicators } = data;
+        const atr = indicators.atr(14);
+        const ema12 = indicators.ema(12);
+        const ema26 = indicators.ema(26);
         const price = closes[closes.length - 1];
         
         if (!atr || !ema12 || !ema26) return null;
@@ -502,10 +517,10 @@ window.IndicatorGroups = (function() {
       id: 'ADX_MACD',
       name: 'ADX Trend Strength + MACD',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const adx = TI.calculateADX(highs, lows, closes, 14);
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { indicators } = data;
+        const adx = indicators.adx(14);
+        const macd = indicators.macd(12, 26, 9);
+        const atrFilter = checkATRFilter(data);
         
         if (!adx || !macd) return null;
         
@@ -544,10 +559,10 @@ window.IndicatorGroups = (function() {
       id: 'STOCH_RSI',
       name: 'Stochastic + RSI Dual Momentum',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const stoch = TI.calculateStochastic(highs, lows, closes, 14, 3);
-        const rsi = TI.calculateRSI(closes, 14);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { indicators } = data;
+        const stoch = indicators.stochastic(14, 3);
+        const rsi = indicators.rsi(14);
+        const atrFilter = checkATRFilter(data);
         
         if (!stoch || !rsi) return null;
         
@@ -581,10 +596,10 @@ window.IndicatorGroups = (function() {
       id: 'ATR_BB',
       name: 'ATR Volatility + Bollinger Bands',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const atr = TI.calculateATR(highs, lows, closes, 14);
-        const bb = TI.calculateBollingerBands(closes, 20, 2);
-        const rsi = TI.calculateRSI(closes, 14);
+        const { closes, indicators } = data;
+        const atr = indicators.atr(14);
+        const bb = indicators.bollingerBands(20, 2);
+        const rsi = indicators.rsi(14);
         
         if (!atr || !bb || !rsi) return null;
         
@@ -624,12 +639,12 @@ window.IndicatorGroups = (function() {
       id: 'ADX_EMA',
       name: 'ADX Strong Trend + EMA',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const adx = TI.calculateADX(highs, lows, closes, 14);
-        const ema12 = TI.calculateEMA(closes, 12);
-        const ema26 = TI.calculateEMA(closes, 26);
+        const { closes, indicators } = data;
+        const adx = indicators.adx(14);
+        const ema12 = indicators.ema(12);
+        const ema26 = indicators.ema(26);
         const price = closes[closes.length - 1];
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const atrFilter = checkATRFilter(data);
         
         if (!adx || !ema12 || !ema26) return null;
         
@@ -667,10 +682,10 @@ window.IndicatorGroups = (function() {
       id: 'CCI_MACD',
       name: 'CCI Cyclical + MACD',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const cci = TI.calculateCCI(highs, lows, closes, 20);
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { indicators } = data;
+        const cci = indicators.cci(20);
+        const macd = indicators.macd(12, 26, 9);
+        const atrFilter = checkATRFilter(data);
         
         if (!cci || !macd) return null;
         
@@ -704,10 +719,10 @@ window.IndicatorGroups = (function() {
       id: 'WILLIAMS_BB',
       name: 'Williams %R + Bollinger Bands',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const williamsR = TI.calculateWilliamsR(highs, lows, closes, 14);
-        const bb = TI.calculateBollingerBands(closes, 20, 2);
-        const atrFilter = checkATRFilter(highs, lows, closes);
+        const { indicators } = data;
+        const williamsR = indicators.williamsR(14);
+        const bb = indicators.bollingerBands(20, 2);
+        const atrFilter = checkATRFilter(data);
         
         if (!williamsR || !bb) return null;
         
@@ -741,10 +756,10 @@ window.IndicatorGroups = (function() {
       id: 'ATR_MACD_EMA',
       name: 'ATR + MACD + EMA Triple',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const atr = TI.calculateATR(highs, lows, closes, 14);
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const ema21 = TI.calculateEMA(closes, 21);
+        const { closes, indicators } = data;
+        const atr = indicators.atr(14);
+        const macd = indicators.macd(12, 26, 9);
+        const ema21 = indicators.ema(21);
         const price = closes[closes.length - 1];
         
         if (!atr || !macd || !ema21) return null;
@@ -796,13 +811,13 @@ window.IndicatorGroups = (function() {
       id: 'PATTERN_ENGULFING_RSI',
       name: 'Candlestick Engulfing + RSI Filter',
       analyze: function(data) {
-        const { closes, highs, lows, candles } = data;
+        const { candles, indicators } = data;
         if (!candles || candles.length < 2) return null;
 
         const patternInfo = TI.detectCandlestickPatterns(candles);
-        const rsi = TI.calculateRSI(closes, 14);
-        const adx = TI.calculateADX(highs, lows, closes, 14);
-        const risk = getRiskSnapshot(highs, lows, closes);
+        const rsi = indicators.rsi(14);
+        const adx = indicators.adx(14);
+        const risk = getRiskSnapshot(data);
 
         if (!patternInfo || !patternInfo.patterns.length || !rsi) return null;
 
@@ -835,11 +850,11 @@ window.IndicatorGroups = (function() {
       id: 'VOL_SQUEEZE_BREAKOUT',
       name: 'Volatility Squeeze + Momentum Bias',
       analyze: function(data) {
-        const { closes, highs, lows } = data;
-        const bb = TI.calculateBollingerBands(closes, 20, 2);
-        const atr = TI.calculateATR(highs, lows, closes, 14);
-        const macd = TI.calculateMACD(closes, 12, 26, 9);
-        const risk = getRiskSnapshot(highs, lows, closes);
+        const { indicators } = data;
+        const bb = indicators.bollingerBands(20, 2);
+        const atr = indicators.atr(14);
+        const macd = indicators.macd(12, 26, 9);
+        const risk = getRiskSnapshot(data);
         
         if (!bb || !atr || !macd) return null;
 
@@ -872,6 +887,32 @@ window.IndicatorGroups = (function() {
           ]
         };
       }
+    },
+    {
+      id: 'DIVERGENCE',
+      name: 'RSI / MACD / AO Divergence',
+      analyze: function(data) {
+        const { candles, indicators } = data;
+        const divergence = window.DivergenceDetector.analyze(candles, { indicators });
+        const rsi = indicators.rsi(14);
+        const atrFilter = checkATRFilter(data);
+
+        if (!divergence || !rsi) return null;
+
+        // Regular divergences need RSI still stretched the other way; hidden ones ride the trend
+        const regular = divergence.divergences.some(d => d.type === 'REGULAR');
+        if (regular && (divergence.action === 'BUY' ? rsi > 50 : rsi < 50)) return null;
+
+        const confidence = calculateConfidence(74, divergence.strength, atrFilter);
+        return {
+          action: divergence.action,
+          confidence,
+          reasons: [
+            ...divergence.reasons.slice(0, 2),
+            `RSI: ${rsi.toFixed(1)}`
+          ]
+        };
+      }
     }
   ];
 
@@ -887,11 +928,45 @@ window.IndicatorGroups = (function() {
     return GROUPS.length;
   }
 
+  // Price arrays and the indicator cache every group's analyze() expects
+  function buildData(candles, indicators = window.StreamingIndicators.fromCandles(candles)) {
+    return {
+      closes: candles.map(c => c.c),
+      highs: candles.map(c => c.h),
+      lows: candles.map(c => c.l),
+      opens: candles.map(c => c.o),
+      candles,
+      indicators
+    };
+  }
+
+  /**
+   * Run a group on M1 candles, optionally on a higher timeframe
+   * (options.timeframe: 'M1' | 'M2' | 'M3' | 'M5' | 'M15'). options.indicators is a
+   * StreamingIndicators cache for the M1 candles - only used on M1. options.aggregator is the
+   * live TimeframeAggregator instance of the same buffer - its series are reused instead of
+   * re-aggregating m1Candles.
+   */
+  function analyze(index, m1Candles, options = {}) {
+    const group = getGroup(index);
+    if (!group) return null;
+    const timeframe = options.timeframe || 'M1';
+    if (timeframe === 'M1') {
+      return group.analyze(buildData(m1Candles, options.indicators));
+    }
+    const candles = options.aggregator
+      ? options.aggregator.get(timeframe)
+      : window.TimeframeAggregator.aggregate(m1Candles, timeframe);
+    return group.analyze(buildData(candles));
+  }
+
   return {
     getAllGroups,
     getGroup,
-    getGroupCount
+    getGroupCount,
+    buildData,
+    analyze
   };
 })();
 
-console.log(`[Pocket Scout Dynamic Time] Enhanced Indicator Groups loaded - ${GROUPS.length} groups optimized for OTC trading`);
+console.log(`[Pocket Scout Dynamic Time] Enhanced Indicator Groups loaded - ${window.IndicatorGroups.getGroupCount()} groups optimized for OTC trading`);
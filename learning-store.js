@@ -0,0 +1,171 @@
+/**
+ * Pocket Scout v5.0 WIN - Learning Store
+ * Per-symbol learning data in chrome.storage.local (via background.js) with schema
+ * versioning - older shapes are migrated forward step by step on load
+ */
+
+window.LearningStore = (function() {
+  'use strict';
+
+  const SAVE_DEBOUNCE_MS = 2000; // Coalesce bursts of resolutions into one write
+  const LEGACY_KEY = 'PS_LEARNING_DATA'; // pre-v5 global localStorage key
+  const UNKNOWN_SYMBOL = 'UNKNOWN'; // content.js placeholder until the chart's asset is read
+
+  // MIGRATIONS[n] upgrades schema n to n + 1
+  const MIGRATIONS = {
+    // v1: unversioned localStorage data - unbounded pattern lists, confidence ranges only
+    1: (data) => {
+      const engine = window.SignalEngine;
+      const migrated = {
+        ...data,
+        successfulPatterns: data.successfulPatterns || [],
+        failedPatterns: data.failedPatterns || [],
+        bestConfidenceRange: {},
+        buckets: engine.createBuckets(),
+        totals: { wins: 0, losses: 0 }
+      };
+      // Rebuild aggregates from the full history before the window drops the old patterns
+      migrated.successfulPatterns.forEach(p => engine.aggregatePattern(migrated, p, true));
+      migrated.failedPatterns.forEach(p => engine.aggregatePattern(migrated, p, false));
+      engine.trimPatterns(migrated);
+      migrated.schemaVersion = 2;
+      return migrated;
+    },
+    // v2: threshold-tuned weights (RSI clamped to 2.5 etc.) - restart from the priors under the vote learner
+    2: (data) => ({
+      ...data,
+      indicatorWeights: { ...window.SignalEngine.DEFAULT_WEIGHTS },
+      voteStats: window.SignalEngine.createVoteStats(),
+      schemaVersion: 3
+    })
+  };
+
+  const pendingSaves = {}; // symbol → { data, timer }
+
+  function versionOf(data) {
+    return Number(data.schemaVersion) || 1;
+  }
+
+  // Run every migration between the stored version and the current schema
+  function migrate(data) {
+    const target = window.SignalEngine.LEARNING_SCHEMA_VERSION;
+    let current = data;
+    let version = versionOf(current);
+
+    if (version > target) {
+      throw new Error(`Learning data schema v${version} is newer than supported v${target}`);
+    }
+    while (version < target) {
+      const step = MIGRATIONS[version];
+      if (!step) {
+        throw new Error(`No learning data migration from schema v${version}`);
+      }
+      current = step(current);
+      version = versionOf(current);
+      console.log(`[LearningStore] 📦 Migrated learning data to schema v${version}`);
+    }
+
+    // Fill fields added to createLearningData() without a schema bump
+    const defaults = window.SignalEngine.createLearningData();
+    return {
+      ...defaults,
+      ...current,
+      indicatorWeights: { ...defaults.indicatorWeights, ...current.indicatorWeights },
+      buckets: { ...defaults.buckets, ...current.buckets }
+    };
+  }
+
+  /**
+   * localStorage learning data for a symbol: { key, data } or null. The global pre-v5 key only goes
+   * to a real asset - handed to the UNKNOWN placeholder it would be stranded there for good.
+   */
+  function readLegacy(symbol) {
+    const keys = [`${LEGACY_KEY}_${symbol}`];
+    if (symbol !== UNKNOWN_SYMBOL) keys.push(LEGACY_KEY);
+    try {
+      const key = keys.find(k => localStorage.getItem(k));
+      return key ? { key, data: JSON.parse(localStorage.getItem(key)) } : null;
+    } catch (e) {
+      console.warn('[LearningStore] Unreadable legacy learning data:', e);
+      return null;
+    }
+  }
+
+  function write(symbol, data) {
+    return chrome.runtime.sendMessage({ type: 'SAVE_LEARNING', symbol, data })
+      .catch(e => console.warn(`[LearningStore] Failed to save learning data for ${symbol}:`, e));
+  }
+
+  /**
+   * Load (and migrate) learning data for a symbol. localStorage data from before the
+   * move to chrome.storage is imported once (by a real symbol) and then removed.
+   * Never rejects - falls back to fresh data.
+   */
+  async function load(symbol) {
+    let stored = null;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'LOAD_LEARNING', symbol });
+      stored = response && response.data;
+    } catch (e) {
+      console.warn(`[LearningStore] Failed to load learning data for ${symbol}:`, e);
+    }
+
+    const legacy = stored ? null : readLegacy(symbol);
+    const raw = stored || (legacy && legacy.data);
+    if (!raw) {
+      return window.SignalEngine.createLearningData();
+    }
+
+    let data;
+    try {
+      data = migrate(raw);
+    } catch (e) {
+      console.warn(`[LearningStore] ${e.message} - starting fresh for ${symbol}`);
+      return window.SignalEngine.createLearningData();
+    }
+
+    if (legacy || versionOf(raw) !== data.schemaVersion) {
+      await write(symbol, data);
+      if (legacy) {
+        localStorage.removeItem(legacy.key);
+        console.log(`[LearningStore] 📦 Moved learning data for ${symbol} from localStorage to chrome.storage`);
+      }
+    }
+    return data;
+  }
+
+  // Debounced save - the latest data object per symbol wins
+  function save(symbol, data) {
+    if (!symbol) return;
+    const pending = pendingSaves[symbol];
+    if (pending) clearTimeout(pending.timer);
+    pendingSaves[symbol] = {
+      data,
+      timer: setTimeout(() => flush(symbol), SAVE_DEBOUNCE_MS)
+    };
+  }
+
+  // Write a pending save now (symbol switch, page unload)
+  function flush(symbol) {
+    const pending = pendingSaves[symbol];
+    if (!pending) return Promise.resolve();
+    clearTimeout(pending.timer);
+    delete pendingSaves[symbol];
+    return write(symbol, pending.data);
+  }
+
+  // Don't lose a debounced write when the tab goes away
+  window.addEventListener('pagehide', () => {
+    Object.keys(pendingSaves).forEach(flush);
+  });
+
+  return {
+    MIGRATIONS,
+    migrate,
+    load,
+    save,
+    flush
+  };
+})();
+
+console.log('[Pocket Scout v5 WIN] Learning Store loaded - versioned chrome.storage persistence');
@@ -10,7 +10,8 @@ window.MarketRegimeDetector = (function() {
   let regimeHistory = [];
   let stabilityScore = 50;
 
-  function detectRegime(ohlcData) {
+  // indicators: StreamingIndicators cache for ohlcData (shared with the other analyzers)
+  function detectRegime(ohlcData, indicators = window.StreamingIndicators.fromCandles(ohlcData)) {
     if (!ohlcData || ohlcData.length < 50) {
       return {
         volatility: { level: 'MEDIUM' },
@@ -20,13 +21,9 @@ window.MarketRegimeDetector = (function() {
     }
 
     const closes = ohlcData.map(c => c.c);
-    const highs = ohlcData.map(c => c.h);
-    const lows = ohlcData.map(c => c.l);
-
-    const TI = window.TechnicalIndicators;
     
     // Volatility
-    const atr = TI.calculateATR(highs, lows, closes, 14);
+    const atr = indicators.atr(14);
     const avgPrice = closes.slice(-20).reduce((a, b) => a + b, 0) / 20;
     const volatilityRatio = atr && avgPrice > 0 ? (atr / avgPrice) * 100 : 0.5;
     
@@ -35,8 +32,8 @@ window.MarketRegimeDetector = (function() {
     else if (volatilityRatio > 0.7) volatilityLevel = 'HIGH';
 
     // Trend
-    const ema12 = TI.calculateEMA(closes, 12);
-    const ema26 = TI.calculateEMA(closes, 26);
+    const ema12 = indicators.ema(12);
+    const ema26 = indicators.ema(26);
     
     let trendDirection = 'NEUTRAL';
     let trendStrength = 'MODERATE';
@@ -51,7 +48,7 @@ window.MarketRegimeDetector = (function() {
     }
 
     // Momentum
-    const rsi = TI.calculateRSI(closes, 14);
+    const rsi = indicators.rsi(14);
     let momentumRegime = 'NEUTRAL';
     if (rsi !== null) {
       if (rsi > 60) momentumRegime = 'BULLISH';
@@ -89,8 +86,8 @@ window.MarketRegimeDetector = (function() {
     return stabilityScore;
   }
 
-  function updateRegime(ohlcData) {
-    const regime = detectRegime(ohlcData);
+  function updateRegime(ohlcData, indicators) {
+    const regime = detectRegime(ohlcData, indicators);
     return { regime };
   }
 
@@ -23,6 +23,12 @@ function updateMetrics() {
         const wrColor = m.winRate >= 60 ? '#10b981' : m.winRate >= 50 ? '#f59e0b' : '#ef4444';
         
         metricsDiv.innerHTML = `
+          ${m.symbol ? `
+          <div class="metric">
+            <div class="metric-label">Asset</div>
+            <div class="metric-value">${m.symbol}</div>
+          </div>
+          ` : ''}
           <div class="metric">
             <div class="metric-label">Win Rate</div>
             <div class="metric-value" style="color:${wrColor};">${m.winRate.toFixed(1)}%</div>
@@ -32,13 +38,29 @@ function updateMetrics() {
             <div class="metric-value">${m.totalSignals}</div>
           </div>
           <div class="metric">
-            <div class="metric-label">Wins / Losses</div>
-            <div class="metric-value">${m.wins} / ${m.losses}</div>
+            <div class="metric-label">Wins / Losses / Ties</div>
+            <div class="metric-value">${m.wins} / ${m.losses} / ${m.ties || 0}</div>
           </div>
           <div class="metric">
             <div class="metric-label">Signal Interval</div>
             <div class="metric-value">${m.currentInterval} min</div>
           </div>
+          <div class="metric">
+            <div class="metric-label">Signal Mode</div>
+            <div class="metric-value">${m.signalMode || 'VOTE'}${m.signalMode === 'RL' && !m.rlReady ? ' (loading)' : ''}</div>
+          </div>
+          ${m.fallbackMode ? `
+          <div class="metric">
+            <div class="metric-label">No Setup${m.fallbackMode === 'TREND' ? ' (Trend W / L / WR)' : ''}</div>
+            <div class="metric-value">${m.fallbackMode === 'TREND' && m.fallback ? `TREND ${m.fallback.wins} / ${m.fallback.losses} / ${m.fallback.winRate.toFixed(1)}%` : 'HOLD'}</div>
+          </div>
+          ` : ''}
+          ${response.rl ? `
+          <div class="metric">
+            <div class="metric-label">RL Agent (ε / experiences / WR)</div>
+            <div class="metric-value">${response.rl.epsilon.toFixed(3)} / ${response.rl.totalExperiences} / ${response.rl.winRate.toFixed(1)}%</div>
+          </div>
+          ` : ''}
           <div class="metric">
             <div class="metric-label">Candles Collected</div>
             <div class="metric-value">${response.candles}</div>
@@ -47,7 +69,12 @@ function updateMetrics() {
             <div class="metric-label">Warmup Status</div>
             <div class="metric-value">${response.warmupComplete ? '✅ Complete' : '🔥 In Progress'}</div>
           </div>
-          ${lastSignal ? `
+          ${response.lastHold && (!lastSignal || response.lastHold.timestamp > lastSignal.timestamp) ? `
+          <div class="metric">
+            <div class="metric-label">Last Signal</div>
+            <div class="metric-value" style="color:#94a3b8;">HOLD - ${response.lastHold.reason}</div>
+          </div>
+          ` : lastSignal ? `
           <div class="metric">
             <div class="metric-label">Last Signal</div>
             <div class="metric-value" style="color:${lastSignal.action === 'BUY' ? '#10b981' : '#ef4444'};">
@@ -63,7 +90,41 @@ function updateMetrics() {
   });
 }
 
+// Send a message to the content script in the active tab
+function sendToActiveTab(message, callback) {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (!tabs || tabs.length === 0) {
+      callback(null);
+      return;
+    }
+    chrome.tabs.sendMessage(tabs[0].id, message, (response) => {
+      callback(chrome.runtime.lastError ? null : response);
+    });
+  });
+}
+
+function exportJournal(format) {
+  const status = document.getElementById('journal-status');
+  sendToActiveTab({ type: 'EXPORT_JOURNAL', format }, (journal) => {
+    if (!journal) {
+      status.textContent = '- open PocketOption.com first';
+      return;
+    }
+    const url = URL.createObjectURL(new Blob([journal.content], { type: journal.mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = journal.filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    status.textContent = `- ${journal.count} signals exported`;
+  });
+}
+
 document.addEventListener('DOMContentLoaded', () => {
+  // Journal export (import opens a file picker, which closes the popup - it lives in the on-page panel)
+  document.getElementById('export-csv').addEventListener('click', () => exportJournal('csv'));
+  document.getElementById('export-json').addEventListener('click', () => exportJournal('json'));
+  
   // Initial update
   updateMetrics();
   
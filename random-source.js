@@ -0,0 +1,70 @@
+/**
+ * Pocket Scout v5.0 WIN - Random Source
+ * Seedable PRNG (mulberry32) shared by experience replay sampling, network weight init and
+ * epsilon-greedy exploration - set the seed and a training run or backtest replays exactly
+ */
+
+window.RandomSource = (function() {
+  'use strict';
+
+  // Independent generator: next() in [0, 1), int(n) in [0, n)
+  function create(seed) {
+    let seedValue = seed >>> 0;
+    let state = seedValue;
+
+    const rng = {
+      next() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+      },
+      int(n) {
+        return Math.floor(rng.next() * n);
+      },
+      getSeed() {
+        return seedValue;
+      },
+      // { seed, state } - store it to continue the exact same sequence later
+      getState() {
+        return { seed: seedValue, state };
+      },
+      setState(saved) {
+        seedValue = saved.seed >>> 0;
+        state = (saved.state !== undefined ? saved.state : saved.seed) >>> 0;
+      }
+    };
+    return rng;
+  }
+
+  function randomSeed() {
+    if (window.crypto && window.crypto.getRandomValues) {
+      return window.crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return (Date.now() ^ (performance.now() * 1000)) >>> 0;
+  }
+
+  // Shared generator - modules keep a reference, so reseeding happens in place
+  const shared = create(randomSeed());
+
+  function getShared() {
+    return shared;
+  }
+
+  function setSeed(seed) {
+    shared.setState({ seed, state: seed });
+    console.log(`[RandomSource] 🎲 Seed set to ${shared.getSeed()}`);
+  }
+
+  return {
+    create,
+    getShared,
+    setSeed,
+    getSeed: () => shared.getSeed(),
+    getState: () => shared.getState(),
+    setState: (saved) => shared.setState(saved)
+  };
+})();
+
+console.log('[Pocket Scout v5 WIN] Random Source loaded - seedable PRNG');
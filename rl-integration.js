@@ -15,7 +15,8 @@ window.RLIntegration = (function() {
     ACTION_DIMENSION: 18, // Updated dynamically below based on indicator groups
     REWARD_WIN: 10,
     REWARD_LOSS: -5,
-    GAMMA: 0.95
+    GAMMA: 0.95,
+    SAVED_REPLAY: 500 // Newest replay experiences persisted with each save - keeps storage writes small
   };
 
   function resolveActionDim() {
@@ -31,6 +32,17 @@ window.RLIntegration = (function() {
     return Array.isArray(firstRow) ? firstRow.length : null;
   }
 
+  /**
+   * Saved weights trained with fewer indicator groups: keep every trained column and append the
+   * fresh network's own initial output weights for the groups added since (groups only ever append)
+   */
+  function widenOutputLayer(saved, fresh) {
+    const savedWidth = getMatrixRowLength(saved.W3);
+    const W3 = saved.W3.map((row, i) => [...row, ...fresh.W3[i].slice(savedWidth)]);
+    const b3 = [...saved.b3, ...fresh.b3.slice(savedWidth)];
+    return { ...saved, W3, b3 };
+  }
+
   function loadBanditWeights() {
     try {
       const raw = localStorage.getItem(BANDIT_KEY);
@@ -76,11 +88,8 @@ window.RLIntegration = (function() {
   function warmupBanditFromHistory(ohlcData) {
     if (!ohlcData || ohlcData.length < 30 || !window.IndicatorGroups) return;
     const groups = window.IndicatorGroups.getAllGroups();
-    const closes = ohlcData.map(c => c.c);
-    const highs = ohlcData.map(c => c.h);
-    const lows = ohlcData.map(c => c.l);
-    const opens = ohlcData.map(c => c.o);
-    const candles = ohlcData;
+    const data = window.IndicatorGroups.buildData(ohlcData); // One indicator cache for every group
+    const closes = data.closes;
     if (closes.length < 2) return;
     const lastClose = closes[closes.length - 1];
     const prevClose = closes[closes.length - 2];
@@ -88,7 +97,7 @@ window.RLIntegration = (function() {
 
     groups.forEach((g) => {
       if (!g || !g.analyze) return;
-      const analysis = g.analyze({ closes, highs, lows, opens, candles });
+      const analysis = g.analyze(data);
       if (!analysis || !analysis.action) return;
       const win = (analysis.action === 'BUY' && dir === 'UP') || (analysis.action === 'SELL' && dir === 'DOWN');
       updateBanditWeight(g.id, win ? 'WIN' : 'LOSS', analysis.confidence || 70);
@@ -105,6 +114,7 @@ window.RLIntegration = (function() {
   let totalExperiences = 0;
   let banditWeights = {};
   const BANDIT_KEY = 'ps_bandit_weights_v1';
+  const rng = window.RandomSource.getShared(); // Exploration draws - state saved with the RL state
   let dqnAgent = null;
   let experienceReplay = null;
   let lastState = null;
@@ -113,7 +123,8 @@ window.RLIntegration = (function() {
   let lastRiskSnapshot = null;
   let lastPatternSnapshot = null;
 
-  function encodeState(ohlcData, regimeData) {
+  // indicators: StreamingIndicators cache for ohlcData (built on demand if omitted)
+  function encodeState(ohlcData, regimeData, indicators = null) {
     const state = new Array(CONFIG.STATE_DIMENSION).fill(0.5);
     
     if (!ohlcData || ohlcData.length < 50) {
@@ -121,9 +132,7 @@ window.RLIntegration = (function() {
     }
     
     const closes = ohlcData.map(c => c.c);
-    const highs = ohlcData.map(c => c.h);
-    const lows = ohlcData.map(c => c.l);
-    
+    const ind = indicators || window.StreamingIndicators.fromCandles(ohlcData);
     const TI = window.TechnicalIndicators;
     const avgPrice = closes.slice(-20).reduce((a, b) => a + b, 0) / 20;
     
@@ -135,7 +144,7 @@ window.RLIntegration = (function() {
     }
     
     // [1] Volatility (ATR) - normalized and stored as risk snapshot
-    const atr = TI.calculateATR(highs, lows, closes, 14);
+    const atr = ind.atr(14);
     if (atr && avgPrice > 0) {
       state[1] = Math.min(1, (atr / avgPrice) * 50);
       lastRiskSnapshot = {
@@ -146,8 +155,8 @@ window.RLIntegration = (function() {
     }
     
     // [2] Trend Strength (EMA separation)
-    const ema12 = TI.calculateEMA(closes, 12);
-    const ema26 = TI.calculateEMA(closes, 26);
+    const ema12 = ind.ema(12);
+    const ema26 = ind.ema(26);
     if (ema12 && ema26) {
       const diff = Math.abs(ema12 - ema26) / avgPrice;
       state[2] = Math.min(1, diff * 100);
@@ -160,25 +169,25 @@ window.RLIntegration = (function() {
     }
     
     // [4] RSI
-    const rsi = TI.calculateRSI(closes, 14);
+    const rsi = ind.rsi(14);
     if (rsi !== null) {
       state[4] = rsi / 100;
     }
     
     // [5] MACD Histogram
-    const macd = TI.calculateMACD(closes, 12, 26, 9);
+    const macd = ind.macd(12, 26, 9);
     if (macd && macd.histogram !== undefined) {
       state[5] = 0.5 + Math.max(-0.5, Math.min(0.5, macd.histogram * 1000));
     }
     
     // [6] ADX Trend Strength (NEW)
-    const adx = TI.calculateADX(highs, lows, closes, 14);
+    const adx = ind.adx(14);
     if (adx && adx.adx !== null) {
       state[6] = Math.min(1, adx.adx / 100); // Normalize 0-100 to 0-1
     }
     
     // [7] Stochastic %K (NEW)
-    const stoch = TI.calculateStochastic(highs, lows, closes, 14, 3);
+    const stoch = ind.stochastic(14, 3);
     if (stoch && stoch.k !== undefined) {
       state[7] = stoch.k / 100; // Normalize 0-100 to 0-1
     }
@@ -215,20 +224,20 @@ window.RLIntegration = (function() {
     }
     
     // [13] Price Position vs EMAs (NEW)
-    const ema21 = TI.calculateEMA(closes, 21);
+    const ema21 = ind.ema(21);
     const price = closes[closes.length - 1];
     if (ema21 && price) {
       state[13] = price > ema21 ? 1 : 0; // Binary: above or below EMA21
     }
     
     // [14] Bollinger Bands %B (NEW)
-    const bb = TI.calculateBollingerBands(closes, 20, 2);
+    const bb = ind.bollingerBands(20, 2);
     if (bb && bb.percentB !== undefined) {
       state[14] = bb.percentB; // Already normalized 0-1
     }
     
     // [15] CCI (NEW)
-    const cci = TI.calculateCCI(highs, lows, closes, 20);
+    const cci = ind.cci(20);
     if (cci !== null) {
       // Normalize CCI (-200 to +200 range) to 0-1
       state[15] = Math.max(0, Math.min(1, (cci + 200) / 400));
@@ -250,8 +259,8 @@ window.RLIntegration = (function() {
     const groups = window.IndicatorGroups.getAllGroups();
     
     // Epsilon-greedy exploration
-    if (Math.random() < epsilon) {
-      const randomAction = Math.floor(Math.random() * groups.length);
+    if (rng.next() < epsilon) {
+      const randomAction = rng.int(groups.length);
       lastQAdvantage = 0;
       return randomAction;
     }
@@ -263,7 +272,7 @@ window.RLIntegration = (function() {
     }
     
     // Fallback: random
-    return Math.floor(Math.random() * groups.length);
+    return rng.int(groups.length);
   }
 
   function calculateReward(result, signalConfidence = null, marketConditions = null) {
@@ -349,6 +358,7 @@ window.RLIntegration = (function() {
       const batch = experienceReplay.sample();
       if (batch.length > 0) {
         const loss = dqnAgent.train(batch);
+        experienceReplay.updatePriorities(batch.map(exp => exp.index), dqnAgent.lastTdErrors);
         const metrics = getMetrics();
         
         if (totalExperiences % 10 === 0) {
@@ -367,8 +377,9 @@ window.RLIntegration = (function() {
     }
   }
 
-  function getRecommendedAction(ohlcData, regimeData) {
-    const state = encodeState(ohlcData, regimeData);
+  function getRecommendedAction(ohlcData, regimeData, indicators = null) {
+    const ind = indicators || window.StreamingIndicators.fromCandles(ohlcData);
+    const state = encodeState(ohlcData, regimeData, ind);
     const actionIndex = selectAction(state);
     const groups = window.IndicatorGroups.getAllGroups();
     const selectedGroup = groups[actionIndex];
@@ -410,12 +421,9 @@ window.RLIntegration = (function() {
     
     // Dynamic expiry calculation based on volatility
     let expiry = 300; // Default 5 minutes
-    const TI = window.TechnicalIndicators;
     if (ohlcData && ohlcData.length >= 50) {
       const closes = ohlcData.map(c => c.c);
-      const highs = ohlcData.map(c => c.h);
-      const lows = ohlcData.map(c => c.l);
-      const atr = TI.calculateATR(highs, lows, closes, 14);
+      const atr = ind.atr(14);
       const avgPrice = closes.slice(-20).reduce((a, b) => a + b, 0) / 20;
       
       if (atr && avgPrice > 0) {
@@ -424,12 +432,13 @@ window.RLIntegration = (function() {
         // Adjust expiry based on volatility
         // Low volatility: longer expiry (6-7 min)
         // High volatility: shorter expiry (3-4 min)
+        // Within a band, the calmer the market the longer the expiry (deterministic for replays)
         if (volatilityRatio < 0.3) {
-          expiry = 360 + Math.floor(Math.random() * 60); // 6-7 min
+          expiry = 360 + Math.round((1 - volatilityRatio / 0.3) * 60); // 6-7 min
         } else if (volatilityRatio < 0.7) {
           expiry = 300; // 5 min (default)
         } else {
-          expiry = 180 + Math.floor(Math.random() * 60); // 3-4 min
+          expiry = 180 + Math.round(Math.max(0, 1 - (volatilityRatio - 0.7) / 0.7) * 60); // 3-4 min
         }
       }
     }
@@ -522,9 +531,16 @@ window.RLIntegration = (function() {
     return lastQAdvantage || 0;
   }
 
-  async function initialize() {
+  /**
+   * options.seed reseeds the shared random source first, so a run started from scratch
+   * (no saved state) replays exactly; otherwise the saved random state is resumed
+   */
+  async function initialize(options = {}) {
     if (isInitialized) return;
 
+    if (Number.isFinite(options.seed)) {
+      window.RandomSource.setSeed(options.seed);
+    }
     CONFIG.ACTION_DIMENSION = resolveActionDim();
     loadBanditWeights();
     
@@ -535,7 +551,7 @@ window.RLIntegration = (function() {
     
     // Initialize DQN Agent
     const { DQNAgent } = window.DQNNetwork;
-    dqnAgent = new DQNAgent();
+    dqnAgent = new DQNAgent(rng);
     
     // Load saved state
     try {
@@ -552,16 +568,22 @@ window.RLIntegration = (function() {
           const hidden2Size = getMatrixRowLength(w2);
           const expectedHidden1 = config ? config.HIDDEN_DIM : hidden1Size;
           const expectedHidden2 = config ? config.HIDDEN_DIM_2 : hidden2Size;
-          const shapeOk = w1 && w2 && w3 &&
-                          w1.length === CONFIG.STATE_DIMENSION &&
-                          hidden1Size === expectedHidden1 &&
-                          w2.length === expectedHidden1 &&
-                          hidden2Size === expectedHidden2 &&
-                          outputWidth === resolveActionDim();
-          if (shapeOk) {
+          const actionDim = resolveActionDim();
+          const hiddenOk = w1 && w2 && w3 &&
+                           w1.length === CONFIG.STATE_DIMENSION &&
+                           hidden1Size === expectedHidden1 &&
+                           w2.length === expectedHidden1 &&
+                           hidden2Size === expectedHidden2 &&
+                           w3.length === expectedHidden2 &&
+                           Array.isArray(savedState.weights.b3) &&
+                           savedState.weights.b3.length === outputWidth;
+          if (hiddenOk && outputWidth === actionDim) {
             dqnAgent.setWeights(savedState.weights);
+          } else if (hiddenOk && outputWidth < actionDim) {
+            dqnAgent.setWeights(widenOutputLayer(savedState.weights, dqnAgent.getWeights()));
+            console.log(`[RL Integration] 📦 Widened saved network from ${outputWidth} to ${actionDim} actions - new indicator groups start untrained`);
           } else {
-            console.warn('[RL Integration] Saved weights shape mismatch, skipping restore to avoid dimension errors');
+            console.warn(`[RL Integration] ⚠️ Saved weights don't fit the network (${outputWidth} → ${actionDim} actions) - RL network RESET, training starts over`);
           }
         }
         epsilon = savedState.epsilon || CONFIG.EPSILON;
@@ -571,6 +593,21 @@ window.RLIntegration = (function() {
         maxStreak = savedState.maxStreak || 0;
         cumulativeReward = savedState.cumulativeReward || 0;
         totalExperiences = savedState.totalExperiences || 0;
+        
+        // Refill the replay buffer with experiences that still fit the network
+        if (savedState.replay && experienceReplay) {
+          const actionDim = resolveActionDim();
+          const restored = experienceReplay.restore(savedState.replay, exp =>
+            exp.state.length === CONFIG.STATE_DIMENSION &&
+            exp.action >= 0 && exp.action < actionDim &&
+            (!exp.nextState || exp.nextState.length === CONFIG.STATE_DIMENSION));
+          console.log(`[RL Integration] 📦 Restored ${restored} replay experiences`);
+        }
+        
+        // Continue the saved random sequence (unless a seed was requested explicitly)
+        if (savedState.random && !Number.isFinite(options.seed)) {
+          rng.setState(savedState.random);
+        }
       }
     } catch (e) {
       console.warn('[RL Integration] Failed to load saved state:', e);
@@ -592,10 +629,15 @@ window.RLIntegration = (function() {
         currentStreak,
         maxStreak,
         cumulativeReward,
-        totalExperiences
+        totalExperiences,
+        random: rng.getState(), // { seed, state } of the shared PRNG
+        replay: experienceReplay ? experienceReplay.serialize(CONFIG.SAVED_REPLAY) : null
       };
       
-      await chrome.runtime.sendMessage({ type: 'SAVE_RL_STATE', data: state });
+      const response = await chrome.runtime.sendMessage({ type: 'SAVE_RL_STATE', data: state });
+      if (response && !response.success) {
+        console.warn('[RL Integration] RL state was not saved (storage write failed)');
+      }
     } catch (e) {
       console.warn('[RL Integration] Failed to save state:', e);
     }
@@ -0,0 +1,939 @@
+/**
+ * Pocket Scout v5.0 WIN - Signal Engine
+ * DOM-free indicator analysis and learning - all state is passed in explicitly
+ * so the same logic runs in content.js, the backtester and under Node
+ * (require('./signal-engine.js') - analyzeIndicators also needs the indicator modules on the global object)
+ */
+
+(function(root, factory) {
+  const SignalEngine = factory(root);
+  root.SignalEngine = SignalEngine;
+  if (typeof module === 'object' && module.exports) {
+    module.exports = SignalEngine;
+  }
+})(typeof window !== 'undefined' ? window : globalThis, function(root) {
+  'use strict';
+
+  const MIN_CANDLES = 50; // Need 50 M1 candles for indicators
+  const TICK_TOLERANCE_MS = 5000; // A tick this close to expiry counts as the expiry price
+  const LEVEL_BOOST = 10; // Max confidence % for BUY at support / SELL at resistance (halved outside RANGING)
+  const LEARNING_SCHEMA_VERSION = 3; // Bump together with a LearningStore migration
+  const PATTERN_WINDOW = 250; // Rolling window per pattern list - older outcomes live on in the bucket aggregates
+
+  /**
+   * Event subscribers of one caller - pass the emitter as state.events to checkSignalResult.
+   * 'signal:resolved' fires once per verified signal, and only to that caller's subscribers
+   * (a backtest or another engine resolving its own signals stays silent).
+   */
+  function createEmitter() {
+    const listeners = {};
+    return {
+      on(event, handler) {
+        (listeners[event] || (listeners[event] = [])).push(handler);
+      },
+      off(event, handler) {
+        if (!listeners[event]) return;
+        listeners[event] = listeners[event].filter(h => h !== handler);
+      },
+      emit(event, payload) {
+        (listeners[event] || []).forEach(handler => {
+          try {
+            handler(payload);
+          } catch (e) {
+            console.warn(`[SignalEngine] ${event} handler failed:`, e);
+          }
+        });
+      }
+    };
+  }
+
+  // Advanced Learning System with NEW INDICATORS
+  // v4.0 weights: Added Williams %R, CCI, Awesome Oscillator
+  // These are the priors - the vote learner scales each one by its observed accuracy
+  const DEFAULT_WEIGHTS = {
+    rsi: 4.0,          // 54.9% WR - best performer
+    williamsR: 3.5,    // NEW - expected 55-60% WR in RANGING
+    cci: 3.0,          // NEW - expected 58-62% WR in RANGING
+    ao: 2.5,           // NEW - Awesome Oscillator for momentum
+    divergence: 2.5,   // RSI/MACD/AO divergences - only votes while one is present
+    bb: 2.0,           // Bollinger Bands
+    stoch: 2.0,        // Stochastic
+    macd: 0.5,         // 0% WR - kept minimal
+    ema: 0.5           // 0% WR - kept minimal
+  };
+
+  // Vote learner: Beta(α, β) posterior of each indicator's directional accuracy,
+  // decayed towards the prior so old market behaviour fades out
+  const VOTE_PRIOR = 5;           // Pseudo-votes on each side - Beta(5, 5) centred on 50%
+  const VOTE_DECAY = 0.99;        // Per vote - effective memory of ~100 votes
+  const WEIGHT_SENSITIVITY = 2;   // weight = prior × e^(k · logit(accuracy))
+  const WEIGHT_MIN_FACTOR = 0.1;  // Learned weight stays within 0.1× … 4× of its prior
+  const WEIGHT_MAX_FACTOR = 4;
+  const WEIGHT_LOG_EVERY = 30;    // Log the weight table every N decided signals
+
+  function createVoteStats() {
+    const voteStats = {};
+    Object.keys(DEFAULT_WEIGHTS).forEach(name => {
+      voteStats[name] = { alpha: VOTE_PRIOR, beta: VOTE_PRIOR, votes: 0 };
+    });
+    return voteStats;
+  }
+
+  function createLearningData() {
+    return {
+      indicatorWeights: { ...DEFAULT_WEIGHTS },
+      voteStats: createVoteStats(), // indicator → { alpha, beta, votes }
+      schemaVersion: LEARNING_SCHEMA_VERSION,
+      successfulPatterns: [],  // Last PATTERN_WINDOW wins
+      failedPatterns: [],      // Last PATTERN_WINDOW losses
+      bestConfidenceRange: {}, // { '60': { wins, losses } } - 10% confidence buckets
+      buckets: createBuckets(),
+      totals: { wins: 0, losses: 0 }
+    };
+  }
+
+  // Lifetime win/loss aggregates per bucket - bounded no matter how many signals are learned
+  function createBuckets() {
+    return { regime: {}, action: {}, duration: {}, source: {} };
+  }
+
+  function recordBucket(group, key, isWin) {
+    const bucket = group[key] || (group[key] = { wins: 0, losses: 0 });
+    if (isWin) {
+      bucket.wins++;
+    } else {
+      bucket.losses++;
+    }
+  }
+
+  // Fold one decided pattern into the aggregates (also used by migrations to rebuild them)
+  function aggregatePattern(learningData, pattern, isWin) {
+    const confRange = Math.floor(pattern.confidence / 10) * 10; // Round down to nearest 10
+    recordBucket(learningData.bestConfidenceRange, confRange, isWin);
+    
+    const buckets = learningData.buckets;
+    recordBucket(buckets.regime, pattern.regime || 'UNKNOWN', isWin);
+    recordBucket(buckets.action, pattern.action || 'UNKNOWN', isWin);
+    recordBucket(buckets.duration, pattern.duration || 'UNKNOWN', isWin);
+    recordBucket(buckets.source, pattern.isFallback ? 'FALLBACK' : 'AI', isWin);
+    
+    if (isWin) {
+      learningData.totals.wins++;
+    } else {
+      learningData.totals.losses++;
+    }
+  }
+
+  // Drop the oldest patterns beyond the rolling window
+  function trimPatterns(learningData) {
+    ['successfulPatterns', 'failedPatterns'].forEach(list => {
+      const patterns = learningData[list];
+      if (patterns.length > PATTERN_WINDOW) {
+        patterns.splice(0, patterns.length - PATTERN_WINDOW);
+      }
+    });
+  }
+
+  // Win Rate tracking
+  function createStats() {
+    return { total: 0, wins: 0, losses: 0, ties: 0 };
+  }
+
+  // Calculate Win Rate (ties are refunds, not losses)
+  function calculateWinRate(stats) {
+    const counted = stats.total - (stats.ties || 0);
+    if (counted <= 0) return 0;
+    return (stats.wins / counted) * 100;
+  }
+
+  /**
+   * Expected value of a 1-unit stake: a win pays `payout` (fraction, e.g. 0.85), a loss costs the stake.
+   * Positive only above the break-even probability 1 / (1 + payout). null when either input is unknown.
+   */
+  function calculateExpectedValue(winProbability, payout) {
+    if (!Number.isFinite(winProbability) || !Number.isFinite(payout) || payout <= 0) return null;
+    return winProbability * payout - (1 - winProbability);
+  }
+
+  /**
+   * Price at an exact moment from recorded data: the last tick at/before `time` when the
+   * feed was alive around it, else the close of the M1 candle containing `time` once it has closed.
+   * Returns { price, t, source: 'TICK' | 'CANDLE' } or null while the data doesn't reach `time` yet.
+   */
+  function findPriceAt(time, ticks, candles) {
+    if (ticks && ticks.length > 0) {
+      const afterIndex = ticks.findIndex(tick => tick.t >= time);
+      if (afterIndex >= 0) {
+        // Price in effect at `time` is the last tick before it; a tick right after only if the feed was quiet
+        const before = afterIndex > 0 ? ticks[afterIndex - 1] : null;
+        const after = ticks[afterIndex];
+        if (after.t === time) {
+          return { price: after.price, t: after.t, source: 'TICK' };
+        }
+        if (before && time - before.t <= TICK_TOLERANCE_MS) {
+          return { price: before.price, t: before.t, source: 'TICK' };
+        }
+        if (after.t - time <= TICK_TOLERANCE_MS) {
+          return { price: after.price, t: after.t, source: 'TICK' };
+        }
+      }
+    }
+    
+    if (candles && candles.length > 0) {
+      const minute = Math.floor(time / 60000) * 60000;
+      const latest = candles[candles.length - 1];
+      if (latest.t > minute) {
+        const candle = candles.find(c => c.t === minute);
+        if (candle) {
+          return { price: candle.c, t: candle.t + 60000, source: 'CANDLE' };
+        }
+      }
+    }
+    
+    return null;
+  }
+
+  // Detect market regime: TRENDING, RANGING, or VOLATILE
+  // indicators: StreamingIndicators cache for the same candles (built from the arrays if omitted)
+  function detectMarketRegime(closes, highs, lows, indicators = null) {
+    const ind = indicators || root.StreamingIndicators.fromCandles(closes.map((c, i) => ({ h: highs[i], l: lows[i], c })));
+    const adx = ind.adx(14);
+    const atr = ind.atr(14);
+    
+    if (!adx || !atr) return 'TRENDING';
+    
+    const volatility = atr / closes[closes.length - 1];
+    
+    // Determine regime
+    if (volatility > 0.02) {
+      return 'VOLATILE'; // High volatility - chaotic market
+    } else if (adx.adx > 25) {
+      return 'TRENDING'; // Strong trend
+    } else if (adx.adx < 20) {
+      return 'RANGING'; // Consolidation/sideways
+    }
+    
+    return 'TRENDING'; // Default
+  }
+  
+  // Adjust indicator weights based on market regime
+  function getRegimeAdjustedWeights(regime, learningData) {
+    const baseWeights = { ...learningData.indicatorWeights };
+    
+    if (regime === 'TRENDING') {
+      // Boost trend-following indicators
+      baseWeights.macd *= 1.3;
+      baseWeights.ema *= 1.2;
+      baseWeights.ao *= 1.3; // Awesome Oscillator good for trends
+      baseWeights.divergence *= 0.8; // Regular divergences fight the trend
+      baseWeights.rsi *= 0.8; // Reduce mean-reversion
+      baseWeights.williamsR *= 0.8;
+      baseWeights.cci *= 0.8;
+      baseWeights.stoch *= 0.8;
+    } else if (regime === 'RANGING') {
+      // Boost mean-reversion indicators - v4.0 STRATEGY
+      baseWeights.rsi *= 1.5;          // Primary for RANGING
+      baseWeights.williamsR *= 1.5;    // NEW - Fast momentum
+      baseWeights.cci *= 1.4;           // NEW - Overbought/oversold
+      baseWeights.stoch *= 1.3;
+      baseWeights.bb *= 1.3;
+      baseWeights.ao *= 0.7;            // Reduce momentum in ranging
+      baseWeights.divergence *= 1.3;    // Reversal setups
+      baseWeights.macd *= 0.6;          // Reduce trend-following
+      baseWeights.ema *= 0.6;
+    } else if (regime === 'VOLATILE') {
+      // Be more conservative in volatile markets
+      baseWeights.rsi *= 0.9;
+      baseWeights.williamsR *= 0.9;
+      baseWeights.cci *= 0.9;
+      baseWeights.macd *= 0.8;
+      baseWeights.ema *= 0.8;
+      baseWeights.bb *= 1.2; // BB works well in volatile
+      baseWeights.stoch *= 0.9;
+      baseWeights.ao *= 0.9;
+      baseWeights.divergence *= 0.9;
+    }
+    
+    return baseWeights;
+  }
+  
+  // REMOVED: checkTimeframeAlignment() - MTF not used in v4.0
+  // REMOVED: analyzeSingleTimeframe() - MTF not used in v4.0
+
+  // Calculate confidence based on indicator consensus + Market Regime (v4.0: REMOVED MTF)
+  // Pass { silent: true } to replay history without console output,
+  // { indicators } to reuse a StreamingIndicators cache for these candles,
+  // { symbol } for symbol-aware levels (round-number pip size)
+  function analyzeIndicators(candles, learningData, options = {}) {
+    const silent = options.silent === true;
+    if (!candles || candles.length < MIN_CANDLES) {
+      return null;
+    }
+
+    const ind = options.indicators || root.StreamingIndicators.fromCandles(candles);
+    // Full-history indicators come from the cache - only the last 20 candles are read directly
+    const recent = candles.slice(-20);
+    const closes = recent.map(c => c.c);
+    const highs = recent.map(c => c.h);
+    const lows = recent.map(c => c.l);
+    
+    // 1. DETECT MARKET REGIME
+    const regime = detectMarketRegime(closes, highs, lows, ind);
+    if (!silent) {
+      console.log(`[SignalEngine] 🌊 Market Regime: ${regime}`);
+    }
+
+    // 2. GET REGIME-ADJUSTED WEIGHTS
+    const weights = getRegimeAdjustedWeights(regime, learningData);
+
+    // Calculate all indicators (v4.0: Added Williams %R, CCI, Awesome Oscillator)
+    const rsi = ind.rsi(14);
+    const macd = ind.macd(12, 26, 9);
+    const ema9 = ind.ema(9);
+    const ema21 = ind.ema(21);
+    const ema50 = ind.ema(50);
+    const bb = ind.bollingerBands(20, 2);
+    const adx = ind.adx(14);
+    const atr = ind.atr(14);
+    const stoch = ind.stochastic(14, 3);
+    const williamsR = ind.williamsR(14); // v4.0 NEW
+    const cci = ind.cci(20);             // v4.0 NEW
+    const ao = ind.awesomeOscillator();  // v4.0 NEW
+    const divergence = root.DivergenceDetector.analyze(candles, { indicators: ind });
+    const divergenceValue = divergence ? (divergence.action === 'BUY' ? 1 : -1) * divergence.strength : 0; // Signed strength
+    const levels = root.SupportResistance.getLevels(candles, { indicators: ind, symbol: options.symbol });
+
+    if (!rsi || !macd || !ema9 || !ema21 || !bb || !adx || !atr) {
+      return null;
+    }
+
+    const currentPrice = closes[closes.length - 1];
+    
+    // Enhanced vote system with REGIME-ADJUSTED weights
+    let buyVotes = 0;
+    let sellVotes = 0;
+    let totalWeight = 0;
+    const reasons = [];
+    // indicator → { direction, strength, weight, value } - recorded on the signal and scored at expiry
+    const votes = {};
+
+    // Every indicator that takes part starts NEUTRAL and records the side it voted for
+    // strength is the 0-1 vote before weighting, value the raw reading behind it
+    const castVote = (name, direction, strength, value) => {
+      votes[name] = { direction, strength, weight: weights[name], value };
+    };
+
+    // RSI vote - Use regime-adjusted weight with ENHANCED THRESHOLDS
+    const rsiWeight = weights.rsi;
+    totalWeight += rsiWeight;
+    castVote('rsi', 'NEUTRAL', 0, rsi);
+    let rsiBoost = 0; // Extra boost for extreme RSI values (RSI is only working indicator - 54.9% WR)
+    
+    if (rsi < 30) {
+      const strength = (30 - rsi) / 30; // 0-1 range
+      buyVotes += rsiWeight * strength;
+      castVote('rsi', 'BUY', strength, rsi);
+      rsiBoost = 20; // Strong oversold boost
+      reasons.push(`RSI oversold (${rsi.toFixed(1)}) +20%`);
+    } else if (rsi < 40) {
+      const strength = (40 - rsi) / 40; // 0-1 range
+      buyVotes += rsiWeight * strength;
+      castVote('rsi', 'BUY', strength, rsi);
+      reasons.push(`RSI oversold (${rsi.toFixed(1)})`);
+    } else if (rsi > 70) {
+      const strength = (rsi - 70) / 30; // 0-1 range
+      sellVotes += rsiWeight * strength;
+      castVote('rsi', 'SELL', strength, rsi);
+      rsiBoost = 20; // Strong overbought boost
+      reasons.push(`RSI overbought (${rsi.toFixed(1)}) +20%`);
+    } else if (rsi > 60) {
+      const strength = (rsi - 60) / 40; // 0-1 range
+      sellVotes += rsiWeight * strength;
+      castVote('rsi', 'SELL', strength, rsi);
+      reasons.push(`RSI overbought (${rsi.toFixed(1)})`);
+    } else if (rsi > 40 && rsi < 60) {
+      // Neutral zone - reduce confidence
+      const neutralPenalty = -10;
+      reasons.push(`RSI neutral (${rsi.toFixed(1)}) -10%`);
+      rsiBoost = neutralPenalty;
+    }
+
+    // MACD vote - Use regime-adjusted weight
+    const macdWeight = weights.macd;
+    totalWeight += macdWeight;
+    castVote('macd', 'NEUTRAL', 0, macd.histogram);
+    const macdStrength = Math.min(1, Math.abs(macd.histogram) * 1000);
+    if (macd.histogram > 0 && macd.macd > macd.signal) {
+      buyVotes += macdWeight * macdStrength;
+      castVote('macd', 'BUY', macdStrength, macd.histogram);
+      reasons.push(`MACD bullish (${macd.histogram.toFixed(5)})`);
+    } else if (macd.histogram < 0 && macd.macd < macd.signal) {
+      sellVotes += macdWeight * macdStrength;
+      castVote('macd', 'SELL', macdStrength, macd.histogram);
+      reasons.push(`MACD bearish (${macd.histogram.toFixed(5)})`);
+    }
+
+    // EMA Crossover vote - Use regime-adjusted weight
+    const emaWeight = weights.ema;
+    totalWeight += emaWeight;
+    const emaSpread = (ema9 - ema21) / ema21;
+    const emaDiff = Math.abs(emaSpread);
+    const emaStrength = Math.min(1, emaDiff * 100);
+    castVote('ema', 'NEUTRAL', 0, emaSpread);
+    if (ema9 > ema21 && currentPrice > ema9) {
+      buyVotes += emaWeight * emaStrength;
+      castVote('ema', 'BUY', emaStrength, emaSpread);
+      reasons.push('EMA9 > EMA21 (bullish)');
+    } else if (ema9 < ema21 && currentPrice < ema9) {
+      sellVotes += emaWeight * emaStrength;
+      castVote('ema', 'SELL', emaStrength, emaSpread);
+      reasons.push('EMA9 < EMA21 (bearish)');
+    }
+
+    // Bollinger Bands vote - Use regime-adjusted weight
+    const bbWeight = weights.bb;
+    totalWeight += bbWeight;
+    const bbRange = bb.upper - bb.lower;
+    const bbPosition = (currentPrice - bb.lower) / bbRange; // 0-1 where price is in BB
+    castVote('bb', 'NEUTRAL', 0, bbPosition);
+    if (bbPosition < 0.2) {
+      buyVotes += bbWeight * (0.2 - bbPosition) * 5; // Scale to 0-1
+      castVote('bb', 'BUY', (0.2 - bbPosition) * 5, bbPosition);
+      reasons.push('Price at lower BB');
+    } else if (bbPosition > 0.8) {
+      sellVotes += bbWeight * (bbPosition - 0.8) * 5; // Scale to 0-1
+      castVote('bb', 'SELL', (bbPosition - 0.8) * 5, bbPosition);
+      reasons.push('Price at upper BB');
+    }
+    
+    // Stochastic vote - Use regime-adjusted weight
+    if (stoch) {
+      const stochWeight = weights.stoch;
+      totalWeight += stochWeight;
+      castVote('stoch', 'NEUTRAL', 0, stoch.k);
+      if (stoch.k < 30 && stoch.d < 30) {
+        const strength = (30 - stoch.k) / 30;
+        buyVotes += stochWeight * strength;
+        castVote('stoch', 'BUY', strength, stoch.k);
+        reasons.push(`Stochastic oversold (${stoch.k.toFixed(1)})`);
+      } else if (stoch.k > 70 && stoch.d > 70) {
+        const strength = (stoch.k - 70) / 30;
+        sellVotes += stochWeight * strength;
+        castVote('stoch', 'SELL', strength, stoch.k);
+        reasons.push(`Stochastic overbought (${stoch.k.toFixed(1)})`);
+      }
+    }
+    
+    // v4.0 NEW: Williams %R vote - Fast momentum indicator (excellent for RANGING)
+    if (williamsR) {
+      const williamsWeight = weights.williamsR;
+      totalWeight += williamsWeight;
+      castVote('williamsR', 'NEUTRAL', 0, williamsR);
+      if (williamsR < -80) {
+        const strength = ((-80) - williamsR) / 20; // 0-1 range
+        buyVotes += williamsWeight * strength;
+        castVote('williamsR', 'BUY', strength, williamsR);
+        reasons.push(`Williams %R oversold (${williamsR.toFixed(1)})`);
+        
+        // v4.0 RANGING STRATEGY: Extreme bonus
+        if (regime === 'RANGING' && williamsR < -85) {
+          buyVotes += williamsWeight * 0.5; // Extra push in RANGING
+          votes.williamsR.strength += 0.5;
+          reasons.push('Williams extreme oversold in RANGING (+)');
+        }
+      } else if (williamsR > -20) {
+        const strength = (williamsR - (-20)) / 20; // 0-1 range
+        sellVotes += williamsWeight * strength;
+        castVote('williamsR', 'SELL', strength, williamsR);
+        reasons.push(`Williams %R overbought (${williamsR.toFixed(1)})`);
+        
+        // v4.0 RANGING STRATEGY: Extreme bonus
+        if (regime === 'RANGING' && williamsR > -15) {
+          sellVotes += williamsWeight * 0.5; // Extra push in RANGING
+          votes.williamsR.strength += 0.5;
+          reasons.push('Williams extreme overbought in RANGING (-)');
+        }
+      }
+    }
+    
+    // v4.0 NEW: CCI vote - Commodity Channel Index (proven 58-62% WR in RANGING)
+    if (cci) {
+      const cciWeight = weights.cci;
+      totalWeight += cciWeight;
+      castVote('cci', 'NEUTRAL', 0, cci);
+      if (cci < -100) {
+        const strength = Math.min(1, ((-100) - cci) / 100); // 0-1 range
+        buyVotes += cciWeight * strength;
+        castVote('cci', 'BUY', strength, cci);
+        reasons.push(`CCI oversold (${cci.toFixed(1)})`);
+        
+        // v4.0 RANGING STRATEGY: Extreme bonus
+        if (regime === 'RANGING' && cci < -150) {
+          buyVotes += cciWeight * 0.8; // Strong push in RANGING
+          votes.cci.strength += 0.8;
+          reasons.push('CCI extreme oversold in RANGING (++)');
+        }
+      } else if (cci > 100) {
+        const strength = Math.min(1, (cci - 100) / 100); // 0-1 range
+        sellVotes += cciWeight * strength;
+        castVote('cci', 'SELL', strength, cci);
+        reasons.push(`CCI overbought (${cci.toFixed(1)})`);
+        
+        // v4.0 RANGING STRATEGY: Extreme bonus
+        if (regime === 'RANGING' && cci > 150) {
+          sellVotes += cciWeight * 0.8; // Strong push in RANGING
+          votes.cci.strength += 0.8;
+          reasons.push('CCI extreme overbought in RANGING (--)');
+        }
+      }
+    }
+    
+    // v4.0 NEW: Awesome Oscillator vote - Momentum reversal detector
+    if (ao) {
+      const aoWeight = weights.ao;
+      totalWeight += aoWeight;
+      castVote('ao', 'NEUTRAL', 0, ao);
+      const aoStrength = Math.min(1, Math.abs(ao) * 10000); // Scale to 0-1
+      if (ao > 0) {
+        buyVotes += aoWeight * aoStrength;
+        castVote('ao', 'BUY', aoStrength, ao);
+        reasons.push(`AO bullish (${ao.toFixed(5)})`);
+      } else if (ao < 0) {
+        sellVotes += aoWeight * aoStrength;
+        castVote('ao', 'SELL', aoStrength, ao);
+        reasons.push(`AO bearish (${ao.toFixed(5)})`);
+      }
+    }
+    
+    // Divergence vote - an event rather than a reading, so it only joins (and weighs in) while present
+    if (divergence) {
+      const divergenceWeight = weights.divergence;
+      totalWeight += divergenceWeight;
+      if (divergence.action === 'BUY') {
+        buyVotes += divergenceWeight * divergence.strength;
+      } else {
+        sellVotes += divergenceWeight * divergence.strength;
+      }
+      castVote('divergence', divergence.action, divergence.strength, divergenceValue);
+      reasons.push(divergence.reasons[0]);
+    }
+
+    // ADX strengthens signal (multiplier, not vote)
+    let adxMultiplier = 1.0;
+    if (adx.adx > 25) {
+      adxMultiplier = 1.0 + ((adx.adx - 25) / 100); // 1.0 to 1.75 range
+      reasons.push(`ADX strong trend (${adx.adx.toFixed(1)})`);
+    }
+
+    // Calculate base confidence based on vote strength
+    const buyConfidence = (buyVotes / totalWeight) * 100 * adxMultiplier;
+    const sellConfidence = (sellVotes / totalWeight) * 100 * adxMultiplier;
+    
+    // v4.0: REMOVED MTF ANALYSIS (had 100% conflicts on M3 interval)
+    
+    // 3. APPLY REGIME CONFIDENCE BOOST (v4.0: Enhanced for RANGING)
+    let regimeBoost = 0;
+    if (regime === 'TRENDING') {
+      regimeBoost = 15;
+      reasons.push('Regime: TRENDING (+15%)');
+    } else if (regime === 'RANGING') {
+      // v4.0: Increased boost for RANGING with mean-reversion strategy
+      regimeBoost = 20; // Was 10%, now 20% - RANGING is our focus
+      reasons.push('Regime: RANGING (+20% mean-reversion)');
+    } else if (regime === 'VOLATILE') {
+      regimeBoost = -10;
+      reasons.push('Regime: VOLATILE (-10%)');
+    }
+    
+    let confidence = 0;
+    let action = null;
+    
+    // Apply all boosts (v4.0: No MTF boost, just regime + RSI boosts)
+    const finalBuyConfidence = Math.min(95, Math.round(buyConfidence + regimeBoost + rsiBoost));
+    const finalSellConfidence = Math.min(95, Math.round(sellConfidence + regimeBoost + rsiBoost));
+    
+    // REMOVED BUY BIAS: Data shows BUY (47.2% WR) ≈ SELL (46.1% WR) - bias was harmful
+    
+    // Apply MACD contrarian boost (+5% when direction contradicts MACD)
+    let macdContrarian = 0;
+    if (macd.histogram < 0 && buyVotes > sellVotes) {
+      macdContrarian = 5; // BUY when MACD bearish = contrarian WIN pattern
+      reasons.push('MACD contrarian: BUY on bearish (+5%)');
+    } else if (macd.histogram > 0 && sellVotes > buyVotes) {
+      macdContrarian = 5; // SELL when MACD bullish = contrarian pattern
+      reasons.push('MACD contrarian: SELL on bullish (+5%)');
+    }
+    
+    // Support/resistance: mean reversion off a range boundary - BUY at support, SELL at resistance
+    const levelFactor = regime === 'RANGING' ? 1 : 0.5;
+    const supportBoost = levels ? Math.round(LEVEL_BOOST * levelFactor * root.SupportResistance.proximity(levels.support)) : 0;
+    const resistanceBoost = levels ? Math.round(LEVEL_BOOST * levelFactor * root.SupportResistance.proximity(levels.resistance)) : 0;
+    if (supportBoost > 0 && buyVotes > sellVotes) {
+      reasons.push(`At support ${levels.support.price.toFixed(5)} (${levels.support.labels.join(', ')}) +${supportBoost}%`);
+    } else if (resistanceBoost > 0 && sellVotes > buyVotes) {
+      reasons.push(`At resistance ${levels.resistance.price.toFixed(5)} (${levels.resistance.labels.join(', ')}) +${resistanceBoost}%`);
+    }
+    
+    const finalAdjustedBuyConfidence = Math.min(95, finalBuyConfidence + macdContrarian + supportBoost);
+    const finalAdjustedSellConfidence = Math.min(95, finalSellConfidence + macdContrarian + resistanceBoost);
+    
+    if (buyVotes > sellVotes && finalAdjustedBuyConfidence >= 35) {
+      action = 'BUY';
+      confidence = finalAdjustedBuyConfidence;
+      if (!silent) console.log(`[SignalEngine] 💰 Signal: BUY | Base: ${Math.round(buyConfidence)}% | Regime: ${regimeBoost > 0 ? '+' : ''}${regimeBoost}% | RSI: ${rsiBoost > 0 ? '+' : ''}${rsiBoost}% | Contrarian: +${macdContrarian}% | Support: +${supportBoost}% | Final: ${confidence}%`);
+    } else if (sellVotes > buyVotes && finalAdjustedSellConfidence >= 35) {
+      action = 'SELL';
+      confidence = finalAdjustedSellConfidence;
+      if (!silent) console.log(`[SignalEngine] 💰 Signal: SELL | Base: ${Math.round(sellConfidence)}% | Regime: ${regimeBoost > 0 ? '+' : ''}${regimeBoost}% | RSI: ${rsiBoost > 0 ? '+' : ''}${rsiBoost}% | Contrarian: +${macdContrarian}% | Resistance: +${resistanceBoost}% | Final: ${confidence}%`);
+    }
+    
+    // Calculate duration based on ADX and volatility
+    let duration = 3; // Base: 3 minutes
+    
+    const avgPrice = closes.slice(-20).reduce((a, b) => a + b, 0) / 20;
+    const volatilityRatio = atr / avgPrice;
+    
+    if (adx.adx > 30) {
+      duration = 5; // Strong trend: 5 minutes
+      reasons.push('Duration: 5min (strong trend)');
+    } else if (volatilityRatio > 0.015) {
+      duration = volatilityRatio > 0.025 ? 1 : 2; // High volatility: 1-2 minutes (shorter the wilder)
+      reasons.push(`Duration: ${duration}min (high volatility)`);
+    } else {
+      reasons.push('Duration: 3min (normal)');
+    }
+
+    return {
+      action,
+      confidence,
+      duration,
+      reasons: reasons.slice(0, 8), // Top 8 reasons (more details)
+      price: currentPrice,
+      volatility: volatilityRatio,
+      adxStrength: adx.adx,
+      rsi,
+      williamsR,  // v4.0 NEW
+      cci,        // v4.0 NEW
+      ao,         // v4.0 NEW
+      macdHistogram: macd.histogram,
+      regime,
+      votes,
+      levels: levels ? { support: levels.support, resistance: levels.resistance } : null,
+      // Every raw indicator value - recorded on the signal for learning and export
+      indicators: {
+        rsi,
+        macd: macd.macd,
+        macdSignal: macd.signal,
+        macdHistogram: macd.histogram,
+        ema9,
+        ema21,
+        ema50,
+        bbUpper: bb.upper,
+        bbMiddle: bb.middle,
+        bbLower: bb.lower,
+        bbPercentB: bb.percentB,
+        adx: adx.adx,
+        atr,
+        stochK: stoch ? stoch.k : null,
+        stochD: stoch ? stoch.d : null,
+        williamsR,
+        cci,
+        ao,
+        divergence: divergenceValue,
+        supportDistanceATR: levels && levels.support ? levels.support.distanceATR : null,
+        resistanceDistanceATR: levels && levels.resistance ? levels.resistance.distanceATR : null
+      }
+      // v4.0: REMOVED mtfAlignment - MTF not used
+    };
+  }
+
+  // Fallback signal from basic trend analysis (price vs EMA50)
+  function buildFallbackAnalysis(candles, indicators = root.StreamingIndicators.fromCandles(candles)) {
+    const closes = candles.map(c => c.c);
+    
+    // Use simple trend: compare current price to EMA50
+    const ema50 = indicators.ema(50);
+    const currentPrice = closes[closes.length - 1];
+    const rsiValue = indicators.rsi(14) || 50;
+    const macd = indicators.macd(12, 26, 9);
+    
+    // Determine action based on simple trend
+    const action = currentPrice > ema50 ? 'BUY' : 'SELL';
+    
+    // Basic confidence (50-64% range) from the distance to EMA50 - same candles, same confidence
+    const trendDistance = Math.abs(currentPrice - ema50) / ema50;
+    
+    return {
+      action,
+      confidence: 50 + Math.min(14, Math.round(trendDistance * 5000)),
+      reasons: [
+        `Price ${action === 'BUY' ? 'above' : 'below'} EMA50 (trend)`,
+        `RSI: ${rsiValue.toFixed(1)}`,
+        `Fallback signal (insufficient strong indicators)`,
+        `Based on ${candles.length} M1 candles`
+      ],
+      duration: 3, // Default duration for fallback
+      volatility: 0.01,
+      adxStrength: 20,
+      rsi: rsiValue,
+      macdHistogram: macd ? macd.histogram : 0,
+      indicators: {
+        rsi: rsiValue,
+        macdHistogram: macd ? macd.histogram : 0,
+        ema50
+      },
+      isFallback: true
+    };
+  }
+
+  // LEARNING SYSTEM: Analyze signal patterns and adjust strategy
+  function learnFromSignalResult(state, signal, isWin) {
+    const { learningData, stats } = state;
+    
+    // Extract pattern data (removed timeOfDay per user request)
+    const pattern = {
+      action: signal.action,
+      confidence: signal.confidence,
+      rsi: signal.rsi,
+      macdHistogram: signal.macdHistogram,
+      adxStrength: signal.adxStrength,
+      volatility: signal.volatility,
+      duration: signal.duration,
+      isFallback: signal.isFallback,
+      regime: signal.regime,
+      indicators: signal.indicators || null,
+      votes: signal.votes || null,
+      result: isWin ? 'WIN' : 'LOSS'
+    };
+    
+    // Store pattern in the rolling window for its outcome
+    if (isWin) {
+      learningData.successfulPatterns.push(pattern);
+    } else {
+      learningData.failedPatterns.push(pattern);
+    }
+    trimPatterns(learningData);
+    
+    // Track confidence range / regime / action / duration performance
+    aggregatePattern(learningData, pattern, isWin);
+    
+    // Score every indicator's vote against where price actually went, then re-derive the weights
+    const wentUp = (signal.action === 'BUY') === isWin;
+    updateVoteStats(learningData, signal.votes, wentUp);
+    adjustIndicatorWeights(learningData);
+    
+    const decided = stats.wins + stats.losses;
+    if (decided > 0 && decided % WEIGHT_LOG_EVERY === 0) {
+      logIndicatorWeights(learningData);
+    }
+    
+    console.log(`[SignalEngine] 🎓 Learning: Pattern recorded | Window: ${learningData.successfulPatterns.length}W / ${learningData.failedPatterns.length}L | Lifetime: ${learningData.totals.wins}W / ${learningData.totals.losses}L`);
+  }
+  
+  // Fold one signal's indicator votes into the decayed Beta posteriors (NEUTRAL votes carry no information)
+  function updateVoteStats(learningData, votes, wentUp) {
+    if (!votes) return;
+    const voteStats = learningData.voteStats || (learningData.voteStats = createVoteStats());
+    
+    Object.entries(votes).forEach(([name, vote]) => {
+      const direction = vote && vote.direction;
+      if (direction !== 'BUY' && direction !== 'SELL') return;
+      
+      const entry = voteStats[name] || (voteStats[name] = { alpha: VOTE_PRIOR, beta: VOTE_PRIOR, votes: 0 });
+      const correct = (direction === 'BUY') === wentUp;
+      entry.alpha = VOTE_PRIOR + VOTE_DECAY * (entry.alpha - VOTE_PRIOR) + (correct ? 1 : 0);
+      entry.beta = VOTE_PRIOR + VOTE_DECAY * (entry.beta - VOTE_PRIOR) + (correct ? 0 : 1);
+      entry.votes++;
+    });
+  }
+
+  /**
+   * Posterior accuracy of one indicator's votes: mean and 95% interval
+   * (normal approximation to the Beta posterior, clamped to [0, 1])
+   */
+  function getVoteAccuracy(entry) {
+    const alpha = entry ? entry.alpha : VOTE_PRIOR;
+    const beta = entry ? entry.beta : VOTE_PRIOR;
+    const n = alpha + beta;
+    const mean = alpha / n;
+    const margin = 1.96 * Math.sqrt((mean * (1 - mean)) / (n + 1));
+    return {
+      mean,
+      lower: Math.max(0, mean - margin),
+      upper: Math.min(1, mean + margin),
+      votes: entry ? entry.votes : 0
+    };
+  }
+
+  // Re-derive every indicator weight from its prior and posterior accuracy
+  function adjustIndicatorWeights(learningData) {
+    const voteStats = learningData.voteStats || (learningData.voteStats = createVoteStats());
+    
+    Object.entries(DEFAULT_WEIGHTS).forEach(([name, prior]) => {
+      const { mean } = getVoteAccuracy(voteStats[name]);
+      const logit = Math.log(mean / (1 - mean));
+      const factor = Math.min(WEIGHT_MAX_FACTOR, Math.max(WEIGHT_MIN_FACTOR, Math.exp(WEIGHT_SENSITIVITY * logit)));
+      learningData.indicatorWeights[name] = prior * factor;
+    });
+  }
+
+  // Per-indicator accuracy table for the analytics panel, best first
+  function getIndicatorAccuracy(learningData) {
+    const voteStats = learningData.voteStats || {};
+    return Object.keys(DEFAULT_WEIGHTS)
+      .map(name => ({
+        name,
+        weight: learningData.indicatorWeights[name],
+        ...getVoteAccuracy(voteStats[name])
+      }))
+      .sort((a, b) => b.mean - a.mean);
+  }
+
+  /**
+   * Vote accuracy straight from resolved signals (ledger or journal import):
+   * { overall: [{ name, correct, total, accuracy }], byRegime: { REGIME: [...] } }, best first.
+   * A vote is correct when its direction matches where price went by expiry.
+   */
+  function summarizeVotes(signals) {
+    const overall = {};
+    const byRegime = {};
+    const tally = (table, name, correct) => {
+      const row = table[name] || (table[name] = { name, correct: 0, total: 0 });
+      row.total++;
+      if (correct) row.correct++;
+    };
+    
+    signals.forEach(signal => {
+      if (!signal.votes || (signal.result !== 'WIN' && signal.result !== 'LOSS')) return;
+      const wentUp = (signal.action === 'BUY') === (signal.result === 'WIN');
+      const regime = signal.regime || 'UNKNOWN';
+      
+      Object.entries(signal.votes).forEach(([name, vote]) => {
+        const direction = vote && vote.direction;
+        if (direction !== 'BUY' && direction !== 'SELL') return;
+        const correct = (direction === 'BUY') === wentUp;
+        tally(overall, name, correct);
+        tally(byRegime[regime] || (byRegime[regime] = {}), name, correct);
+      });
+    });
+    
+    const rank = table => Object.values(table)
+      .map(row => ({ ...row, accuracy: row.correct / row.total }))
+      .sort((a, b) => b.accuracy - a.accuracy || b.total - a.total);
+    
+    const regimes = {};
+    Object.entries(byRegime).forEach(([regime, table]) => { regimes[regime] = rank(table); });
+    return { overall: rank(overall), byRegime: regimes };
+  }
+
+  function logIndicatorWeights(learningData) {
+    const table = getIndicatorAccuracy(learningData)
+      .map(a => `${a.name}: ${a.weight.toFixed(2)} (${(a.mean * 100).toFixed(1)}% ±${((a.upper - a.lower) * 50).toFixed(1)}, n=${a.votes})`)
+      .join(' | ');
+    console.log(`[SignalEngine] 📊 Indicator weights: ${table}`);
+    
+    // Find best confidence range
+    let bestRange = -1;
+    let bestRangeWR = 0;
+    for (const [range, stats] of Object.entries(learningData.bestConfidenceRange)) {
+      const total = stats.wins + stats.losses;
+      if (total >= 5) {
+        const wr = stats.wins / total;
+        if (wr > bestRangeWR) {
+          bestRangeWR = wr;
+          bestRange = parseInt(range);
+        }
+      }
+    }
+    if (bestRange >= 0) {
+      console.log(`[SignalEngine] 📈 Best confidence range: ${bestRange}-${bestRange + 10}% (WR: ${(bestRangeWR * 100).toFixed(1)}%)`);
+    }
+  }
+
+  /**
+   * Single outcome pipeline: resolve a signal against its exit price, record the exit on the
+   * signal, feed the learning system and emit 'signal:resolved' on state.events (if given).
+   * Equal prices are a TIE (refund) - counted separately and not learned from.
+   * state = { learningData, stats, events } is updated in place; exit = { t, source } is optional
+   */
+  function checkSignalResult(state, signal, exitPrice, exit = {}) {
+    if (!signal || signal.result !== null) {
+      return null; // Already checked or invalid signal
+    }
+    
+    const entryPrice = signal.entryPrice;
+    if (!exitPrice || !entryPrice) {
+      return null;
+    }
+    
+    // Record the exit on the signal itself
+    signal.exitPrice = exitPrice;
+    signal.exitTime = exit.t || null;
+    signal.exitSource = exit.source || null;
+    signal.priceChange = ((exitPrice - entryPrice) / entryPrice) * 100;
+    
+    let isWin = false;
+    
+    if (exitPrice === entryPrice) {
+      signal.result = 'TIE';
+      state.stats.ties = (state.stats.ties || 0) + 1;
+    } else {
+      if (signal.action === 'BUY') {
+        // BUY wins if price went up
+        isWin = exitPrice > entryPrice;
+      } else if (signal.action === 'SELL') {
+        // SELL wins if price went down
+        isWin = exitPrice < entryPrice;
+      }
+      
+      // Update signal result
+      signal.result = isWin ? 'WIN' : 'LOSS';
+      
+      // Update statistics
+      if (isWin) {
+        state.stats.wins++;
+      } else {
+        state.stats.losses++;
+      }
+      
+      // LEARNING: Analyze what made this signal win or lose
+      learnFromSignalResult(state, signal, isWin);
+    }
+    
+    const outcome = { result: signal.result, isWin };
+    if (state.events) {
+      state.events.emit('signal:resolved', { signal, ...outcome, state });
+    }
+    return outcome;
+  }
+
+  return {
+    MIN_CANDLES,
+    LEARNING_SCHEMA_VERSION,
+    PATTERN_WINDOW,
+    DEFAULT_WEIGHTS,
+    createLearningData,
+    createVoteStats,
+    createBuckets,
+    aggregatePattern,
+    trimPatterns,
+    createStats,
+    calculateWinRate,
+    calculateExpectedValue,
+    findPriceAt,
+    detectMarketRegime,
+    getRegimeAdjustedWeights,
+    analyzeIndicators,
+    buildFallbackAnalysis,
+    checkSignalResult,
+    learnFromSignalResult,
+    updateVoteStats,
+    getVoteAccuracy,
+    adjustIndicatorWeights,
+    getIndicatorAccuracy,
+    summarizeVotes,
+    createEmitter
+  };
+});
+
+console.log('[Pocket Scout v5 WIN] Signal Engine loaded - DOM-free analysis and learning');
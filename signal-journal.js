@@ -0,0 +1,298 @@
+/**
+ * Pocket Scout v5.0 WIN - Signal Journal
+ * CSV / JSON export of the signal ledger and merge-import of a previously exported journal
+ */
+
+window.SignalJournal = (function() {
+  'use strict';
+
+  const JOURNAL_VERSION = 1;
+
+  // Fixed columns - indicator values follow as ind_<name>, one column per indicator seen
+  const COLUMNS = [
+    'id', 'timestamp', 'time', 'symbol', 'action', 'confidence', 'calibratedConfidence', 'payout', 'ev', 'duration',
+    'entryPrice', 'entryTime', 'expiryTime', 'exitPrice', 'exitTime', 'exitSource', 'priceChange',
+    'regime', 'mode', 'isFallback', 'result', 'reasons'
+  ];
+  const INDICATOR_PREFIX = 'ind_';
+  const VOTE_PREFIX = 'vote_'; // CSV keeps each indicator's vote direction - JSON keeps the full vote
+  const REASON_SEPARATOR = ' | ';
+  const NUMERIC_FIELDS = [
+    'timestamp', 'confidence', 'calibratedConfidence', 'payout', 'ev', 'duration',
+    'entryPrice', 'entryTime', 'expiryTime', 'exitPrice', 'exitTime', 'priceChange'
+  ];
+  const TEXT_FIELDS = ['id', 'symbol', 'regime', 'mode', 'exitSource'];
+  const ACTIONS = ['BUY', 'SELL'];
+  const RESULTS = ['WIN', 'LOSS', 'TIE', 'UNVERIFIED'];
+  const VOTE_DIRECTIONS = ['BUY', 'SELL', 'NEUTRAL'];
+
+  // Fields kept in a journal entry (RL state vectors and UI-only fields are left out)
+  function toEntry(signal) {
+    return {
+      id: signal.id || `${signal.symbol || 'UNKNOWN'}-${signal.timestamp}`,
+      timestamp: signal.timestamp,
+      symbol: signal.symbol || null,
+      action: signal.action,
+      confidence: signal.confidence,
+      calibratedConfidence: signal.calibratedConfidence !== undefined ? signal.calibratedConfidence : null,
+      payout: signal.payout !== undefined ? signal.payout : null,
+      ev: signal.ev !== undefined ? signal.ev : null,
+      duration: signal.duration,
+      entryPrice: signal.entryPrice,
+      entryTime: signal.entryTime || null,
+      expiryTime: signal.expiryTime || null,
+      exitPrice: signal.exitPrice !== undefined ? signal.exitPrice : null,
+      exitTime: signal.exitTime || null,
+      exitSource: signal.exitSource || null,
+      priceChange: signal.priceChange !== undefined ? signal.priceChange : null,
+      regime: signal.regime || null,
+      mode: signal.mode || null,
+      isFallback: !!signal.isFallback,
+      result: signal.result || null,
+      indicators: signal.indicators || {},
+      votes: signal.votes || null,
+      reasons: signal.reasons || []
+    };
+  }
+
+  function toJSON(signals) {
+    return JSON.stringify({
+      version: JOURNAL_VERSION,
+      exportedAt: new Date().toISOString(),
+      signals: signals.map(toEntry)
+    }, null, 2);
+  }
+
+  function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function toCSV(signals) {
+    const entries = signals.map(toEntry);
+    const indicatorNames = [];
+    const voteNames = [];
+    entries.forEach(e => {
+      Object.keys(e.indicators).forEach(name => {
+        if (!indicatorNames.includes(name)) indicatorNames.push(name);
+      });
+      Object.keys(e.votes || {}).forEach(name => {
+        if (!voteNames.includes(name)) voteNames.push(name);
+      });
+    });
+
+    const header = [
+      ...COLUMNS,
+      ...indicatorNames.map(name => INDICATOR_PREFIX + name),
+      ...voteNames.map(name => VOTE_PREFIX + name)
+    ];
+    const rows = entries.map(e => [
+      ...COLUMNS.map(col => {
+        if (col === 'time') return e.timestamp ? new Date(e.timestamp).toISOString() : '';
+        if (col === 'reasons') return e.reasons.join(REASON_SEPARATOR);
+        return e[col];
+      }),
+      ...indicatorNames.map(name => e.indicators[name]),
+      ...voteNames.map(name => e.votes && e.votes[name] ? e.votes[name].direction : null)
+    ].map(csvCell).join(','));
+
+    return [header.join(','), ...rows].join('\r\n');
+  }
+
+  // RFC 4180 style parser (quoted cells, escaped quotes, CRLF)
+  function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          cell += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows.filter(r => r.length > 1 || r[0] !== '');
+  }
+
+  function toNumber(value) {
+    if (value === '' || value === undefined || value === null || typeof value === 'boolean') return null;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  function fromCSV(text) {
+    const [header, ...rows] = parseCSVRows(text);
+    if (!header || !header.includes('timestamp') || !header.includes('action')) {
+      throw new Error('Not a Pocket Scout journal CSV');
+    }
+
+    return rows.map(cells => {
+      const raw = {};
+      header.forEach((name, i) => { raw[name] = cells[i] !== undefined ? cells[i] : ''; });
+
+      const entry = { indicators: {}, votes: null };
+      header.forEach(name => {
+        if (name.startsWith(INDICATOR_PREFIX)) {
+          const value = toNumber(raw[name]);
+          if (value !== null) entry.indicators[name.slice(INDICATOR_PREFIX.length)] = value;
+        } else if (name.startsWith(VOTE_PREFIX)) {
+          if (raw[name]) {
+            entry.votes = entry.votes || {};
+            entry.votes[name.slice(VOTE_PREFIX.length)] = { direction: raw[name] };
+          }
+        } else if (name === 'time') {
+          // Derived from timestamp
+        } else if (NUMERIC_FIELDS.includes(name)) {
+          entry[name] = toNumber(raw[name]);
+        } else if (name === 'isFallback') {
+          entry.isFallback = raw[name] === 'true';
+        } else if (name === 'reasons') {
+          entry.reasons = raw[name] ? raw[name].split(REASON_SEPARATOR) : [];
+        } else {
+          entry[name] = raw[name] === '' ? null : raw[name];
+        }
+      });
+      return entry;
+    });
+  }
+
+  // Accepts a JSON export (object or bare array) or a CSV export
+  function parse(text) {
+    const trimmed = String(text || '').trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      const data = JSON.parse(trimmed);
+      const signals = Array.isArray(data) ? data : data.signals;
+      if (!Array.isArray(signals)) {
+        throw new Error('Not a Pocket Scout journal JSON');
+      }
+      return signals;
+    }
+    return fromCSV(trimmed);
+  }
+
+  /**
+   * A journal entry built only from known fields of an untrusted import - numbers must be finite,
+   * enums must be known values and text stays plain strings. null when the entry is unusable
+   * (no BUY / SELL action, timestamp, confidence or duration).
+   */
+  function sanitize(raw) {
+    if (!raw || typeof raw !== 'object' || !ACTIONS.includes(raw.action)) return null;
+
+    const entry = toEntry(raw);
+    NUMERIC_FIELDS.forEach(field => { entry[field] = toNumber(entry[field]); });
+    if (entry.timestamp === null || entry.confidence === null || entry.duration === null) return null;
+
+    TEXT_FIELDS.forEach(field => {
+      if (typeof entry[field] !== 'string') entry[field] = null;
+    });
+    entry.id = entry.id || toEntry({ symbol: entry.symbol, timestamp: entry.timestamp }).id;
+    entry.result = RESULTS.includes(entry.result) ? entry.result : null;
+
+    const indicators = {};
+    if (entry.indicators && typeof entry.indicators === 'object') {
+      Object.entries(entry.indicators).forEach(([name, value]) => {
+        const n = toNumber(value);
+        if (n !== null) indicators[name] = n;
+      });
+    }
+    entry.indicators = indicators;
+
+    let votes = null;
+    if (entry.votes && typeof entry.votes === 'object') {
+      Object.entries(entry.votes).forEach(([name, vote]) => {
+        if (!vote || !VOTE_DIRECTIONS.includes(vote.direction)) return;
+        votes = votes || {};
+        votes[name] = {
+          direction: vote.direction,
+          strength: toNumber(vote.strength),
+          weight: toNumber(vote.weight),
+          value: toNumber(vote.value)
+        };
+      });
+    }
+    entry.votes = votes;
+
+    entry.reasons = Array.isArray(entry.reasons) ? entry.reasons.filter(r => typeof r === 'string') : [];
+    return entry;
+  }
+
+  /**
+   * Merge imported entries into the ledger (newest first).
+   * Entries already in the ledger win unless the import carries a result they lack.
+   * Imports are untrusted (shared files end up in the page's HTML): only sanitized entries are
+   * merged, and new ones are flagged imported: true.
+   */
+  function merge(ledger, imported) {
+    const byId = new Map();
+    ledger.forEach(s => byId.set(toEntry(s).id, s));
+
+    let added = 0;
+    let updated = 0;
+    imported
+      .map(sanitize)
+      .filter(Boolean)
+      .forEach(entry => {
+        const existing = byId.get(entry.id);
+        if (!existing) {
+          byId.set(entry.id, { ...entry, imported: true });
+          added++;
+        } else if (existing.result === null && entry.result) {
+          Object.assign(existing, {
+            result: entry.result,
+            exitPrice: entry.exitPrice,
+            exitTime: entry.exitTime,
+            exitSource: entry.exitSource,
+            priceChange: entry.priceChange
+          });
+          updated++;
+        }
+      });
+
+    const signals = Array.from(byId.values()).sort((a, b) => b.timestamp - a.timestamp);
+    return { signals, added, updated };
+  }
+
+  function filename(format) {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    return `pocket-scout-journal-${stamp}.${format === 'csv' ? 'csv' : 'json'}`;
+  }
+
+  return {
+    COLUMNS,
+    toEntry,
+    sanitize,
+    toJSON,
+    toCSV,
+    parse,
+    merge,
+    filename
+  };
+})();
+
+console.log('[Pocket Scout v5 WIN] Signal Journal loaded - CSV/JSON export and import');
@@ -0,0 +1,521 @@
+/**
+ * Pocket Scout v5.0 WIN - Streaming Indicators
+ * Stateful indicators fed one candle at a time (update(candle) / value()) plus a per-candle
+ * cache shared by the engine, regime detector, RL state encoder and indicator groups.
+ * Values match the batch TechnicalIndicators functions on the same candles.
+ */
+
+window.StreamingIndicators = (function() {
+  'use strict';
+
+  // Keep the latest size values, oldest first
+  function pushWindow(list, value, size) {
+    list.push(value);
+    if (list.length > size) list.shift();
+  }
+
+  function sum(list) {
+    return list.reduce((a, b) => a + b, 0);
+  }
+
+  // Deep copy of plain indicator state (numbers, arrays, nested objects)
+  function cloneState(value) {
+    if (Array.isArray(value)) return value.slice();
+    if (value && typeof value === 'object') {
+      const copy = {};
+      Object.keys(value).forEach(key => { copy[key] = cloneState(value[key]); });
+      return copy;
+    }
+    return value;
+  }
+
+  function trueRange(candle, prevClose) {
+    return Math.max(
+      candle.h - candle.l,
+      Math.abs(candle.h - prevClose),
+      Math.abs(candle.l - prevClose)
+    );
+  }
+
+  // EMA seeded with the SMA of the first period values (same as calculateEMA)
+  function emaState(period) {
+    return { period, count: 0, seedSum: 0, value: null };
+  }
+
+  function emaPush(ema, x) {
+    ema.count++;
+    if (ema.count <= ema.period) {
+      ema.seedSum += x;
+      if (ema.count === ema.period) ema.value = ema.seedSum / ema.period;
+    } else {
+      ema.value = (x - ema.value) * (2 / (ema.period + 1)) + ema.value;
+    }
+  }
+
+  /**
+   * Base class: update(candle) folds in the next candle. A candle with the same time as the
+   * previous one is the forming candle again (tick update) - it replaces, not appends.
+   */
+  class StreamingIndicator {
+    constructor() {
+      this.state = null;     // Created on the first candle - subclasses set their periods first
+      this.committed = null; // State before the latest candle
+      this.lastT = undefined;
+    }
+
+    update(candle) {
+      if (!this.state) this.state = this.initialState();
+      if (candle.t !== undefined && candle.t === this.lastT) {
+        this.state = cloneState(this.committed);
+      } else {
+        this.committed = cloneState(this.state);
+        this.lastT = candle.t;
+      }
+      this.apply(this.state, candle);
+      return this;
+    }
+
+    value() {
+      return this.state ? this.compute(this.state) : null;
+    }
+  }
+
+  class SMA extends StreamingIndicator {
+    constructor(period) {
+      super();
+      this.period = period;
+    }
+    initialState() {
+      return { closes: [] };
+    }
+    apply(s, candle) {
+      pushWindow(s.closes, candle.c, this.period);
+    }
+    compute(s) {
+      const closes = s.closes;
+      return closes.length < this.period ? null : sum(closes) / this.period;
+    }
+  }
+
+  class EMA extends StreamingIndicator {
+    constructor(period) {
+      super();
+      this.period = period;
+    }
+    initialState() {
+      return { ema: emaState(this.period) };
+    }
+    apply(s, candle) {
+      emaPush(s.ema, candle.c);
+    }
+    compute(s) {
+      return s.ema.value;
+    }
+  }
+
+  // Simple-average RSI over the last period changes (as calculateRSI)
+  class RSI extends StreamingIndicator {
+    constructor(period = 14) {
+      super();
+      this.period = period;
+    }
+    initialState() {
+      return { prevClose: null, changes: [] };
+    }
+    apply(s, candle) {
+      if (s.prevClose !== null) pushWindow(s.changes, candle.c - s.prevClose, this.period);
+      s.prevClose = candle.c;
+    }
+    compute(s) {
+      const changes = s.changes;
+      if (changes.length < this.period) return null;
+      let gains = 0;
+      let losses = 0;
+      changes.forEach(change => {
+        if (change > 0) gains += change;
+        else losses += Math.abs(change);
+      });
+      const avgLoss = losses / this.period;
+      if (avgLoss === 0) return 100;
+      return 100 - (100 / (1 + (gains / this.period) / avgLoss));
+    }
+  }
+
+  // MACD with the signal EMA fed one MACD value per candle - O(1) instead of an EMA per prefix
+  class MACD extends StreamingIndicator {
+    constructor(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+      super();
+      this.fastPeriod = fastPeriod;
+      this.slowPeriod = slowPeriod;
+      this.signalPeriod = signalPeriod;
+    }
+    initialState() {
+      return {
+        count: 0,
+        fast: emaState(this.fastPeriod),
+        slow: emaState(this.slowPeriod),
+        signal: emaState(this.signalPeriod)
+      };
+    }
+    apply(s, candle) {
+      emaPush(s.fast, candle.c);
+      emaPush(s.slow, candle.c);
+      s.count++;
+      if (s.count > this.slowPeriod && s.fast.value && s.slow.value) {
+        emaPush(s.signal, s.fast.value - s.slow.value);
+      }
+    }
+    compute(s) {
+      if (s.count < this.slowPeriod + this.signalPeriod) return null;
+      if (!s.fast.value || !s.slow.value || !s.signal.value) return null;
+      const macd = s.fast.value - s.slow.value;
+      return { macd, signal: s.signal.value, histogram: macd - s.signal.value };
+    }
+  }
+
+  class BollingerBands extends StreamingIndicator {
+    constructor(period = 20, stdDev = 2) {
+      super();
+      this.period = period;
+      this.stdDev = stdDev;
+    }
+    initialState() {
+      return { closes: [] };
+    }
+    apply(s, candle) {
+      pushWindow(s.closes, candle.c, this.period);
+    }
+    compute(s) {
+      const closes = s.closes;
+      if (closes.length < this.period) return null;
+      const sma = sum(closes) / this.period;
+      const variance = sum(closes.map(val => Math.pow(val - sma, 2))) / this.period;
+      const std = Math.sqrt(variance);
+      const price = closes[closes.length - 1];
+      const bandwidth = 2 * std * this.stdDev;
+      return {
+        upper: sma + (std * this.stdDev),
+        middle: sma,
+        lower: sma - (std * this.stdDev),
+        percentB: bandwidth > 0.0001 ? (price - (sma - std * this.stdDev)) / bandwidth : 0.5
+      };
+    }
+  }
+
+  // Simple-average ATR over the last period true ranges (as calculateATR)
+  class ATR extends StreamingIndicator {
+    constructor(period = 14) {
+      super();
+      this.period = period;
+    }
+    initialState() {
+      return { prevClose: null, trs: [] };
+    }
+    apply(s, candle) {
+      if (s.prevClose !== null) pushWindow(s.trs, trueRange(candle, s.prevClose), this.period);
+      s.prevClose = candle.c;
+    }
+    compute(s) {
+      const trs = s.trs;
+      return trs.length < this.period ? null : sum(trs) / this.period;
+    }
+  }
+
+  // kValues holds the last dPeriod %K values only (the batch version returns all of them)
+  class Stochastic extends StreamingIndicator {
+    constructor(kPeriod = 14, dPeriod = 3) {
+      super();
+      this.kPeriod = kPeriod;
+      this.dPeriod = dPeriod;
+    }
+    initialState() {
+      return { count: 0, highs: [], lows: [], kValues: [] };
+    }
+    apply(s, candle) {
+      s.count++;
+      pushWindow(s.highs, candle.h, this.kPeriod);
+      pushWindow(s.lows, candle.l, this.kPeriod);
+      if (s.highs.length < this.kPeriod) return;
+      const highest = Math.max(...s.highs);
+      const lowest = Math.min(...s.lows);
+      const k = highest === lowest ? 50 : ((candle.c - lowest) / (highest - lowest)) * 100;
+      pushWindow(s.kValues, k, this.dPeriod);
+    }
+    compute(s) {
+      if (s.count < this.kPeriod + this.dPeriod || s.kValues.length < this.dPeriod) return null;
+      return { k: s.kValues[s.kValues.length - 1], d: sum(s.kValues) / this.dPeriod, kValues: s.kValues.slice() };
+    }
+  }
+
+  // Wilder-smoothed DI+/DI- seeded with the first period averages (as calculateADX)
+  class ADX extends StreamingIndicator {
+    constructor(period = 14) {
+      super();
+      this.period = period;
+    }
+    initialState() {
+      return { count: 0, prev: null, n: 0, atr: 0, plusDM: 0, minusDM: 0 };
+    }
+    apply(s, candle) {
+      s.count++;
+      if (s.prev) {
+        const tr = trueRange(candle, s.prev.c);
+        const upMove = candle.h - s.prev.h;
+        const downMove = s.prev.l - candle.l;
+        const plus = upMove > downMove && upMove > 0 ? upMove : 0;
+        const minus = downMove > upMove && downMove > 0 ? downMove : 0;
+        const p = this.period;
+        s.n++;
+        if (s.n <= p) {
+          s.atr += tr;
+          s.plusDM += plus;
+          s.minusDM += minus;
+          if (s.n === p) {
+            s.atr /= p;
+            s.plusDM /= p;
+            s.minusDM /= p;
+          }
+        } else {
+          s.atr = (s.atr * (p - 1) + tr) / p;
+          s.plusDM = (s.plusDM * (p - 1) + plus) / p;
+          s.minusDM = (s.minusDM * (p - 1) + minus) / p;
+        }
+      }
+      s.prev = { h: candle.h, l: candle.l, c: candle.c };
+    }
+    compute(s) {
+      if (s.count < this.period * 2) return null;
+      const plusDI = s.atr > 0 ? (s.plusDM / s.atr) * 100 : 0;
+      const minusDI = s.atr > 0 ? (s.minusDM / s.atr) * 100 : 0;
+      const diSum = plusDI + minusDI;
+      const dx = diSum > 0 ? (Math.abs(plusDI - minusDI) / diSum) * 100 : 0;
+      return { adx: dx, plusDI, minusDI, dx };
+    }
+  }
+
+  class CCI extends StreamingIndicator {
+    constructor(period = 20) {
+      super();
+      this.period = period;
+    }
+    initialState() {
+      return { typical: [] };
+    }
+    apply(s, candle) {
+      pushWindow(s.typical, (candle.h + candle.l + candle.c) / 3, this.period);
+    }
+    compute(s) {
+      const typical = s.typical;
+      if (typical.length < this.period) return null;
+      const sma = sum(typical) / this.period;
+      const meanDeviation = typical.reduce((total, tp) => total + Math.abs(tp - sma), 0) / this.period;
+      if (meanDeviation === 0) return 0;
+      return (typical[typical.length - 1] - sma) / (0.015 * meanDeviation);
+    }
+  }
+
+  class WilliamsR extends StreamingIndicator {
+    constructor(period = 14) {
+      super();
+      this.period = period;
+    }
+    initialState() {
+      return { highs: [], lows: [], close: null };
+    }
+    apply(s, candle) {
+      pushWindow(s.highs, candle.h, this.period);
+      pushWindow(s.lows, candle.l, this.period);
+      s.close = candle.c;
+    }
+    compute(s) {
+      if (s.highs.length < this.period) return null;
+      const highest = Math.max(...s.highs);
+      const lowest = Math.min(...s.lows);
+      if (highest === lowest) return -50;
+      return ((highest - s.close) / (highest - lowest)) * -100;
+    }
+  }
+
+  // SMA(median, 5) - SMA(median, 34)
+  class AwesomeOscillator extends StreamingIndicator {
+    initialState() {
+      return { medians: [] };
+    }
+    apply(s, candle) {
+      pushWindow(s.medians, (candle.h + candle.l) / 2, 34);
+    }
+    compute(s) {
+      const medians = s.medians;
+      if (medians.length < 34) return null;
+      const sma5 = sum(medians.slice(-5)) / 5;
+      const sma34 = sum(medians) / 34;
+      if (!sma5 || !sma34) return null;
+      return sma5 - sma34;
+    }
+  }
+
+  // Full-history series (TechnicalIndicators.calculateXSeries) by cache name
+  const SERIES = {
+    sma: (d, period) => window.TechnicalIndicators.calculateSMASeries(d.closes, period),
+    ema: (d, period) => window.TechnicalIndicators.calculateEMASeries(d.closes, period),
+    rsi: (d, period) => window.TechnicalIndicators.calculateRSISeries(d.closes, period),
+    macd: (d, ...p) => window.TechnicalIndicators.calculateMACDSeries(d.closes, ...p),
+    bollingerBands: (d, ...p) => window.TechnicalIndicators.calculateBollingerBandsSeries(d.closes, ...p),
+    atr: (d, period) => window.TechnicalIndicators.calculateATRSeries(d.highs, d.lows, d.closes, period),
+    stochastic: (d, ...p) => window.TechnicalIndicators.calculateStochasticSeries(d.highs, d.lows, d.closes, ...p),
+    adx: (d, period) => window.TechnicalIndicators.calculateADXSeries(d.highs, d.lows, d.closes, period),
+    cci: (d, period) => window.TechnicalIndicators.calculateCCISeries(d.highs, d.lows, d.closes, period),
+    williamsR: (d, period) => window.TechnicalIndicators.calculateWilliamsRSeries(d.highs, d.lows, d.closes, period),
+    awesomeOscillator: (d) => window.TechnicalIndicators.calculateAwesomeOscillatorSeries(d.highs, d.lows)
+  };
+
+  /**
+   * Per-candle cache: each indicator/parameter set is one stream, created on first request
+   * (replaying history()) and advanced by update(candle). Values are memoized until the next update.
+   */
+  class IndicatorSet {
+    constructor(history = () => []) {
+      this.history = history;
+      this.streams = {};
+      this.memo = {};
+    }
+
+    update(candle) {
+      Object.keys(this.streams).forEach(key => this.streams[key].update(candle));
+      this.memo = {};
+    }
+
+    reset() {
+      this.streams = {};
+      this.memo = {};
+    }
+
+    get(key, create) {
+      if (key in this.memo) return this.memo[key];
+      let stream = this.streams[key];
+      if (!stream) {
+        stream = create();
+        this.history().forEach(candle => stream.update(candle));
+        this.streams[key] = stream;
+      }
+      this.memo[key] = stream.value();
+      return this.memo[key];
+    }
+
+    sma(period) {
+      return this.get(`sma:${period}`, () => new SMA(period));
+    }
+    ema(period) {
+      return this.get(`ema:${period}`, () => new EMA(period));
+    }
+    rsi(period = 14) {
+      return this.get(`rsi:${period}`, () => new RSI(period));
+    }
+    macd(fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+      return this.get(`macd:${fastPeriod}:${slowPeriod}:${signalPeriod}`, () => new MACD(fastPeriod, slowPeriod, signalPeriod));
+    }
+    bollingerBands(period = 20, stdDev = 2) {
+      return this.get(`bb:${period}:${stdDev}`, () => new BollingerBands(period, stdDev));
+    }
+    atr(period = 14) {
+      return this.get(`atr:${period}`, () => new ATR(period));
+    }
+    stochastic(kPeriod = 14, dPeriod = 3) {
+      return this.get(`stoch:${kPeriod}:${dPeriod}`, () => new Stochastic(kPeriod, dPeriod));
+    }
+    adx(period = 14) {
+      return this.get(`adx:${period}`, () => new ADX(period));
+    }
+    cci(period = 20) {
+      return this.get(`cci:${period}`, () => new CCI(period));
+    }
+    williamsR(period = 14) {
+      return this.get(`williamsR:${period}`, () => new WilliamsR(period));
+    }
+    awesomeOscillator() {
+      return this.get('ao', () => new AwesomeOscillator());
+    }
+
+    /**
+     * Aligned series over the whole history, e.g. series('macd', 12, 26, 9) → { macd, signal, histogram }.
+     * O(n), computed once per candle and shared - for crossovers, slopes and divergences.
+     */
+    series(name, ...params) {
+      const key = `series:${name}:${params.join(':')}`;
+      if (key in this.memo) return this.memo[key];
+      if (!SERIES[name]) {
+        throw new Error(`No series for indicator ${name}`);
+      }
+      const candles = this.history();
+      const data = {
+        closes: candles.map(c => c.c),
+        highs: candles.map(c => c.h),
+        lows: candles.map(c => c.l)
+      };
+      // Omitted parameters fall back to the calculateXSeries defaults
+      this.memo[key] = SERIES[name](data, ...params);
+      return this.memo[key];
+    }
+  }
+
+  /**
+   * Live cache over one CircularBuffer - update() after every tick, rebuild() after bulk loads.
+   * Streams started before the buffer wrapped keep their longer EMA history (converged, not different).
+   */
+  class LiveIndicatorSet extends IndicatorSet {
+    constructor(buffer) {
+      super(() => buffer.getAll());
+      this.buffer = buffer;
+      this.lastT = null;
+    }
+
+    update(candle = this.buffer.getLatest()) {
+      if (!candle || (this.lastT !== null && candle.t < this.lastT)) {
+        this.rebuild(); // Cleared buffer or out-of-order data
+        return;
+      }
+      super.update(candle);
+      this.lastT = candle.t;
+    }
+
+    rebuild() {
+      this.reset();
+      const latest = this.buffer.getLatest();
+      this.lastT = latest ? latest.t : null;
+    }
+  }
+
+  // One-off cache over a candle array (backtest windows, history replays)
+  function fromCandles(candles) {
+    return new IndicatorSet(() => candles || []);
+  }
+
+  // One live cache per CircularBuffer key (symbol)
+  const instances = {};
+
+  function getInstance(key = 'default') {
+    if (!instances[key]) {
+      instances[key] = new LiveIndicatorSet(window.CircularBuffer.getInstance(key));
+    }
+    return instances[key];
+  }
+
+  return {
+    SMA,
+    EMA,
+    RSI,
+    MACD,
+    BollingerBands,
+    ATR,
+    Stochastic,
+    ADX,
+    CCI,
+    WilliamsR,
+    AwesomeOscillator,
+    IndicatorSet,
+    fromCandles,
+    getInstance
+  };
+})();
+
+console.log('[Pocket Scout v5 WIN] Streaming Indicators loaded - O(1) per candle with shared cache');
@@ -0,0 +1,192 @@
+/**
+ * Pocket Scout v5.0 WIN - Support / Resistance
+ * Horizontal levels from clustered swing points, previous day / session floor pivots and
+ * round numbers over the M1 history - merged where they coincide, ranked by distance in ATR
+ */
+
+window.SupportResistance = (function() {
+  'use strict';
+
+  const SWING_WINDOW = 5;        // Candles on each side of a swing point used for levels
+  const CLUSTER_ATR = 0.3;       // Swings / levels closer than this (in ATR) are one level
+  const MIN_TOUCHES = 2;         // Swing clusters need this many swings to count as a level
+  const NEAR_ATR = 0.5;          // Within this distance price is "at" a level
+  const STRONG_LEVEL = 3;        // Strength at which a level counts in full
+  const ROUND_STEP_PIPS = 50;    // Round numbers every 50 pips, majors every 100
+  const SESSION_HOURS = 8;       // UTC sessions: 00-08 Asia, 08-16 London, 16-24 New York
+  const PIVOT_MIN_COVERAGE = 0.5; // Share of a day / session the history must cover for its pivots
+
+  // Strength of a single pivot / round level - a swing cluster scores one per touch
+  const PIVOT_STRENGTH = {
+    DAILY: { P: 1.5, R1: 1.5, S1: 1.5, R2: 1, S2: 1 },
+    SESSION: { P: 1, R1: 1, S1: 1, R2: 0.7, S2: 0.7 }
+  };
+  const ROUND_STRENGTH = { MAJOR: 1, HALF: 0.6 };
+  // ISO codes accepted as a currency-pair leg - other assets (crypto, stocks, commodities) get no pip-based round numbers
+  const CURRENCIES = [
+    'USD', 'EUR', 'GBP', 'JPY', 'AUD', 'NZD', 'CAD', 'CHF', 'CNH', 'CNY', 'HKD', 'SGD', 'SEK', 'NOK', 'DKK',
+    'PLN', 'HUF', 'CZK', 'TRY', 'ZAR', 'MXN', 'BRL', 'ARS', 'CLP', 'COP', 'INR', 'IDR', 'MYR', 'PHP', 'THB',
+    'KRW', 'TWD', 'RUB', 'UAH', 'ILS', 'AED', 'SAR', 'QAR', 'OMR', 'BHD', 'JOD', 'KES', 'NGN', 'EGP', 'MAD',
+    'TND', 'LBP'
+  ];
+
+  const DAY_MS = 24 * 60 * 60000;
+  const SESSION_MS = SESSION_HOURS * 60 * 60000;
+
+  // Pip size from the pair's quote currency: 'EUR/USD OTC' → 0.0001, 'USDJPY_otc' → 0.01; null for non-FX assets
+  function pipSize(symbol) {
+    const match = /^([A-Z]{3})[\s/_-]?([A-Z]{3})(?![A-Z])/.exec(String(symbol || '').trim().toUpperCase());
+    if (!match || !CURRENCIES.includes(match[1]) || !CURRENCIES.includes(match[2])) return null;
+    return match[2] === 'JPY' ? 0.01 : 0.0001;
+  }
+
+  // Greedy 1-D clustering of { price, strength, ... } points sorted by price
+  function cluster(points, tolerance) {
+    const clusters = [];
+    points.slice().sort((a, b) => a.price - b.price).forEach(point => {
+      const last = clusters[clusters.length - 1];
+      const center = last ? last.sum / last.weight : null;
+      if (last && point.price - center <= tolerance) {
+        last.members.push(point);
+        last.sum += point.price * point.strength;
+        last.weight += point.strength;
+      } else {
+        clusters.push({ members: [point], sum: point.price * point.strength, weight: point.strength });
+      }
+    });
+    return clusters.map(c => ({ price: c.sum / c.weight, members: c.members }));
+  }
+
+  // Levels where at least MIN_TOUCHES swing highs / lows bunch together
+  function swingLevels(candles, tolerance) {
+    const highs = candles.map(c => c.h);
+    const lows = candles.map(c => c.l);
+    const swings = window.DivergenceDetector.findSwings(highs, lows, SWING_WINDOW, SWING_WINDOW);
+    const points = [
+      ...swings.highs.map(i => ({ price: highs[i], strength: 1 })),
+      ...swings.lows.map(i => ({ price: lows[i], strength: 1 }))
+    ];
+
+    return cluster(points, tolerance)
+      .filter(c => c.members.length >= MIN_TOUCHES)
+      .map(c => ({
+        price: c.price,
+        source: 'SWING',
+        label: `Swing ×${c.members.length}`,
+        touches: c.members.length,
+        strength: c.members.length
+      }));
+  }
+
+  /**
+   * Floor pivots of the last complete period (UTC day or session) before the current candle:
+   * P = (H + L + C) / 3, R1 = 2P - L, S1 = 2P - H, R2 = P + (H - L), S2 = P - (H - L)
+   */
+  function pivotLevels(candles, periodMs, kind) {
+    const last = candles[candles.length - 1];
+    const currentStart = Math.floor(last.t / periodMs) * periodMs;
+    const previousStart = currentStart - periodMs;
+    const period = candles.filter(c => c.t >= previousStart && c.t < currentStart);
+    if (period.length < (periodMs / 60000) * PIVOT_MIN_COVERAGE) return [];
+
+    const high = Math.max(...period.map(c => c.h));
+    const low = Math.min(...period.map(c => c.l));
+    const close = period[period.length - 1].c;
+    const p = (high + low + close) / 3;
+    const values = { P: p, R1: 2 * p - low, S1: 2 * p - high, R2: p + (high - low), S2: p - (high - low) };
+    const prefix = kind === 'DAILY' ? 'D' : 'S';
+
+    return Object.entries(values).map(([name, price]) => ({
+      price,
+      source: `${kind}_PIVOT`,
+      label: `${prefix}-${name}`,
+      touches: 0,
+      strength: PIVOT_STRENGTH[kind][name]
+    }));
+  }
+
+  // The round numbers just below and above price - currency pairs only
+  function roundLevels(price, symbol) {
+    const pip = pipSize(symbol);
+    if (!pip) return [];
+    const step = pip * ROUND_STEP_PIPS;
+    const below = Math.floor(price / step);
+    const above = Math.ceil(price / step);
+    return [...new Set([below, above])].map(n => {
+      const major = n % 2 === 0;
+      return {
+        price: n * step,
+        source: 'ROUND',
+        label: `Round ${major ? '00' : '50'}`,
+        touches: 0,
+        strength: major ? ROUND_STRENGTH.MAJOR : ROUND_STRENGTH.HALF
+      };
+    });
+  }
+
+  /**
+   * All levels for M1 candles (oldest first), nearest first:
+   * { price, atr, levels: [{ price, type, sources, labels, touches, strength, distance, distanceATR }], support, resistance }
+   * type is SUPPORT at or below price, RESISTANCE above. Levels from different sources within
+   * CLUSTER_ATR merge into one stronger level. null until ATR is available.
+   * options.indicators reuses a StreamingIndicators cache for these candles; options.symbol
+   * (e.g. 'EUR/USD OTC') sets the pip size of round numbers - without a currency pair there are none.
+   */
+  function getLevels(candles, options = {}) {
+    if (!candles || candles.length < SWING_WINDOW * 2 + 1) return null;
+    const indicators = options.indicators || window.StreamingIndicators.fromCandles(candles);
+    const atr = indicators.atr(14);
+    const price = candles[candles.length - 1].c;
+    if (!atr || !price) return null;
+
+    const tolerance = atr * CLUSTER_ATR;
+    const candidates = [
+      ...swingLevels(candles, tolerance),
+      ...pivotLevels(candles, DAY_MS, 'DAILY'),
+      ...pivotLevels(candles, SESSION_MS, 'SESSION'),
+      ...roundLevels(price, options.symbol)
+    ];
+
+    const levels = cluster(candidates, tolerance)
+      .map(c => {
+        const distance = Math.abs(c.price - price);
+        return {
+          price: c.price,
+          type: c.price <= price ? 'SUPPORT' : 'RESISTANCE',
+          sources: [...new Set(c.members.map(m => m.source))],
+          labels: c.members.map(m => m.label),
+          touches: c.members.reduce((sum, m) => sum + m.touches, 0),
+          strength: c.members.reduce((sum, m) => sum + m.strength, 0),
+          distance,
+          distanceATR: distance / atr
+        };
+      })
+      .sort((a, b) => a.distance - b.distance);
+
+    return {
+      price,
+      atr,
+      levels,
+      support: levels.find(l => l.type === 'SUPPORT') || null,
+      resistance: levels.find(l => l.type === 'RESISTANCE') || null
+    };
+  }
+
+  /**
+   * How much a level should count right now, 0-1: full at the level, fading to 0 at NEAR_ATR,
+   * scaled by strength up to STRONG_LEVEL
+   */
+  function proximity(level) {
+    if (!level || level.distanceATR >= NEAR_ATR) return 0;
+    return (1 - level.distanceATR / NEAR_ATR) * Math.min(1, level.strength / STRONG_LEVEL);
+  }
+
+  return {
+    NEAR_ATR,
+    pipSize,
+    getLevels,
+    proximity
+  };
+})();
+
+console.log('[Pocket Scout v5 WIN] Support/Resistance loaded - swing clusters, daily/session pivots, round numbers');
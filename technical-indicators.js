@@ -38,6 +38,23 @@ window.TechnicalIndicators = (function() {
     return ema;
   }
 
+  // EMA after each element (null until period values) - series[i] equals calculateEMA(data.slice(0, i + 1))
+  function calculateEMASeries(data, period) {
+    const series = new Array(data.length).fill(null);
+    if (data.length < period) return series;
+    
+    const multiplier = 2 / (period + 1);
+    let ema = data.slice(0, period).reduce((sum, val) => sum + val, 0) / period;
+    series[period - 1] = ema;
+    
+    for (let i = period; i < data.length; i++) {
+      ema = (data[i] - ema) * multiplier + ema;
+      series[i] = ema;
+    }
+    
+    return series;
+  }
+
   function calculateRSI(closes, period = 14) {
     if (closes.length < period + 1) return null;
     
@@ -69,10 +86,13 @@ window.TechnicalIndicators = (function() {
     
     const macdLine = fastEMA - slowEMA;
     
+    // EMA of every prefix in one pass (O(n) - was an EMA per prefix)
+    const fastSeries = calculateEMASeries(closes, fastPeriod);
+    const slowSeries = calculateEMASeries(closes, slowPeriod);
     const macdHistory = [];
     for (let i = slowPeriod; i < closes.length; i++) {
-      const f = calculateEMA(closes.slice(0, i + 1), fastPeriod);
-      const s = calculateEMA(closes.slice(0, i + 1), slowPeriod);
+      const f = fastSeries[i];
+      const s = slowSeries[i];
       if (f && s) macdHistory.push(f - s);
     }
     
@@ -281,6 +301,193 @@ window.TechnicalIndicators = (function() {
     return sma5 - sma34;
   }
 
+  // ===== SERIES VARIANTS =====
+  // Aligned with the input: series[i] is the value on data[0..i], null while warming up
+
+  // Windowed indicators only look at the last `window` inputs - compute each point from that slice
+  function rollingSeries(length, window, compute) {
+    const series = new Array(length).fill(null);
+    for (let end = window; end <= length; end++) {
+      series[end - 1] = compute(end - window, end);
+    }
+    return series;
+  }
+
+  // Split a series of result objects into one aligned array per field
+  function splitSeries(series, fields) {
+    const result = {};
+    fields.forEach(field => {
+      result[field] = series.map(point => (point ? point[field] : null));
+    });
+    return result;
+  }
+
+  function calculateSMASeries(data, period) {
+    return rollingSeries(data.length, period, (start, end) => calculateSMA(data.slice(start, end), period));
+  }
+
+  function calculateRSISeries(closes, period = 14) {
+    return rollingSeries(closes.length, period + 1, (start, end) => calculateRSI(closes.slice(start, end), period));
+  }
+
+  // { macd, signal, histogram } arrays
+  function calculateMACDSeries(closes, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+    const fastSeries = calculateEMASeries(closes, fastPeriod);
+    const slowSeries = calculateEMASeries(closes, slowPeriod);
+    const points = new Array(closes.length).fill(null);
+    const multiplier = 2 / (signalPeriod + 1);
+    let count = 0;
+    let seedSum = 0;
+    let signal = null;
+
+    for (let i = slowPeriod; i < closes.length; i++) {
+      const f = fastSeries[i];
+      const s = slowSeries[i];
+      if (!f || !s) continue;
+      const macd = f - s;
+      count++;
+      if (count <= signalPeriod) {
+        seedSum += macd;
+        if (count === signalPeriod) signal = seedSum / signalPeriod;
+      } else {
+        signal = (macd - signal) * multiplier + signal;
+      }
+      if (i + 1 >= slowPeriod + signalPeriod && signal) {
+        points[i] = { macd, signal, histogram: macd - signal };
+      }
+    }
+    return splitSeries(points, ['macd', 'signal', 'histogram']);
+  }
+
+  // { upper, middle, lower, percentB } arrays
+  function calculateBollingerBandsSeries(closes, period = 20, stdDev = 2) {
+    const points = rollingSeries(closes.length, period, (start, end) => calculateBollingerBands(closes.slice(start, end), period, stdDev));
+    return splitSeries(points, ['upper', 'middle', 'lower', 'percentB']);
+  }
+
+  function calculateATRSeries(highs, lows, closes, period = 14) {
+    return rollingSeries(closes.length, period + 1, (start, end) =>
+      calculateATR(highs.slice(start, end), lows.slice(start, end), closes.slice(start, end), period));
+  }
+
+  // { k, d } arrays
+  function calculateStochasticSeries(highs, lows, closes, kPeriod = 14, dPeriod = 3) {
+    const points = rollingSeries(closes.length, kPeriod + dPeriod, (start, end) =>
+      calculateStochastic(highs.slice(start, end), lows.slice(start, end), closes.slice(start, end), kPeriod, dPeriod));
+    return splitSeries(points, ['k', 'd']);
+  }
+
+  // { adx, plusDI, minusDI } arrays - Wilder smoothing runs from the first candle, so one pass
+  function calculateADXSeries(highs, lows, closes, period = 14) {
+    const points = new Array(closes.length).fill(null);
+    let atr = 0;
+    let plusDM = 0;
+    let minusDM = 0;
+
+    for (let i = 1; i < highs.length; i++) {
+      const tr = Math.max(
+        highs[i] - lows[i],
+        Math.abs(highs[i] - closes[i - 1]),
+        Math.abs(lows[i] - closes[i - 1])
+      );
+      const upMove = highs[i] - highs[i - 1];
+      const downMove = lows[i - 1] - lows[i];
+      const plus = upMove > downMove && upMove > 0 ? upMove : 0;
+      const minus = downMove > upMove && downMove > 0 ? downMove : 0;
+
+      if (i <= period) {
+        atr += tr;
+        plusDM += plus;
+        minusDM += minus;
+        if (i === period) {
+          atr /= period;
+          plusDM /= period;
+          minusDM /= period;
+        }
+      } else {
+        atr = (atr * (period - 1) + tr) / period;
+        plusDM = (plusDM * (period - 1) + plus) / period;
+        minusDM = (minusDM * (period - 1) + minus) / period;
+      }
+
+      if (i + 1 >= period * 2) {
+        const plusDI = atr > 0 ? (plusDM / atr) * 100 : 0;
+        const minusDI = atr > 0 ? (minusDM / atr) * 100 : 0;
+        const diSum = plusDI + minusDI;
+        const adx = diSum > 0 ? (Math.abs(plusDI - minusDI) / diSum) * 100 : 0;
+        points[i] = { adx, plusDI, minusDI };
+      }
+    }
+    return splitSeries(points, ['adx', 'plusDI', 'minusDI']);
+  }
+
+  function calculateCCISeries(highs, lows, closes, period = 20) {
+    return rollingSeries(closes.length, period, (start, end) =>
+      calculateCCI(highs.slice(start, end), lows.slice(start, end), closes.slice(start, end), period));
+  }
+
+  function calculateWilliamsRSeries(highs, lows, closes, period = 14) {
+    return rollingSeries(closes.length, period, (start, end) =>
+      calculateWilliamsR(highs.slice(start, end), lows.slice(start, end), closes.slice(start, end), period));
+  }
+
+  function calculateAwesomeOscillatorSeries(highs, lows) {
+    return rollingSeries(highs.length, 34, (start, end) => calculateAwesomeOscillator(highs.slice(start, end), lows.slice(start, end)));
+  }
+
+  // ===== SERIES HELPERS =====
+
+  // Value of a series (or a constant level) at index
+  function valueAt(series, index) {
+    return Array.isArray(series) ? series[index] : series;
+  }
+
+  function crossedAt(a, b, index, above) {
+    const prevA = valueAt(a, index - 1);
+    const prevB = valueAt(b, index - 1);
+    const currA = valueAt(a, index);
+    const currB = valueAt(b, index);
+    if ([prevA, prevB, currA, currB].some(v => v === null || v === undefined)) return false;
+    return above ? prevA <= prevB && currA > currB : prevA >= prevB && currA < currB;
+  }
+
+  /**
+   * True when series a crossed above b (a series or a constant level) on one of the
+   * last `lookback` bars
+   */
+  function crossover(a, b, lookback = 1) {
+    const last = a.length - 1;
+    for (let i = last; i > last - lookback && i >= 1; i--) {
+      if (crossedAt(a, b, i, true)) return true;
+    }
+    return false;
+  }
+
+  // True when series a crossed below b on one of the last `lookback` bars
+  function crossunder(a, b, lookback = 1) {
+    const last = a.length - 1;
+    for (let i = last; i > last - lookback && i >= 1; i--) {
+      if (crossedAt(a, b, i, false)) return true;
+    }
+    return false;
+  }
+
+  // Least-squares slope per bar over the last `length` values (null while any is missing)
+  function slope(series, length = 3) {
+    if (!series || series.length < length || length < 2) return null;
+    const values = series.slice(-length);
+    if (values.some(v => v === null || v === undefined)) return null;
+    const meanX = (length - 1) / 2;
+    const meanY = values.reduce((a, b) => a + b, 0) / length;
+    let num = 0;
+    let den = 0;
+    values.forEach((y, x) => {
+      num += (x - meanX) * (y - meanY);
+      den += (x - meanX) * (x - meanX);
+    });
+    return num / den;
+  }
+
   /**
    * Lightweight candlestick pattern detector (last 2-3 candles)
    * Returns detected pattern names, directional bias, and a confidence score (0-1)
@@ -371,6 +578,7 @@ window.TechnicalIndicators = (function() {
   return {
     calculateSMA,
     calculateEMA,
+    calculateEMASeries,
     calculateRSI,
     calculateMACD,
     calculateBollingerBands,
@@ -380,6 +588,19 @@ window.TechnicalIndicators = (function() {
     calculateCCI,
     calculateWilliamsR,
     calculateAwesomeOscillator,
+    calculateSMASeries,
+    calculateRSISeries,
+    calculateMACDSeries,
+    calculateBollingerBandsSeries,
+    calculateATRSeries,
+    calculateStochasticSeries,
+    calculateADXSeries,
+    calculateCCISeries,
+    calculateWilliamsRSeries,
+    calculateAwesomeOscillatorSeries,
+    crossover,
+    crossunder,
+    slope,
     detectCandlestickPatterns
   };
 })();
@@ -0,0 +1,90 @@
+/**
+ * Pocket Scout v5.0 WIN - Backtester replay and stats tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Browser modules attach to window - point it at the Node global and load them in manifest order
+global.window = globalThis;
+['technical-indicators.js', 'streaming-indicators.js', 'timeframe-aggregator.js', 'backtester.js']
+  .forEach(file => require(`../${file}`));
+const Backtester = window.Backtester;
+
+// Flat candles closing at the given prices, one minute apart
+function candlesFromCloses(closes) {
+  return closes.map((c, i) => ({ t: 1700000000000 + i * 60000, o: c, h: c, l: c, c }));
+}
+
+// Entry at candle i's close, exit at candle i + duration - decisions at i = 1..6 with warmup 2
+const CANDLES = candlesFromCloses([10, 11, 12, 11, 11, 10, 11, 12]);
+const OPTIONS = { warmup: 2, interval: 1, payout: 0.8, stake: 1 };
+
+function fixedStrategy(id, action, duration, confidence = 80) {
+  return { id, analyze: () => ({ action, confidence, duration }) };
+}
+
+function run(strategies, options = {}) {
+  return Backtester.run(CANDLES, { ...OPTIONS, ...options, strategies });
+}
+
+test('win rate, expectancy and losing streak from a fixed candle set', () => {
+  // BUY 1 min: WIN, LOSS, TIE, LOSS, WIN, WIN
+  const report = run([fixedStrategy('BUY_1', 'BUY', 1)]);
+  const stats = report.strategies[0];
+
+  assert.equal(stats.trades, 6);
+  assert.equal(stats.wins, 3);
+  assert.equal(stats.losses, 2);
+  assert.equal(stats.ties, 1);
+  assert.equal(stats.winRate, 60); // Ties are left out of the win rate
+  assert.ok(Math.abs(stats.netProfit - 0.4) < 1e-9); // 3 × 0.8 - 2
+  assert.ok(Math.abs(stats.expectancy - 0.4 / 6) < 1e-9);
+  assert.equal(stats.maxLosingStreak, 2); // A tie between two losses doesn't break the streak
+  assert.equal(stats.equityCurve.length, 6);
+  assert.equal(stats.equityCurve[0].t, CANDLES[2].t + 60000); // Exit candle close
+  assert.equal('currentLosingStreak' in stats, false);
+});
+
+test('expiries past the recorded history are skipped and strategies are ranked by expectancy', () => {
+  // SELL 2 min: TIE, WIN, WIN, TIE, LOSS - the decision at i = 6 would exit beyond the last candle
+  const report = run([fixedStrategy('BUY_1', 'BUY', 1), fixedStrategy('SELL_2', 'SELL', 2)]);
+  const sell = report.strategies.find(s => s.id === 'SELL_2');
+
+  assert.equal(sell.trades, 5);
+  assert.equal(sell.wins, 2);
+  assert.equal(sell.losses, 1);
+  assert.equal(sell.ties, 2);
+  assert.ok(Math.abs(sell.expectancy - 0.6 / 5) < 1e-9);
+  assert.deepEqual(report.ranking, ['SELL_2', 'BUY_1']);
+});
+
+test('minConfidence, interval and HOLD decisions limit the trades taken', () => {
+  const hold = { id: 'HOLD', analyze: () => null };
+  const weak = fixedStrategy('WEAK', 'BUY', 1, 20);
+  const report = run([hold, weak, fixedStrategy('EVERY_3', 'BUY', 1)], { minConfidence: 50, interval: 3 });
+  const byId = Object.fromEntries(report.strategies.map(s => [s.id, s]));
+
+  assert.equal(byId.HOLD.trades, 0);
+  assert.equal(byId.WEAK.trades, 0);
+  assert.equal(byId.EVERY_3.trades, 2); // Decisions at i = 1 and 4
+  assert.deepEqual(report.ranking, ['EVERY_3']);
+});
+
+test('summarize rounds the table and a too short history returns null', () => {
+  const summary = Backtester.summarize(run([fixedStrategy('BUY_1', 'BUY', 1)]));
+  assert.deepEqual(summary[0], {
+    id: 'BUY_1', trades: 6, winRate: 60, expectancy: 0.067, netProfit: 0.4,
+    maxLosingStreak: 2, ties: 1, fallback: 0, filtered: 0
+  });
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(Backtester.run(CANDLES.slice(0, 2), OPTIONS), null);
+  } finally {
+    console.warn = warn;
+  }
+  assert.deepEqual(Backtester.summarize(null), []);
+});
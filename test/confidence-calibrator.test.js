@@ -0,0 +1,112 @@
+/**
+ * Pocket Scout v5.0 WIN - Confidence Calibrator tests (Platt / isotonic switch points, monotonic output)
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Browser modules attach to window - point it at the Node global
+global.window = globalThis;
+require('../confidence-calibrator.js');
+const CC = window.ConfidenceCalibrator;
+
+/**
+ * n resolved signals with confidence spread over 50-95 whose win rate rises with confidence:
+ * signal i wins when (i * 37) % 100 falls below its confidence, so the outcome is fixed per index
+ */
+function ledger(n) {
+  return Array.from({ length: n }, (_, i) => {
+    const confidence = 50 + (i * 7) % 46;
+    return { confidence, result: (i * 37) % 100 < confidence ? 'WIN' : 'LOSS' };
+  });
+}
+
+// Signals at one confidence with the given outcomes
+function at(confidence, results) {
+  return results.map(result => ({ confidence, result }));
+}
+
+function assertMonotonic(model) {
+  let previous = -Infinity;
+  for (let confidence = 0; confidence <= 100; confidence++) {
+    const p = CC.predict(model, confidence);
+    assert.ok(p >= previous - 1e-12, `${model.method} drops at ${confidence}: ${p} < ${previous}`);
+    assert.ok(p > 0 && p < 1, `${model.method} gives ${p} at ${confidence}`);
+    previous = p;
+  }
+}
+
+test('no model below 20 decided outcomes - ties and unverified signals do not count', () => {
+  assert.equal(CC.fit(ledger(CC.MIN_SAMPLES - 1)), null);
+  const padded = [...ledger(CC.MIN_SAMPLES - 1), ...at(70, ['TIE', 'UNVERIFIED', null])];
+  assert.equal(CC.fit(padded), null);
+  assert.equal(CC.fit(null), null);
+  assert.equal(CC.predict(null, 70), null);
+});
+
+test('Platt scaling from 20 outcomes, isotonic regression from 150', () => {
+  assert.equal(CC.fit(ledger(20)).method, 'platt');
+  assert.equal(CC.fit(ledger(149)).method, 'platt');
+  const isotonic = CC.fit(ledger(150));
+  assert.equal(isotonic.method, 'isotonic');
+  assert.equal(isotonic.samples, 150);
+
+  assert.equal(CC.fit(ledger(40), { method: 'isotonic' }).method, 'isotonic');
+  assert.equal(CC.fit(ledger(200), { method: 'platt' }).method, 'platt');
+});
+
+test('both methods map rising confidence to a non-decreasing win probability', () => {
+  const platt = CC.fit(ledger(120));
+  assert.ok(platt.a > 0);
+  assertMonotonic(platt);
+  assertMonotonic(CC.fit(ledger(400)));
+
+  // Outcomes against the trend still give a monotonic isotonic fit (pooled into one flat step)
+  const inverted = [...at(60, Array(15).fill('WIN')), ...at(90, Array(15).fill('LOSS'))];
+  const flat = CC.fit(inverted, { method: 'isotonic' });
+  assert.equal(flat.points.length, 1);
+  assertMonotonic(flat);
+});
+
+test('Platt targets are smoothed so a perfect record never predicts 100%', () => {
+  const model = CC.fit(at(80, Array(20).fill('WIN')));
+  const p = CC.predict(model, 80);
+  assert.ok(p < 1 && p > 0.9, `got ${p}`);
+});
+
+test('isotonic pools adjacent violators into Laplace-smoothed steps joined linearly', () => {
+  const signals = [
+    ...at(50, Array(5).fill('LOSS')),
+    ...at(60, Array(5).fill('WIN')),
+    ...at(70, Array(5).fill('LOSS')), // Violates the 60% step - pooled with it
+    ...at(80, Array(5).fill('WIN'))
+  ];
+  const model = CC.fit(signals, { method: 'isotonic' });
+
+  assert.equal(model.points.length, 3);
+  const [low, middle, high] = model.points;
+  assert.deepEqual({ x: low.x, n: low.n }, { x: 0.5, n: 5 });
+  assert.ok(Math.abs(middle.x - 0.65) < 1e-12);
+  assert.equal(middle.n, 10);
+  assert.equal(low.p, 1 / 7);
+  assert.equal(middle.p, 0.5);
+  assert.equal(high.p, 6 / 7);
+
+  assert.equal(CC.predict(model, 40), 1 / 7); // Flat beyond the first / last step
+  assert.equal(CC.predict(model, 95), 6 / 7);
+  assert.ok(Math.abs(CC.predict(model, 57.5) - (1 / 7 + 0.5) / 2) < 1e-12);
+});
+
+test('reliability bins compare observed win rate with the calibrated probability', () => {
+  const signals = [...at(62, ['WIN', 'LOSS', 'WIN', 'WIN']), ...at(85, ['LOSS', 'WIN']), ...at(100, ['WIN'])];
+  const uncalibrated = CC.reliability(null, signals);
+
+  assert.deepEqual(uncalibrated.map(b => [b.from, b.to, b.n]), [[60, 70, 4], [80, 90, 2], [90, 100, 1]]);
+  assert.equal(uncalibrated[0].observed, 0.75);
+  assert.equal(uncalibrated[0].calibrated, 0.62); // Raw confidence without a model
+
+  const model = CC.fit(ledger(60));
+  const calibrated = CC.reliability(model, signals);
+  assert.equal(calibrated[1].calibrated, CC.predict(model, 85));
+});
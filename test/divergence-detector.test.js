@@ -0,0 +1,138 @@
+/**
+ * Pocket Scout v5.0 WIN - Divergence Detector fixture tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Browser modules attach to window - point it at the Node global and load them in manifest order
+global.window = globalThis;
+['technical-indicators.js', 'streaming-indicators.js', 'divergence-detector.js']
+  .forEach(file => require(`../${file}`));
+const DD = window.DivergenceDetector;
+
+const BASE = 1.2;
+const FIRST = 10;  // Index of the older swing
+const SECOND = 20; // Index of the newer swing
+
+/**
+ * Candles with two V-shaped swings on one side (lows dip / highs spike) at FIRST and SECOND,
+ * the other side flat so it holds no swings. length - 1 - SECOND is the age of the newer swing.
+ */
+function swingCandles(side, first, second, length = SECOND + 3) {
+  const extremes = { [FIRST]: first, [SECOND]: second };
+  const step = side === 'LOW' ? -0.1 : 0.1;
+  const path = Array.from({ length }, (_, i) => {
+    if (i in extremes) return extremes[i];
+    if (i - 1 in extremes || i + 1 in extremes) return BASE + step;
+    return BASE;
+  });
+  return path.map((value, i) => ({
+    t: 1700000000000 + i * 60000,
+    o: BASE,
+    c: BASE,
+    h: side === 'HIGH' ? value : BASE + 0.5,
+    l: side === 'LOW' ? value : BASE - 0.5
+  }));
+}
+
+// Oscillator readings at the two swings (50 elsewhere) - oscillators left out stay null
+function stubIndicators(length, readings) {
+  const series = (values) => Array.from({ length }, (_, i) =>
+    (values ? (i === FIRST ? values[0] : i === SECOND ? values[1] : 50) : null));
+  return {
+    series: (name) => {
+      if (name === 'rsi') return series(readings.rsi);
+      if (name === 'macd') return { histogram: series(readings.macd) };
+      return series(readings.ao);
+    }
+  };
+}
+
+function detect(side, prices, readings, length) {
+  const candles = swingCandles(side, prices[0], prices[1], length);
+  return DD.detect(candles, { indicators: stubIndicators(candles.length, readings) });
+}
+
+test('findSwings confirms swing points only with SWING_RIGHT candles after them', () => {
+  const highs = [1, 2, 3, 5, 3, 2, 1, 4];
+  const lows = highs.map(h => h - 0.5);
+  assert.deepEqual(DD.findSwings(highs, lows), { highs: [3], lows: [] });
+  assert.deepEqual(DD.findSwings(highs.slice(0, 5), lows.slice(0, 5)), { highs: [], lows: [] });
+
+  // A flat double top yields its later point
+  assert.deepEqual(DD.findSwings([1, 2, 3, 5, 5, 3, 2], [0, 0, 0, 0, 0, 0, 0]).highs, [4]);
+});
+
+test('regular bullish: lower low in price, higher low in the oscillator', () => {
+  const [divergence] = detect('LOW', [1.0, 0.9], { rsi: [20, 30] });
+  assert.equal(divergence.oscillator, 'rsi');
+  assert.equal(divergence.type, 'REGULAR');
+  assert.equal(divergence.direction, 'BULLISH');
+  assert.equal(divergence.action, 'BUY');
+  assert.equal(divergence.age, 2);
+  assert.deepEqual(divergence.from, { index: FIRST, price: 1.0, value: 20 });
+  assert.deepEqual(divergence.to, { index: SECOND, price: 0.9, value: 30 });
+  assert.ok(divergence.strength > 0 && divergence.strength <= 1);
+});
+
+test('hidden bullish: higher low in price, lower low in the oscillator', () => {
+  const [divergence] = detect('LOW', [0.9, 1.0], { rsi: [30, 20] });
+  assert.equal(divergence.type, 'HIDDEN');
+  assert.equal(divergence.direction, 'BULLISH');
+  assert.equal(divergence.action, 'BUY');
+});
+
+test('regular bearish: higher high in price, lower high in the oscillator', () => {
+  const [divergence] = detect('HIGH', [1.4, 1.5], { macd: [80, 70] });
+  assert.equal(divergence.oscillator, 'macd');
+  assert.equal(divergence.type, 'REGULAR');
+  assert.equal(divergence.direction, 'BEARISH');
+  assert.equal(divergence.action, 'SELL');
+});
+
+test('hidden bearish: lower high in price, higher high in the oscillator', () => {
+  const [divergence] = detect('HIGH', [1.5, 1.4], { ao: [70, 80] });
+  assert.equal(divergence.oscillator, 'ao');
+  assert.equal(divergence.type, 'HIDDEN');
+  assert.equal(divergence.direction, 'BEARISH');
+});
+
+test('no divergence when the oscillator confirms price or the swing is too old', () => {
+  assert.deepEqual(detect('LOW', [1.0, 0.9], { rsi: [30, 20] }), []); // Both lower - confirmation
+  assert.deepEqual(detect('HIGH', [1.4, 1.5], { rsi: [70, 80] }), []); // Both higher
+  assert.deepEqual(detect('LOW', [1.0, 0.9], { rsi: [20, 30] }, SECOND + 1 + DD.MAX_AGE + 1), []); // Stale
+  assert.deepEqual(detect('LOW', [1.0, 0.9], {}), []); // Oscillators still warming up
+  assert.equal(DD.analyze(swingCandles('LOW', 1.0, 0.9), { indicators: stubIndicators(SECOND + 3, {}) }), null);
+});
+
+test('analyze adds up agreeing oscillators and cancels opposing ones', () => {
+  const candles = swingCandles('LOW', 1.0, 0.9);
+  const single = DD.analyze(candles, { indicators: stubIndicators(candles.length, { rsi: [20, 30] }) });
+  const agreeing = DD.analyze(candles, { indicators: stubIndicators(candles.length, { rsi: [20, 30], ao: [20, 30] }) });
+
+  assert.equal(single.action, 'BUY');
+  assert.deepEqual(single.reasons, ['Regular bullish RSI divergence']);
+  assert.equal(agreeing.divergences.length, 2);
+  assert.ok(agreeing.strength > single.strength);
+});
+
+test('only the recent window is searched - older history does not change the verdict', () => {
+  const candles = swingCandles('LOW', 1.0, 0.9);
+  const readings = { rsi: [20, 30] };
+  const padding = Array.from({ length: 200 }, (_, i) => ({ t: 1690000000000 + i * 60000, o: 2, h: 3, l: 0.1, c: 2 }));
+  const padded = [...padding, ...candles];
+  const indicators = {
+    series: (name) => {
+      const recent = stubIndicators(candles.length, readings).series(name);
+      const pad = Array(padding.length).fill(null);
+      return Array.isArray(recent) ? [...pad, ...recent] : { histogram: [...pad, ...recent.histogram] };
+    }
+  };
+
+  const [divergence] = DD.detect(padded, { indicators });
+  assert.equal(divergence.type, 'REGULAR');
+  assert.equal(divergence.from.index, padding.length + FIRST); // Indexes the full candle array
+  assert.equal(divergence.to.index, padding.length + SECOND);
+});
@@ -0,0 +1,88 @@
+/**
+ * Pocket Scout v5.0 WIN - DQN Network backpropagation tests (finite-difference gradient check)
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Browser modules attach to window - point it at the Node global and load them in manifest order
+global.window = globalThis;
+['random-source.js', 'dqn-network.js'].forEach(file => require(`../${file}`));
+const { DQNNetwork, RandomSource } = window;
+
+const EPSILON = 1e-6;
+
+function createNetwork(seed = 42) {
+  return new DQNNetwork.DQNAgent(RandomSource.create(seed)).onlineNetwork;
+}
+
+function randomState(rng) {
+  return Array.from({ length: DQNNetwork.CONFIG.STATE_DIM }, () => rng.next() * 2 - 1);
+}
+
+// Squared error against fixed targets on every output - dLoss/dOutput = output - target
+function loss(network, state, targets) {
+  return network.forward(state).output.reduce((sum, q, j) => sum + 0.5 * (q - targets[j]) ** 2, 0);
+}
+
+// Central difference of the loss w.r.t. one parameter, restoring it afterwards
+function numericGradient(network, key, i, j, state, targets) {
+  const params = network[key];
+  const get = () => (j === null ? params[i] : params[i][j]);
+  const set = value => { if (j === null) params[i] = value; else params[i][j] = value; };
+  const original = get();
+  set(original + EPSILON);
+  const plus = loss(network, state, targets);
+  set(original - EPSILON);
+  const minus = loss(network, state, targets);
+  set(original);
+  return (plus - minus) / (2 * EPSILON);
+}
+
+test('accumulateGradients matches finite differences in every layer', () => {
+  const rng = RandomSource.create(7);
+  const network = createNetwork();
+  const targets = Array.from({ length: network.outputDim }, () => rng.next() * 2 - 1);
+  const grads = network.createGradients();
+  const states = [randomState(rng), randomState(rng)];
+
+  // Two samples - gradients accumulate across a batch
+  states.forEach(state => {
+    const cache = network.forward(state);
+    network.accumulateGradients(grads, cache, cache.output.map((q, j) => q - targets[j]));
+  });
+  const batchNumeric = (key, i, j) => states.reduce((sum, state) => sum + numericGradient(network, key, i, j, state, targets), 0);
+
+  let checked = 0;
+  ['W1', 'W2', 'W3', 'b1', 'b2', 'b3'].forEach(key => {
+    const isMatrix = Array.isArray(network[key][0]);
+    for (let n = 0; n < 12; n++) {
+      const i = rng.int(network[key].length);
+      const j = isMatrix ? rng.int(network[key][0].length) : null;
+      const analytic = isMatrix ? grads[key][i][j] : grads[key][i];
+      const numeric = batchNumeric(key, i, j);
+      const scale = Math.max(1, Math.abs(analytic), Math.abs(numeric));
+      assert.ok(Math.abs(analytic - numeric) / scale < 1e-6, `${key}[${i}]${j === null ? '' : `[${j}]`}: ${analytic} vs ${numeric}`);
+      if (analytic !== 0) checked++;
+    }
+  });
+  assert.ok(checked > 36, `only ${checked} non-zero gradients checked`); // Not just dead ReLUs
+});
+
+test('train steps down the gradient of the taken action only', () => {
+  const rng = RandomSource.create(3);
+  const agent = new DQNNetwork.DQNAgent(RandomSource.create(11));
+  const state = randomState(rng);
+  state[1] = 0.5; // Volatility factor 1
+  const action = 2;
+  const before = agent.getQValues(state);
+  const experience = { state, action, reward: before[action] + 0.5, nextState: null, done: true };
+
+  const loss = agent.train([experience], 'MSE');
+  const after = agent.getQValues(state);
+
+  assert.ok(Math.abs(loss - 0.125) < 1e-12);
+  assert.ok(after[action] > before[action], 'Q moves towards the target');
+  assert.deepEqual(agent.lastTdErrors.map(e => Math.round(e * 1e9) / 1e9), [0.5]);
+});
@@ -0,0 +1,123 @@
+/**
+ * Pocket Scout v5.0 WIN - Experience Replay sum-tree sampling and serialize / restore tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Browser modules attach to window - point it at the Node global and load them in manifest order
+global.window = globalThis;
+['random-source.js', 'experience-replay.js'].forEach(file => require(`../${file}`));
+const { ExperienceReplay, RandomSource } = window;
+
+// The shared buffer, emptied and on a fixed seed so the sampled batches are reproducible
+function freshBuffer(seed = 1) {
+  const buffer = ExperienceReplay.getInstance();
+  buffer.clear();
+  buffer.rng = RandomSource.create(seed);
+  return buffer;
+}
+
+// Experience i carries its id as reward so samples can be traced back
+function fill(buffer, priorities) {
+  priorities.forEach((priority, i) => buffer.add([i / 10, 0.5], i % 3, i, [0, 0], false, priority));
+}
+
+// Every internal node must hold the sum of its two children
+function assertTreeConsistent(tree) {
+  for (let node = 1; node < tree.capacity; node++) {
+    const sum = tree.nodes[2 * node] + tree.nodes[2 * node + 1];
+    assert.ok(Math.abs(tree.nodes[node] - sum) < 1e-9, `node ${node}: ${tree.nodes[node]} !== ${sum}`);
+  }
+}
+
+// Share of draws per reward over many stratified batches
+function sampleFrequencies(buffer, batches, batchSize) {
+  const counts = {};
+  for (let b = 0; b < batches; b++) {
+    buffer.sample(batchSize).forEach(exp => { counts[exp.reward] = (counts[exp.reward] || 0) + 1; });
+  }
+  const draws = batches * batchSize;
+  return Object.fromEntries(Object.entries(counts).map(([reward, count]) => [reward, count / draws]));
+}
+
+test('sampling frequency follows the priorities', () => {
+  const buffer = freshBuffer();
+  fill(buffer, [1, 2, 3, 4, 0.5, 1.5, 2, 6]);
+  assert.equal(buffer.tree.total(), 20);
+  assertTreeConsistent(buffer.tree);
+
+  const frequencies = sampleFrequencies(buffer, 3000, 8);
+  [1, 2, 3, 4, 0.5, 1.5, 2, 6].forEach((priority, id) => {
+    assert.ok(Math.abs(frequencies[id] - priority / 20) < 0.01, `experience ${id}: ${frequencies[id]} vs ${priority / 20}`);
+  });
+});
+
+test('importance weights are normalized and favour rarely sampled experiences', () => {
+  const buffer = freshBuffer();
+  fill(buffer, Array.from({ length: 32 }, (_, i) => (i % 2 ? 8 : 1)));
+  const batch = buffer.sample(32);
+  const priorities = batch.map(exp => buffer.tree.get(exp.index));
+  const lowest = Math.min(...priorities);
+
+  assert.ok(priorities.includes(1) && priorities.includes(8));
+  // The batch's least likely experience weighs 1, the rest (lowest / priority) ^ beta - beta starts at 0.4
+  batch.forEach((exp, i) => {
+    const expected = Math.pow(lowest / priorities[i], 0.4);
+    assert.ok(Math.abs(exp.weight - expected) < 1e-12, `weight ${exp.weight} for priority ${priorities[i]}`);
+  });
+  assert.deepEqual(buffer.sample(33), []); // Fewer experiences than the batch
+});
+
+test('updatePriorities re-weights the tree from TD errors', () => {
+  const buffer = freshBuffer();
+  fill(buffer, [1, 1, 1, 1]);
+  buffer.updatePriorities([0, 2, 3], [0, -3, NaN]);
+
+  assert.ok(Math.abs(buffer.tree.get(0) - Math.pow(0.01, 0.6)) < 1e-12); // The tree stores the delta-updated sum
+  assert.ok(Math.abs(buffer.tree.get(2) - Math.pow(3.01, 0.6)) < 1e-12);
+  assert.equal(buffer.tree.get(3), 1); // Non-finite errors leave the priority alone
+  assert.equal(buffer.maxPriority, Math.pow(3.01, 0.6));
+  assertTreeConsistent(buffer.tree);
+});
+
+test('the tree survives a serialize / restore round trip, also after the ring buffer wrapped', () => {
+  const buffer = freshBuffer();
+  const priorities = Array.from({ length: ExperienceReplay.BUFFER_SIZE + 150 }, (_, i) => 0.5 + (i % 7));
+  fill(buffer, priorities);
+  buffer.sample(32);
+  const snapshot = JSON.parse(JSON.stringify(buffer.serialize())); // As chrome.storage would hand it back
+  const total = buffer.tree.total();
+
+  assert.equal(snapshot.experiences.length, ExperienceReplay.BUFFER_SIZE);
+  assert.equal(snapshot.experiences[0].reward, 150); // Oldest surviving experience first
+
+  const restored = freshBuffer();
+  assert.equal(restored.restore(snapshot), ExperienceReplay.BUFFER_SIZE);
+  assert.ok(Math.abs(restored.tree.total() - total) < 1e-6);
+  assertTreeConsistent(restored.tree);
+  assert.equal(restored.sampleSteps, 1);
+  assert.deepEqual(restored.serialize(), snapshot);
+
+  // The newest experiences only, priorities kept, and sampling still follows them
+  const newest = restored.serialize(4);
+  assert.deepEqual(newest.experiences.map(exp => [exp.reward, exp.priority]),
+    priorities.slice(-4).map((priority, i) => [priorities.length - 4 + i, priority]));
+  const small = freshBuffer();
+  small.restore(newest);
+  const frequencies = sampleFrequencies(small, 2000, 4);
+  const smallTotal = priorities.slice(-4).reduce((sum, p) => sum + p, 0);
+  newest.experiences.forEach(exp => {
+    assert.ok(Math.abs(frequencies[exp.reward] - exp.priority / smallTotal) < 0.015);
+  });
+});
+
+test('restore rejects other versions and filters experiences that no longer fit', () => {
+  const buffer = freshBuffer();
+  fill(buffer, [1, 2, 3]);
+  const snapshot = buffer.serialize();
+
+  assert.equal(freshBuffer().restore({ ...snapshot, version: 99 }), 0);
+  assert.equal(freshBuffer().restore(snapshot, exp => exp.action !== 1), 2);
+});
@@ -0,0 +1,110 @@
+/**
+ * Pocket Scout v5.0 WIN - Indicator Groups crossover / slope signal tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Browser modules attach to window - point it at the Node global and load them in manifest order
+global.window = globalThis;
+['technical-indicators.js', 'streaming-indicators.js', 'indicator-groups.js']
+  .forEach(file => require(`../${file}`));
+
+function group(id) {
+  return window.IndicatorGroups.getAllGroups().find(g => g.id === id);
+}
+
+/**
+ * analyze() data over a stub indicator cache: values maps 'name:params' to a scalar,
+ * series maps it to an aligned array. No ATR keeps the volatility filter neutral.
+ */
+function stubData(price, values, series) {
+  const key = (name, params) => [name, ...params].join(':');
+  return {
+    closes: [price],
+    indicators: {
+      atr: () => null,
+      ema: (...params) => values[key('ema', params)],
+      macd: (...params) => values[key('macd', params)],
+      series: (name, ...params) => series[key(name, params)]
+    }
+  };
+}
+
+// MACD crosses above its signal line `age` bars before the last one
+function macdCross(age, direction = 1) {
+  const before = Array(5).fill(-direction);
+  const after = Array(age + 1).fill(direction);
+  const macd = [...before, ...after];
+  return stubData(direction > 0 ? 1.2 : 1.0, {
+    'ema:21': 1.1,
+    'macd:12:26:9': { macd: direction, signal: 0, histogram: direction * 0.0002 }
+  }, {
+    'macd:12:26:9': { macd, signal: macd.map(() => 0) }
+  });
+}
+
+test('MACD_CROSS trades a cross only within the 3-candle lookback', () => {
+  const macdGroup = group('MACD_CROSS');
+
+  [0, 1, 2].forEach(age => {
+    const buy = macdGroup.analyze(macdCross(age));
+    assert.equal(buy && buy.action, 'BUY', `bullish cross ${age} bars ago`);
+    const sell = macdGroup.analyze(macdCross(age, -1));
+    assert.equal(sell && sell.action, 'SELL', `bearish cross ${age} bars ago`);
+  });
+  assert.equal(macdGroup.analyze(macdCross(3)), null);
+  assert.equal(macdGroup.analyze(macdCross(3, -1)), null);
+});
+
+test('MACD_CROSS needs price on the side of EMA21 the cross points to', () => {
+  const data = macdCross(0);
+  data.closes = [1.05]; // Below EMA21 1.1
+  assert.equal(group('MACD_CROSS').analyze(data), null);
+});
+
+// EMA8 / EMA13 / EMA21 ribbons ending stacked; ema8 decides whether the stack just formed
+function ribbon(ema8, ema13, ema21, price) {
+  const last = series => series[series.length - 1];
+  return stubData(price, {
+    'ema:8': last(ema8),
+    'ema:13': last(ema13),
+    'ema:21': last(ema21)
+  }, {
+    'ema:8': ema8,
+    'ema:13': ema13,
+    'ema:21': ema21
+  });
+}
+
+test('TRIPLE_EMA trades a stacked ribbon whose EMAs all slope the same way', () => {
+  const tripleEma = group('TRIPLE_EMA');
+  const ema13 = [1.20, 1.25, 1.30, 1.35];
+  const ema21 = [1.00, 1.05, 1.10, 1.15];
+
+  const settled = tripleEma.analyze(ribbon([1.30, 1.40, 1.45, 1.50], ema13, ema21, 1.6));
+  assert.equal(settled.action, 'BUY');
+  assert.equal(settled.reasons.includes('Fresh EMA8/EMA13 cross'), false);
+
+  // EMA8 crossed above EMA13 two bars ago - the fresher stack scores higher
+  const fresh = tripleEma.analyze(ribbon([1.10, 1.20, 1.40, 1.50], ema13, ema21, 1.6));
+  assert.equal(fresh.action, 'BUY');
+  assert.ok(fresh.reasons.includes('Fresh EMA8/EMA13 cross'));
+  assert.ok(fresh.confidence > settled.confidence);
+
+  const falling = tripleEma.analyze(ribbon([1.0, 0.9, 0.8], [1.1, 1.0, 0.9], [1.2, 1.1, 1.0], 0.7));
+  assert.equal(falling.action, 'SELL');
+});
+
+test('TRIPLE_EMA skips a stack whose EMAs are flat or sloping against it', () => {
+  const tripleEma = group('TRIPLE_EMA');
+  const flat21 = [1.15, 1.15, 1.15, 1.15];
+  assert.equal(tripleEma.analyze(ribbon([1.30, 1.40, 1.45, 1.50], [1.20, 1.25, 1.30, 1.35], flat21, 1.6)), null);
+
+  const fallingStack = [1.6, 1.55, 1.5];
+  assert.equal(tripleEma.analyze(ribbon(fallingStack, [1.3, 1.32, 1.34], [1.1, 1.12, 1.14], 1.7)), null);
+
+  // Warmup: the slope needs three values
+  assert.equal(tripleEma.analyze(ribbon([1.5], [1.3], [1.1], 1.6)), null);
+});
@@ -0,0 +1,123 @@
+/**
+ * Pocket Scout v5.0 WIN - Learning Store schema migration tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Browser modules attach to window - point it at the Node global and load them in manifest order
+global.window = globalThis;
+global.addEventListener = () => {}; // pagehide flush
+['signal-engine.js', 'learning-store.js'].forEach(file => require(`../${file}`));
+const { LearningStore, SignalEngine } = window;
+
+// chrome.storage behind background.js and the pre-v5 localStorage, both in memory
+function stubStorage(stored = {}, legacy = {}) {
+  const saved = {};
+  global.chrome = {
+    runtime: {
+      sendMessage: async (message) => {
+        if (message.type === 'LOAD_LEARNING') return { data: stored[message.symbol] || null };
+        saved[message.symbol] = message.data;
+        return { success: true };
+      }
+    }
+  };
+  global.localStorage = {
+    getItem: key => (key in legacy ? legacy[key] : null),
+    removeItem: key => delete legacy[key]
+  };
+  return saved;
+}
+
+function pattern(i, overrides = {}) {
+  return { confidence: 60 + (i % 3) * 10, regime: 'RANGING', action: 'BUY', duration: 3, isFallback: false, id: i, ...overrides };
+}
+
+// Unversioned localStorage data: hand-tuned weights and more patterns than the rolling window holds
+function v1Data() {
+  return {
+    indicatorWeights: { rsi: 2.5, macd: 0.1 },
+    successfulPatterns: Array.from({ length: SignalEngine.PATTERN_WINDOW + 50 }, (_, i) => pattern(i)),
+    failedPatterns: Array.from({ length: 10 }, (_, i) => pattern(i, { action: 'SELL', isFallback: true })),
+    bestConfidenceRange: { 90: { wins: 99, losses: 0 } }
+  };
+}
+
+// Migration logs off - async callers get their promise back with the logs restored once it settles
+function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  let result;
+  try {
+    result = fn();
+  } finally {
+    if (!(result instanceof Promise)) console.log = log;
+  }
+  return result instanceof Promise ? result.finally(() => { console.log = log; }) : result;
+}
+
+test('a saved v1 object migrates through v2 to the current schema', () => {
+  const data = quietly(() => LearningStore.migrate(v1Data()));
+  const wins = SignalEngine.PATTERN_WINDOW + 50;
+
+  assert.equal(data.schemaVersion, 3);
+  assert.equal(SignalEngine.LEARNING_SCHEMA_VERSION, 3);
+
+  // v1 → v2: aggregates rebuilt from the full history, then the pattern lists trimmed to the window
+  assert.deepEqual(data.totals, { wins, losses: 10 });
+  assert.equal(data.successfulPatterns.length, SignalEngine.PATTERN_WINDOW);
+  assert.equal(data.successfulPatterns[0].id, 50); // Oldest wins dropped
+  assert.equal(data.failedPatterns.length, 10);
+  assert.deepEqual(data.buckets.action, { BUY: { wins, losses: 0 }, SELL: { wins: 0, losses: 10 } });
+  assert.deepEqual(data.buckets.source, { AI: { wins, losses: 0 }, FALLBACK: { wins: 0, losses: 10 } });
+  assert.deepEqual(data.buckets.regime, { RANGING: { wins, losses: 10 } });
+  assert.equal(data.bestConfidenceRange[90], undefined); // Stale ranges replaced by the rebuilt ones
+  const ranges = Object.values(data.bestConfidenceRange);
+  assert.equal(ranges.reduce((sum, r) => sum + r.wins + r.losses, 0), wins + 10);
+
+  // v2 → v3: weights back to the priors with fresh vote statistics
+  assert.deepEqual(data.indicatorWeights, SignalEngine.DEFAULT_WEIGHTS);
+  assert.deepEqual(data.voteStats, SignalEngine.createVoteStats());
+});
+
+test('a v2 object keeps its aggregates and only resets the weights', () => {
+  const v2 = {
+    ...SignalEngine.createLearningData(),
+    schemaVersion: 2,
+    indicatorWeights: { ...SignalEngine.DEFAULT_WEIGHTS, rsi: 2.5 },
+    totals: { wins: 7, losses: 3 }
+  };
+  delete v2.voteStats;
+  const data = quietly(() => LearningStore.migrate(v2));
+
+  assert.equal(data.schemaVersion, 3);
+  assert.deepEqual(data.totals, { wins: 7, losses: 3 });
+  assert.equal(data.indicatorWeights.rsi, SignalEngine.DEFAULT_WEIGHTS.rsi);
+  assert.deepEqual(data.voteStats, SignalEngine.createVoteStats());
+});
+
+test('current data passes through and newer schemas are refused', () => {
+  const current = SignalEngine.createLearningData();
+  current.totals.wins = 4;
+  assert.deepEqual(LearningStore.migrate(current), current);
+  assert.throws(() => LearningStore.migrate({ schemaVersion: 4 }), /newer than supported/);
+});
+
+test('load migrates pre-v5 localStorage data into chrome.storage once', async () => {
+  const legacy = { PS_LEARNING_DATA: JSON.stringify(v1Data()) };
+  const saved = stubStorage({}, legacy);
+
+  // The UNKNOWN placeholder never takes the global key
+  const unknown = await quietly(() => LearningStore.load('UNKNOWN'));
+  assert.deepEqual(unknown.totals, { wins: 0, losses: 0 });
+  assert.ok('PS_LEARNING_DATA' in legacy);
+  assert.deepEqual(saved, {});
+
+  const data = await quietly(() => LearningStore.load('EURUSD'));
+  assert.equal(data.schemaVersion, 3);
+  assert.equal(data.totals.wins, SignalEngine.PATTERN_WINDOW + 50);
+  assert.deepEqual(saved.EURUSD, data);
+  assert.ok(!('PS_LEARNING_DATA' in legacy));
+});
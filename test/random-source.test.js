@@ -0,0 +1,97 @@
+/**
+ * Pocket Scout v5.0 WIN - Random Source seeding / resume tests, also through RL Integration's saved state
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Browser modules attach to window - point it at the Node global and load them in manifest order
+global.window = globalThis;
+['random-source.js', 'experience-replay.js', 'dqn-network.js'].forEach(file => require(`../${file}`));
+const { RandomSource, DQNNetwork } = window;
+
+function draw(rng, n) {
+  return Array.from({ length: n }, () => rng.next());
+}
+
+// A fresh RLIntegration module (it initializes once) on top of a stubbed background.js
+function loadRLIntegration(savedState) {
+  const saved = {};
+  global.chrome = {
+    runtime: {
+      sendMessage: async (message) => {
+        if (message.type === 'LOAD_RL_STATE') return { data: savedState };
+        saved.state = JSON.parse(JSON.stringify(message.data)); // As chrome.storage stores it
+        return { success: true };
+      }
+    }
+  };
+  global.localStorage = { getItem: () => null, setItem: () => {} }; // Bandit weights
+  delete require.cache[require.resolve('../rl-integration.js')];
+  require('../rl-integration.js');
+  return { RL: window.RLIntegration, saved };
+}
+
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+test('two generators with the same seed produce the same sequence', () => {
+  const first = draw(RandomSource.create(2024), 50);
+  assert.deepEqual(draw(RandomSource.create(2024), 50), first);
+  assert.notDeepEqual(draw(RandomSource.create(2025), 50), first);
+  assert.ok(first.every(value => value >= 0 && value < 1));
+
+  const rng = RandomSource.create(9);
+  const ints = Array.from({ length: 200 }, () => rng.int(6));
+  assert.ok(ints.every(value => Number.isInteger(value) && value >= 0 && value < 6));
+  assert.equal(RandomSource.create(2024.7).getSeed(), 2024); // Seeds are 32-bit unsigned
+});
+
+test('setState resumes the sequence where getState left it', () => {
+  const rng = RandomSource.create(77);
+  draw(rng, 13);
+  const saved = JSON.parse(JSON.stringify(rng.getState()));
+  const continuation = draw(rng, 20);
+
+  const resumed = RandomSource.create(1);
+  resumed.setState(saved);
+  assert.equal(resumed.getSeed(), 77);
+  assert.deepEqual(draw(resumed, 20), continuation);
+
+  // A bare seed restarts the sequence from the beginning
+  resumed.setState({ seed: 77 });
+  assert.deepEqual(draw(resumed, 5), draw(RandomSource.create(77), 5));
+});
+
+test('the shared generator reseeds in place for the modules holding it', () => {
+  const shared = RandomSource.getShared();
+  quietly(() => RandomSource.setSeed(5));
+  assert.equal(RandomSource.getSeed(), 5);
+  assert.deepEqual(draw(shared, 10), draw(RandomSource.create(5), 10));
+});
+
+test('a seeded RL run starts from the same network and a saved run resumes its random sequence', async () => {
+  const { RL, saved } = loadRLIntegration(null);
+  await quietly(() => RL.initialize({ seed: 31 }));
+
+  // Weight init drew from the reseeded shared generator
+  const expected = new DQNNetwork.DQNAgent(RandomSource.create(31)).getWeights();
+  await quietly(() => RL.saveState());
+  assert.deepEqual(saved.state.weights, JSON.parse(JSON.stringify(expected)));
+  assert.equal(saved.state.random.seed, 31);
+  const continuation = draw(RandomSource.getShared(), 20);
+
+  // Next page load: the saved random state wins over a fresh sequence
+  quietly(() => RandomSource.setSeed(999));
+  const reloaded = loadRLIntegration(saved.state);
+  await quietly(() => reloaded.RL.initialize());
+  assert.deepEqual(draw(RandomSource.getShared(), 20), continuation);
+});
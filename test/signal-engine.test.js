@@ -0,0 +1,155 @@
+/**
+ * Pocket Scout v5.0 WIN - Signal Engine outcome pipeline tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SignalEngine = require('../signal-engine.js');
+
+function createState() {
+  return {
+    learningData: SignalEngine.createLearningData(),
+    stats: SignalEngine.createStats(),
+    events: SignalEngine.createEmitter()
+  };
+}
+
+function createSignal(action, entryPrice = 1.1) {
+  return {
+    id: `TEST-${action}`,
+    action,
+    confidence: 72,
+    duration: 3,
+    entryPrice,
+    regime: 'RANGING',
+    isFallback: false,
+    votes: { rsi: { direction: action, strength: 0.5, weight: 4, value: 25 } },
+    result: null
+  };
+}
+
+test('BUY above entry resolves as WIN and is learned from', () => {
+  const state = createState();
+  const signal = createSignal('BUY');
+
+  const outcome = SignalEngine.checkSignalResult(state, signal, 1.1005);
+
+  assert.deepEqual(outcome, { result: 'WIN', isWin: true });
+  assert.equal(signal.result, 'WIN');
+  assert.equal(state.stats.wins, 1);
+  assert.equal(state.stats.losses, 0);
+  assert.equal(state.learningData.successfulPatterns.length, 1);
+  assert.equal(state.learningData.totals.wins, 1);
+  assert.equal(state.learningData.voteStats.rsi.votes, 1);
+});
+
+test('SELL above entry resolves as LOSS', () => {
+  const state = createState();
+  const signal = createSignal('SELL');
+
+  const outcome = SignalEngine.checkSignalResult(state, signal, 1.1005);
+
+  assert.deepEqual(outcome, { result: 'LOSS', isWin: false });
+  assert.equal(state.stats.losses, 1);
+  assert.equal(state.learningData.failedPatterns.length, 1);
+  assert.equal(state.learningData.voteStats.rsi.votes, 1);
+});
+
+test('equal exit price is a TIE - counted, not learned from', () => {
+  const state = createState();
+  const signal = createSignal('BUY');
+
+  const outcome = SignalEngine.checkSignalResult(state, signal, 1.1);
+
+  assert.deepEqual(outcome, { result: 'TIE', isWin: false });
+  assert.equal(state.stats.ties, 1);
+  assert.equal(state.stats.wins + state.stats.losses, 0);
+  assert.equal(state.learningData.successfulPatterns.length + state.learningData.failedPatterns.length, 0);
+  assert.equal(state.learningData.voteStats.rsi.votes, 0);
+});
+
+test('exit price, time, source and price change are recorded on the signal', () => {
+  const state = createState();
+  const signal = createSignal('SELL', 1.2);
+
+  SignalEngine.checkSignalResult(state, signal, 1.194, { t: 1700000180000, source: 'TICK' });
+
+  assert.equal(signal.exitPrice, 1.194);
+  assert.equal(signal.exitTime, 1700000180000);
+  assert.equal(signal.exitSource, 'TICK');
+  assert.ok(Math.abs(signal.priceChange - (-0.5)) < 1e-9);
+});
+
+test('a signal resolves and emits exactly once', () => {
+  const state = createState();
+  const signal = createSignal('BUY');
+  const resolved = [];
+  state.events.on('signal:resolved', payload => resolved.push(payload));
+
+  SignalEngine.checkSignalResult(state, signal, 1.1005);
+  const again = SignalEngine.checkSignalResult(state, signal, 1.09);
+
+  assert.equal(again, null);
+  assert.equal(resolved.length, 1);
+  assert.equal(resolved[0].signal, signal);
+  assert.equal(resolved[0].result, 'WIN');
+  assert.equal(state.stats.wins, 1);
+  assert.equal(state.stats.losses, 0);
+});
+
+test('listeners only hear their own state\'s signals', () => {
+  const live = createState();
+  const backtest = { learningData: SignalEngine.createLearningData(), stats: SignalEngine.createStats() };
+  const other = createState();
+  const heard = [];
+  live.events.on('signal:resolved', ({ signal }) => heard.push(signal.id));
+
+  SignalEngine.checkSignalResult(backtest, createSignal('BUY'), 1.2);
+  SignalEngine.checkSignalResult(other, createSignal('SELL'), 1.0);
+  assert.deepEqual(heard, []);
+
+  SignalEngine.checkSignalResult(live, createSignal('BUY'), 1.2);
+  assert.deepEqual(heard, ['TEST-BUY']);
+});
+
+test('off() unsubscribes and a failing listener does not break the pipeline', () => {
+  const state = createState();
+  const calls = [];
+  const handler = () => calls.push('handler');
+  state.events.on('signal:resolved', () => { throw new Error('listener failure'); });
+  state.events.on('signal:resolved', handler);
+  state.events.off('signal:resolved', handler);
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const outcome = SignalEngine.checkSignalResult(state, createSignal('BUY'), 1.2);
+    assert.equal(outcome.result, 'WIN');
+  } finally {
+    console.warn = warn;
+  }
+  assert.deepEqual(calls, []);
+});
+
+test('missing prices leave the signal pending', () => {
+  const state = createState();
+  const signal = createSignal('BUY');
+
+  assert.equal(SignalEngine.checkSignalResult(state, signal, null), null);
+  assert.equal(signal.result, null);
+  assert.equal(state.stats.wins + state.stats.losses + (state.stats.ties || 0), 0);
+});
+
+test('findPriceAt prefers the tick in effect at expiry and falls back to the closed candle', () => {
+  const expiry = 1700000180000;
+  const ticks = [{ t: expiry - 2000, price: 1.101 }, { t: expiry + 1000, price: 1.102 }];
+  assert.deepEqual(SignalEngine.findPriceAt(expiry, ticks, []), { price: 1.101, t: expiry - 2000, source: 'TICK' });
+
+  const minute = Math.floor(expiry / 60000) * 60000;
+  const candles = [{ t: minute, c: 1.103 }, { t: minute + 60000, c: 1.104 }];
+  assert.deepEqual(SignalEngine.findPriceAt(expiry, [], candles), { price: 1.103, t: minute + 60000, source: 'CANDLE' });
+
+  // The candle holding expiry is still forming - no price yet
+  assert.equal(SignalEngine.findPriceAt(expiry, [], candles.slice(0, 1)), null);
+});
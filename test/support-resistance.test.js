@@ -0,0 +1,114 @@
+/**
+ * Pocket Scout v5.0 WIN - Support / Resistance level tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Browser modules attach to window - point it at the Node global and load them in manifest order
+global.window = globalThis;
+['technical-indicators.js', 'streaming-indicators.js', 'divergence-detector.js', 'support-resistance.js']
+  .forEach(file => require(`../${file}`));
+const SR = window.SupportResistance;
+
+const DAY_START = Date.UTC(2026, 0, 5);
+
+function candle(t, h, l, c) {
+  return { t, o: c, h, l, c };
+}
+
+// Flat candles around price - no swings, only pivots / round numbers can make levels
+function flatCandles(price, count = 15, start = DAY_START) {
+  return Array.from({ length: count }, (_, i) => candle(start + i * 60000, price, price, price));
+}
+
+// ATR is stubbed so the clustering tolerance (0.3 ATR) is known
+function levels(candles, symbol, atr) {
+  return SR.getLevels(candles, { symbol, indicators: { atr: () => atr } });
+}
+
+function assertNear(actual, expected, label) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${label}: ${actual} !== ${expected}`);
+}
+
+test('pip size comes from the quote currency of a currency pair', () => {
+  assert.equal(SR.pipSize('EURUSD'), 0.0001);
+  assert.equal(SR.pipSize('EUR/USD OTC'), 0.0001);
+  assert.equal(SR.pipSize('USDJPY'), 0.01);
+  assert.equal(SR.pipSize('USD/JPY'), 0.01);
+  assert.equal(SR.pipSize('GBPJPY_otc'), 0.01);
+  assert.equal(SR.pipSize('JPYUSD'), 0.0001); // JPY as the base currency doesn't matter
+  assert.equal(SR.pipSize('BTCUSD'), null);
+  assert.equal(SR.pipSize('#AAPL_otc'), null);
+  assert.equal(SR.pipSize('EURUSDT'), null);
+  assert.equal(SR.pipSize(undefined), null);
+});
+
+test('round numbers every 50 pips around price - 00 majors and 50 halves', () => {
+  const eurusd = levels(flatCandles(1.10234), 'EURUSD', 0.001);
+  assert.deepEqual(eurusd.levels.map(l => l.labels), [['Round 00'], ['Round 50']]);
+  assertNear(eurusd.support.price, 1.100, 'EURUSD support');
+  assertNear(eurusd.resistance.price, 1.105, 'EURUSD resistance');
+  assertNear(eurusd.support.distanceATR, 2.34, 'EURUSD distance');
+  assert.equal(eurusd.support.strength, 1);
+  assert.equal(eurusd.resistance.strength, 0.6);
+
+  const usdjpy = levels(flatCandles(150.37), 'USDJPY', 0.1);
+  assertNear(usdjpy.support.price, 150.0, 'USDJPY support');
+  assertNear(usdjpy.resistance.price, 150.5, 'USDJPY resistance');
+  assert.deepEqual(usdjpy.resistance.labels, ['Round 50']);
+});
+
+test('non-FX assets get no round-number levels', () => {
+  assert.deepEqual(levels(flatCandles(64250), 'BTCUSD', 50).levels, []);
+  assert.deepEqual(levels(flatCandles(1.10234), undefined, 0.001).levels, []);
+});
+
+test('swing highs at the same price cluster into one level', () => {
+  const candles = Array.from({ length: 30 }, (_, i) => candle(DAY_START + i * 60000, 1.2, 1.1, 1.15));
+  candles[8].h = 1.3;
+  candles[20].h = 1.3005;
+  candles[25].h = 1.25; // A single swing is not a level
+
+  const result = levels(candles, 'BTCUSD', 0.01);
+  assert.equal(result.levels.length, 1);
+  const level = result.resistance;
+  assert.equal(level.type, 'RESISTANCE');
+  assert.deepEqual(level.sources, ['SWING']);
+  assert.deepEqual(level.labels, ['Swing ×2']);
+  assert.equal(level.touches, 2);
+  assertNear(level.price, 1.30025, 'cluster price');
+  assert.equal(result.support, null);
+});
+
+test('floor pivots of the previous day and session merge where they coincide', () => {
+  // Previous UTC day: H 1.2, L 1.0, last close 1.1 → P 1.1, R1 1.2, S1 1.0, R2 1.3, S2 0.9
+  const previousDay = Array.from({ length: 1440 }, (_, i) =>
+    candle(DAY_START - 86400000 + i * 60000, 1.2, 1.0, 1.1));
+  const result = levels([...previousDay, ...flatCandles(1.12)], 'BTCUSD', 0.01);
+
+  // The 16-24 UTC session spans the same range, so each session pivot lands on its daily one
+  assert.deepEqual(result.levels.map(l => Number(l.price.toFixed(4))), [1.1, 1.2, 1.0, 1.3, 0.9]);
+  result.levels.forEach(level => assert.deepEqual(level.sources, ['DAILY_PIVOT', 'SESSION_PIVOT']));
+  assert.deepEqual(result.support.labels, ['D-P', 'S-P']);
+  assert.equal(result.support.strength, 2.5);
+  assert.deepEqual(result.resistance.labels, ['D-R1', 'S-R1']);
+  assert.deepEqual(result.levels[4].labels, ['D-S2', 'S-S2']);
+});
+
+test('pivots need the previous period to be mostly covered by history', () => {
+  const partialDay = Array.from({ length: 600 }, (_, i) =>
+    candle(DAY_START - 600 * 60000 + i * 60000, 1.2, 1.0, 1.1));
+  const result = levels([...partialDay, ...flatCandles(1.12)], 'BTCUSD', 0.01);
+  assert.ok(result.levels.every(l => !l.sources.includes('DAILY_PIVOT')));
+});
+
+test('proximity fades to zero at NEAR_ATR and scales with strength', () => {
+  assert.equal(SR.proximity({ distanceATR: 0, strength: 3 }), 1);
+  assert.equal(SR.proximity({ distanceATR: SR.NEAR_ATR / 2, strength: 3 }), 0.5);
+  assert.equal(SR.proximity({ distanceATR: 0, strength: 1.5 }), 0.5);
+  assert.equal(SR.proximity({ distanceATR: SR.NEAR_ATR, strength: 10 }), 0);
+  assert.equal(SR.proximity(null), 0);
+  assert.equal(SR.getLevels(flatCandles(1.1, 5), { symbol: 'EURUSD' }), null);
+});
@@ -0,0 +1,133 @@
+/**
+ * Pocket Scout v5.0 WIN - Technical Indicators series and helper tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Browser modules attach to window - point it at the Node global and load them in manifest order
+global.window = globalThis;
+require('../technical-indicators.js');
+const TI = window.TechnicalIndicators;
+
+// Deterministic random walk (Park-Miller) - highs / lows bracket the intrabar path
+function priceData(n = 120, seed = 7) {
+  let s = seed;
+  const rand = () => (s = (s * 16807) % 2147483647) / 2147483647;
+  let price = 1.1;
+  const highs = [];
+  const lows = [];
+  const closes = [];
+  for (let i = 0; i < n; i++) {
+    let high = price;
+    let low = price;
+    for (let k = 0; k < 4; k++) {
+      price += (rand() - 0.5) * 0.001;
+      high = Math.max(high, price);
+      low = Math.min(low, price);
+    }
+    highs.push(high);
+    lows.push(low);
+    closes.push(price);
+  }
+  return { highs, lows, closes };
+}
+
+function assertClose(actual, expected, label) {
+  if (expected === null) {
+    assert.equal(actual, null, label);
+    return;
+  }
+  assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)), `${label}: ${actual} !== ${expected}`);
+}
+
+// series[i] must equal the scalar indicator on the data up to i - fields picks object results apart
+function assertSeriesMatchesScalar(name, series, scalarAt, length, fields = null) {
+  for (let i = 0; i < length; i++) {
+    const scalar = scalarAt(i + 1);
+    if (!fields) {
+      assertClose(series[i], scalar, `${name}[${i}]`);
+      continue;
+    }
+    fields.forEach(field => assertClose(series[field][i], scalar ? scalar[field] : null, `${name}.${field}[${i}]`));
+  }
+}
+
+test('series outputs match the scalar indicators at every index', () => {
+  const { highs, lows, closes } = priceData();
+  const n = closes.length;
+  const upTo = (data, end) => data.slice(0, end);
+  const hlc = end => [upTo(highs, end), upTo(lows, end), upTo(closes, end)];
+
+  assertSeriesMatchesScalar('sma', TI.calculateSMASeries(closes, 20), end => TI.calculateSMA(upTo(closes, end), 20), n);
+  assertSeriesMatchesScalar('ema', TI.calculateEMASeries(closes, 21), end => TI.calculateEMA(upTo(closes, end), 21), n);
+  assertSeriesMatchesScalar('rsi', TI.calculateRSISeries(closes, 14), end => TI.calculateRSI(upTo(closes, end), 14), n);
+  assertSeriesMatchesScalar('macd', TI.calculateMACDSeries(closes, 12, 26, 9),
+    end => TI.calculateMACD(upTo(closes, end), 12, 26, 9), n, ['macd', 'signal', 'histogram']);
+  assertSeriesMatchesScalar('bb', TI.calculateBollingerBandsSeries(closes, 20, 2),
+    end => TI.calculateBollingerBands(upTo(closes, end), 20, 2), n, ['upper', 'middle', 'lower', 'percentB']);
+  assertSeriesMatchesScalar('atr', TI.calculateATRSeries(highs, lows, closes, 14), end => TI.calculateATR(...hlc(end), 14), n);
+  assertSeriesMatchesScalar('stochastic', TI.calculateStochasticSeries(highs, lows, closes, 14, 3),
+    end => TI.calculateStochastic(...hlc(end), 14, 3), n, ['k', 'd']);
+  assertSeriesMatchesScalar('adx', TI.calculateADXSeries(highs, lows, closes, 14),
+    end => TI.calculateADX(...hlc(end), 14), n, ['adx', 'plusDI', 'minusDI']);
+  assertSeriesMatchesScalar('cci', TI.calculateCCISeries(highs, lows, closes, 20), end => TI.calculateCCI(...hlc(end), 20), n);
+  assertSeriesMatchesScalar('williamsR', TI.calculateWilliamsRSeries(highs, lows, closes, 14),
+    end => TI.calculateWilliamsR(...hlc(end), 14), n);
+  assertSeriesMatchesScalar('ao', TI.calculateAwesomeOscillatorSeries(highs, lows),
+    end => TI.calculateAwesomeOscillator(upTo(highs, end), upTo(lows, end)), n);
+});
+
+test('series stay null while warming up and keep the input length', () => {
+  const { closes } = priceData(30);
+  const rsi = TI.calculateRSISeries(closes, 14);
+  assert.equal(rsi.length, closes.length);
+  assert.ok(rsi.slice(0, 14).every(v => v === null));
+  assert.notEqual(rsi[14], null);
+
+  const macd = TI.calculateMACDSeries(closes, 12, 26, 9); // Needs 26 + 9 closes
+  assert.ok(macd.histogram.every(v => v === null));
+});
+
+test('crossover fires only while the cross is within the lookback', () => {
+  // a crosses above b between index 3 and 4
+  const a = [1, 1, 1, 1, 3, 3, 3, 3];
+  const b = [2, 2, 2, 2, 2, 2, 2, 2];
+
+  assert.equal(TI.crossover(a.slice(0, 5), b.slice(0, 5)), true); // On the last bar
+  assert.equal(TI.crossover(a.slice(0, 6), b.slice(0, 6)), false); // Default lookback is one bar
+  assert.equal(TI.crossover(a.slice(0, 6), b.slice(0, 6), 3), true); // One bar ago
+  assert.equal(TI.crossover(a.slice(0, 7), b.slice(0, 7), 3), true); // Two bars ago - the oldest bar in the lookback
+  assert.equal(TI.crossover(a, b, 3), false); // Three bars ago
+  assert.equal(TI.crossover(a, b, 4), true);
+  assert.equal(TI.crossunder(a, b, 8), false);
+});
+
+test('crossunder mirrors crossover, against a series or a constant level', () => {
+  const falling = [60, 55, 45, 40];
+  assert.equal(TI.crossunder(falling, 50, 3), true);
+  assert.equal(TI.crossover(falling, 50, 3), false);
+  assert.equal(TI.crossunder(falling, [50, 50, 50, 50], 2), true);
+  assert.equal(TI.crossunder(falling, 50, 1), false);
+
+  // Leaving the level upwards counts as a cross (the previous bar may sit on it), staying on it doesn't
+  assert.equal(TI.crossover([49, 50, 51], 50), true);
+  assert.equal(TI.crossover([50, 50], 50), false);
+});
+
+test('crossovers ignore bars where either series is still warming up', () => {
+  assert.equal(TI.crossover([null, 3], [2, 2]), false);
+  assert.equal(TI.crossover([1, 3], [null, 2]), false);
+  assert.equal(TI.crossover([3], [2], 3), false);
+});
+
+test('slope is the least-squares slope per bar over the last values', () => {
+  assert.equal(TI.slope([5, 1, 2, 3]), 1);
+  assert.equal(TI.slope([3, 2, 1]), -1);
+  assert.equal(TI.slope([1, 3, 2, 4], 4), 0.8);
+  assert.equal(TI.slope([2, 2, 2]), 0);
+  assert.equal(TI.slope([1, null, 3]), null);
+  assert.equal(TI.slope([1, 2]), null);
+  assert.equal(TI.slope([1, 2], 1), null);
+});
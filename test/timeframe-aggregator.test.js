@@ -0,0 +1,122 @@
+/**
+ * Pocket Scout v5.0 WIN - Timeframe Aggregator incremental update tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Browser modules attach to window - point it at the Node global and load them in manifest order
+global.window = globalThis;
+['circular-buffer.js', 'technical-indicators.js', 'timeframe-aggregator.js'].forEach(file => require(`../${file}`));
+const { TimeframeAggregator: TA, CircularBuffer } = window;
+
+const START = Date.UTC(2026, 0, 5, 9, 7); // Not on an M15 boundary
+
+/**
+ * Feed ticks into a buffer the way content.js does: a new minute adds a candle, a tick inside the
+ * minute updates the last one, and update() runs after every tick. check(tickIndex) runs after each.
+ */
+function replayTicks(buffer, aggregator, ticks, check) {
+  ticks.forEach(({ t, price }, i) => {
+    const candleTime = Math.floor(t / 60000) * 60000;
+    const last = buffer.getLatest();
+    if (!last || last.t !== candleTime) {
+      buffer.add({ t: candleTime, o: price, h: price, l: price, c: price });
+    } else {
+      buffer.updateLast({ h: Math.max(last.h, price), l: Math.min(last.l, price), c: price });
+    }
+    aggregator.update();
+    check(i);
+  });
+}
+
+// Deterministic random walk (Park-Miller), three ticks a minute with a few missing minutes
+function tickStream(minutes, seed = 11) {
+  let s = seed;
+  const rand = () => (s = (s * 16807) % 2147483647) / 2147483647;
+  let price = 1.1;
+  const ticks = [];
+  for (let m = 0; m < minutes; m++) {
+    if (m % 97 === 50) continue; // Feed gap
+    [5, 25, 50].forEach(second => {
+      price += (rand() - 0.5) * 0.0004;
+      ticks.push({ t: START + m * 60000 + second * 1000, price });
+    });
+  }
+  return ticks;
+}
+
+function assertMatchesAggregate(aggregator, buffer, label) {
+  const m1 = buffer.getAll();
+  TA.HIGHER_TIMEFRAMES.forEach(tf => {
+    assert.deepEqual(aggregator.get(tf), TA.aggregate(m1, tf), `${tf} ${label}`);
+    assert.deepEqual(aggregator.get(tf, { closedOnly: true }), TA.aggregate(m1, tf, { closedOnly: true }), `${tf} closed ${label}`);
+  });
+}
+
+test('update() tick by tick matches aggregate() over the buffer, forming candle included', () => {
+  const buffer = CircularBuffer.getInstance('TEST-TICKS');
+  const aggregator = TA.getInstance('TEST-TICKS');
+  const ticks = tickStream(120);
+
+  replayTicks(buffer, aggregator, ticks, i => assertMatchesAggregate(aggregator, buffer, `after tick ${i}`));
+
+  const m5 = aggregator.get('M5');
+  assert.equal(m5[0].t, Date.UTC(2026, 0, 5, 9, 5)); // Wall-clock aligned, first bucket partial
+  assert.equal(m5[1].t - m5[0].t, 5 * 60000);
+});
+
+test('candles handed out by get() are copies - the next tick does not change them', () => {
+  const buffer = CircularBuffer.getInstance('TEST-COPIES');
+  const aggregator = TA.getInstance('TEST-COPIES');
+  const ticks = tickStream(3);
+  replayTicks(buffer, aggregator, ticks.slice(0, -1), () => {});
+
+  const before = aggregator.get('M15');
+  const snapshot = JSON.parse(JSON.stringify(before));
+  replayTicks(buffer, aggregator, ticks.slice(-1), () => {});
+  assert.deepEqual(before, snapshot);
+  assert.notDeepEqual(aggregator.get('M15'), snapshot);
+});
+
+test('a long history keeps the newest candles, whole even after the M1 buffer wrapped', () => {
+  const buffer = CircularBuffer.getInstance('TEST-WRAP');
+  const aggregator = TA.getInstance('TEST-WRAP');
+  const ticks = tickStream(CircularBuffer.MAX_CANDLES + 150);
+
+  replayTicks(buffer, aggregator, ticks, i => {
+    if (i % 60 !== 0 && i !== ticks.length - 1) return; // Keep the full comparison affordable
+    const m1 = buffer.getAll();
+    TA.HIGHER_TIMEFRAMES.forEach(tf => {
+      // Each series is capped at the buckets MAX_CANDLES gap-free minutes can span
+      const limit = Math.ceil(CircularBuffer.MAX_CANDLES / TA.TIMEFRAMES[tf]) + 1;
+      const expected = TA.aggregate(m1, tf).slice(-limit);
+      const live = aggregator.get(tf);
+      assert.ok(live.length <= limit);
+      if (m1.length < CircularBuffer.MAX_CANDLES) {
+        assert.deepEqual(live, expected, `${tf} after tick ${i}`);
+        return;
+      }
+      // The buffer's oldest bucket lost its first M1 candles - every later candle must agree
+      assert.deepEqual(live.slice(-(expected.length - 1)), expected.slice(1), `${tf} after tick ${i}`);
+    });
+  });
+  assert.equal(aggregator.get('M2').length, Math.ceil(CircularBuffer.MAX_CANDLES / 2) + 1);
+});
+
+test('a cleared buffer or out-of-order candle triggers a rebuild', () => {
+  const buffer = CircularBuffer.getInstance('TEST-REBUILD');
+  const aggregator = TA.getInstance('TEST-REBUILD');
+  replayTicks(buffer, aggregator, tickStream(40), () => {});
+
+  buffer.load(buffer.getAll().slice(0, 10)); // History restored from an older snapshot
+  aggregator.update();
+  assertMatchesAggregate(aggregator, buffer, 'after reload');
+
+  buffer.clear();
+  aggregator.update();
+  TA.HIGHER_TIMEFRAMES.forEach(tf => assert.deepEqual(aggregator.get(tf), []));
+  replayTicks(buffer, aggregator, tickStream(20, 5), () => {});
+  assertMatchesAggregate(aggregator, buffer, 'after clear');
+});
@@ -0,0 +1,164 @@
+/**
+ * Pocket Scout v5.0 WIN - Timeframe Aggregator
+ * Derives M2/M3/M5/M15 candles from the M1 CircularBuffer, aligned to wall-clock boundaries
+ * (an M5 candle covers :00-:04, :05-:09, ...) and updated incrementally on every tick
+ */
+
+window.TimeframeAggregator = (function() {
+  'use strict';
+
+  const TIMEFRAMES = { M1: 1, M2: 2, M3: 3, M5: 5, M15: 15 };
+  const HIGHER_TIMEFRAMES = ['M2', 'M3', 'M5', 'M15'];
+  const TREND_PERIOD = 20;       // EMA period for higher-timeframe trend filters
+  const TREND_MIN_SLOPE = 0.0001; // Relative EMA move per candle below which the trend is FLAT
+
+  function toMinutes(timeframe) {
+    const minutes = TIMEFRAMES[timeframe];
+    if (!minutes) {
+      throw new Error(`Unknown timeframe ${timeframe} (supported: ${Object.keys(TIMEFRAMES).join(', ')})`);
+    }
+    return minutes;
+  }
+
+  function bucketStart(t, minutes) {
+    const period = minutes * 60000;
+    return Math.floor(t / period) * period;
+  }
+
+  // Fold an M1 candle into its higher-timeframe candle (the M1 candle may be a re-sent forming candle)
+  function merge(target, candle) {
+    target.h = Math.max(target.h, candle.h);
+    target.l = Math.min(target.l, candle.l);
+    target.c = candle.c;
+  }
+
+  /**
+   * Aggregate M1 candles (oldest first) into a timeframe. Pass { closedOnly: true } to drop
+   * the last candle, which is still forming - filters that must not repaint use that.
+   */
+  function aggregate(m1Candles, timeframe, options = {}) {
+    const minutes = toMinutes(timeframe);
+    const result = [];
+    (m1Candles || []).forEach(candle => {
+      const t = bucketStart(candle.t, minutes);
+      const last = result[result.length - 1];
+      if (last && last.t === t) {
+        merge(last, candle);
+      } else {
+        result.push({ t, o: candle.o, h: candle.h, l: candle.l, c: candle.c });
+      }
+    });
+    return options.closedOnly ? result.slice(0, -1) : result;
+  }
+
+  /**
+   * Trend of a candle series: UP / DOWN when price and the EMA slope agree, FLAT otherwise.
+   * null until period + 1 candles exist.
+   */
+  function trend(candles, period = TREND_PERIOD) {
+    if (!candles || candles.length < period + 1) return null;
+    const TI = window.TechnicalIndicators;
+    const closes = candles.map(c => c.c);
+    const ema = TI.calculateEMA(closes, period);
+    const prevEma = TI.calculateEMA(closes.slice(0, -1), period);
+    if (!ema || !prevEma) return null;
+
+    const slope = (ema - prevEma) / prevEma;
+    const price = closes[closes.length - 1];
+    if (slope > TREND_MIN_SLOPE && price > ema) return 'UP';
+    if (slope < -TREND_MIN_SLOPE && price < ema) return 'DOWN';
+    return 'FLAT';
+  }
+
+  // Only a clear opposite trend blocks a trade - FLAT or not enough history (null) passes
+  function opposesTrend(trend, action) {
+    return (trend === 'UP' && action === 'SELL') || (trend === 'DOWN' && action === 'BUY');
+  }
+
+  // Trend of a higher timeframe on closed candles only - safe to evaluate inside a backtest
+  function getTrend(m1Candles, timeframe, period = TREND_PERIOD) {
+    return trend(aggregate(m1Candles, timeframe, { closedOnly: true }), period);
+  }
+
+  // Live series for one CircularBuffer - update() after every tick, rebuild() after bulk loads
+  function createAggregator(buffer) {
+    const series = {};
+    let lastT = null; // Time of the last M1 candle folded in
+
+    function capacity(timeframe) {
+      return Math.ceil(buffer.capacity / TIMEFRAMES[timeframe]) + 1;
+    }
+
+    function rebuild() {
+      const m1 = buffer.getAll();
+      HIGHER_TIMEFRAMES.forEach(tf => {
+        series[tf] = aggregate(m1, tf).slice(-capacity(tf));
+      });
+      lastT = m1.length > 0 ? m1[m1.length - 1].t : null;
+    }
+
+    // Fold the buffer's latest (new or updated) M1 candle into every timeframe
+    function update() {
+      const candle = buffer.getLatest();
+      if (!candle || lastT === null || candle.t < lastT) {
+        rebuild(); // First use, cleared buffer or out-of-order data
+        return;
+      }
+
+      HIGHER_TIMEFRAMES.forEach(tf => {
+        const list = series[tf];
+        const t = bucketStart(candle.t, TIMEFRAMES[tf]);
+        const last = list[list.length - 1];
+        if (last && last.t === t) {
+          merge(last, candle);
+        } else {
+          list.push({ t, o: candle.o, h: candle.h, l: candle.l, c: candle.c });
+          if (list.length > capacity(tf)) list.shift();
+        }
+      });
+      lastT = candle.t;
+    }
+
+    function get(timeframe, options = {}) {
+      if (toMinutes(timeframe) === 1) {
+        const m1 = buffer.getAll();
+        return options.closedOnly ? m1.slice(0, -1) : m1;
+      }
+      if (lastT === null) rebuild();
+      const list = series[timeframe].map(c => ({ ...c }));
+      return options.closedOnly ? list.slice(0, -1) : list;
+    }
+
+    return {
+      key: buffer.key,
+      update,
+      rebuild,
+      get,
+      getTrend: (timeframe, period = TREND_PERIOD) => trend(get(timeframe, { closedOnly: true }), period)
+    };
+  }
+
+  // One aggregator per CircularBuffer key (symbol)
+  const instances = {};
+
+  function getInstance(key = 'default') {
+    if (!instances[key]) {
+      instances[key] = createAggregator(window.CircularBuffer.getInstance(key));
+    }
+    return instances[key];
+  }
+
+  return {
+    TIMEFRAMES,
+    HIGHER_TIMEFRAMES,
+    TREND_PERIOD,
+    toMinutes,
+    aggregate,
+    trend,
+    opposesTrend,
+    getTrend,
+    getInstance
+  };
+})();
+
+console.log('[Pocket Scout v5 WIN] Timeframe Aggregator loaded - wall-clock aligned M2/M3/M5/M15');
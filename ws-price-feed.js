@@ -0,0 +1,224 @@
+/**
+ * Pocket Scout v5.0 WIN - WebSocket Price Feed
+ * Runs in the page world: hooks PocketOption's socket.io frames, decodes the tick stream
+ * and chart history, and forwards them (server timestamp + asset id) to content.js via window.postMessage
+ */
+
+(function() {
+  'use strict';
+
+  if (window.__psWsFeedInstalled) return;
+  window.__psWsFeedInstalled = true;
+
+  const SOURCE = 'PS_WS_FEED';
+  const SCOUT_SOURCE = 'PS_SCOUT'; // Requests coming back from content.js
+  const TICK_EVENTS = ['updateStream'];
+  const HISTORY_EVENTS = ['loadHistoryPeriod', 'updateHistoryNew', 'updateHistoryNewFast', 'history'];
+  const HISTORY_CACHE_CANDLES = 2000; // Matches CircularBuffer capacity
+
+  // History usually arrives before content.js listens - keep the latest per asset for replay
+  const historyCache = {};
+  const NativeWebSocket = window.WebSocket;
+  const decoder = new TextDecoder('utf-8');
+
+  // socket.io text frames: 42["event",payload] or 451-["event",{"_placeholder":true}] + binary attachment
+  function parseFrame(text) {
+    const start = text.search(/[[{]/);
+    if (start < 0) return null;
+    try {
+      return JSON.parse(text.slice(start));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Tick tuple: ["EURUSD_otc", 1712345678.456, 1.08765]
+  function isTickTuple(item) {
+    return Array.isArray(item) && item.length >= 3 && typeof item[0] === 'string' &&
+      Number.isFinite(item[1]) && Number.isFinite(item[2]);
+  }
+
+  function extractTicks(payload, depth = 0) {
+    if (isTickTuple(payload)) {
+      const t = payload[1] < 1e12 ? payload[1] * 1000 : payload[1]; // Seconds → ms
+      return [{ asset: payload[0], t: Math.round(t), price: payload[2] }];
+    }
+    if (!Array.isArray(payload) || depth > 2) return [];
+    return payload.reduce((ticks, item) => ticks.concat(extractTicks(item, depth + 1)), []);
+  }
+
+  function toMs(t) {
+    return t < 1e12 ? t * 1000 : t;
+  }
+
+  // Candle as object {time, open, high, low, close} or tuple [time, open, close, high, low]
+  function toCandle(item) {
+    let t, o, h, l, c;
+    if (Array.isArray(item)) {
+      if (item.length < 5) return null;
+      [t, o, c, h, l] = item;
+      if (h < Math.max(o, c) || l > Math.min(o, c)) {
+        [t, o, h, l, c] = item; // [time, open, high, low, close] variant
+      }
+    } else if (item && typeof item === 'object') {
+      t = item.time !== undefined ? item.time : item.t;
+      o = item.open !== undefined ? item.open : item.o;
+      h = item.high !== undefined ? item.high : item.h;
+      l = item.low !== undefined ? item.low : item.l;
+      c = item.close !== undefined ? item.close : item.c;
+    }
+    if (![t, o, h, l, c].every(Number.isFinite)) return null;
+    return { t: toMs(t), o, h, l, c };
+  }
+
+  // Tick as [time, price] or {time, price}
+  function tickToCandle(item) {
+    const t = Array.isArray(item) ? item[0] : item && item.time;
+    const price = Array.isArray(item) ? item[1] : item && item.price;
+    if (!Number.isFinite(t) || !Number.isFinite(price)) return null;
+    return { t: toMs(t), o: price, h: price, l: price, c: price };
+  }
+
+  // Roll ticks / sub-minute candles up into M1 candles (oldest first)
+  function toM1(candles) {
+    const byMinute = new Map();
+    candles
+      .filter(Boolean)
+      .sort((a, b) => a.t - b.t)
+      .forEach(candle => {
+        const t = Math.floor(candle.t / 60000) * 60000;
+        const m1 = byMinute.get(t);
+        if (!m1) {
+          byMinute.set(t, { t, o: candle.o, h: candle.h, l: candle.l, c: candle.c });
+        } else {
+          m1.h = Math.max(m1.h, candle.h);
+          m1.l = Math.min(m1.l, candle.l);
+          m1.c = candle.c;
+        }
+      });
+    return Array.from(byMinute.values());
+  }
+
+  // Decode a history payload: { asset, period, candles | data | history }
+  function extractHistory(payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload) || !payload.asset) return null;
+    
+    const period = Number(payload.period) || 60;
+    if (period > 60) return null; // Can't rebuild M1 from higher timeframes
+    
+    const candleRows = Array.isArray(payload.candles) ? payload.candles : (Array.isArray(payload.data) ? payload.data : []);
+    const tickRows = Array.isArray(payload.history) ? payload.history : [];
+    
+    const candles = toM1([
+      ...candleRows.map(row => toCandle(row) || tickToCandle(row)),
+      ...tickRows.map(tickToCandle)
+    ]);
+    return candles.length > 0 ? { asset: payload.asset, candles } : null;
+  }
+
+  function normalizeAsset(name) {
+    return String(name || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  function cacheHistory(history) {
+    const key = normalizeAsset(history.asset);
+    const byTime = new Map();
+    const cached = historyCache[key] ? historyCache[key].candles : [];
+    cached.concat(history.candles).forEach(c => byTime.set(c.t, c));
+    historyCache[key] = {
+      asset: history.asset,
+      candles: Array.from(byTime.values()).sort((a, b) => a.t - b.t).slice(-HISTORY_CACHE_CANDLES)
+    };
+  }
+
+  function post(type, data) {
+    window.postMessage({ source: SOURCE, type, ...data }, window.location.origin);
+  }
+
+  function handleEvent(name, payload) {
+    if (HISTORY_EVENTS.includes(name)) {
+      const history = extractHistory(payload);
+      if (history) {
+        cacheHistory(history);
+        post('HISTORY', history);
+      }
+      return;
+    }
+    
+    if (!TICK_EVENTS.includes(name)) return;
+    const ticks = extractTicks(payload);
+    if (ticks.length > 0) {
+      post('TICKS', { ticks });
+    }
+  }
+
+  function attach(ws) {
+    let pendingEvent = null; // Event name waiting for its binary attachment
+
+    function handleText(text) {
+      const frame = parseFrame(text);
+      if (!Array.isArray(frame) || typeof frame[0] !== 'string') return;
+
+      const payload = frame[1];
+      if (payload && payload._placeholder) {
+        pendingEvent = frame[0];
+      } else {
+        handleEvent(frame[0], payload);
+      }
+    }
+
+    function handleBinary(name, buffer) {
+      const payload = parseFrame(decoder.decode(buffer));
+      if (payload) {
+        handleEvent(name, payload);
+      }
+    }
+
+    ws.addEventListener('message', (event) => {
+      try {
+        const data = event.data;
+        if (typeof data === 'string') {
+          handleText(data);
+          return;
+        }
+        
+        // Binary attachment for the last placeholder event
+        const name = pendingEvent;
+        pendingEvent = null;
+        if (!name) return;
+        
+        if (data instanceof ArrayBuffer) {
+          handleBinary(name, data);
+        } else if (data && typeof data.arrayBuffer === 'function') {
+          data.arrayBuffer() // Blob
+            .then(buffer => handleBinary(name, buffer))
+            .catch(e => console.warn('[Pocket Scout WS] Failed to read binary frame:', e));
+        }
+      } catch (e) {
+        console.warn('[Pocket Scout WS] Failed to decode frame:', e);
+      }
+    });
+  }
+
+  class HookedWebSocket extends NativeWebSocket {
+    constructor(...args) {
+      super(...args);
+      attach(this);
+    }
+  }
+
+  window.WebSocket = HookedWebSocket;
+
+  // content.js asks for cached history once it is ready (page load, asset switch)
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || !event.data || event.data.source !== SCOUT_SOURCE) return;
+    if (event.data.type !== 'REQUEST_HISTORY') return;
+    
+    const cached = historyCache[normalizeAsset(event.data.asset)];
+    if (cached) {
+      post('HISTORY', cached);
+    }
+  });
+
+  console.log('[Pocket Scout WS] WebSocket price feed hook installed');
+})();